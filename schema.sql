@@ -1,21 +1,293 @@
+-- Schema created by DatabaseService.initDatabase, for reference and fresh installs.
+-- initDatabase stays the source of truth: it also migrates existing databases.
+
+CREATE TABLE games (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) UNIQUE NOT NULL,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
 CREATE TABLE teams (
     id SERIAL PRIMARY KEY,
+    liquipedia_id INTEGER,
     name VARCHAR(255) NOT NULL,
-    liquipedia_url TEXT
+    game VARCHAR(100) NOT NULL,
+    liquipedia_url TEXT,
+    page VARCHAR(500),
+    status VARCHAR(50),
+    region VARCHAR(100),
+    location VARCHAR(100),
+    created_date DATE,
+    created_raw TEXT,
+    disbanded_date DATE,
+    disbanded_raw TEXT,
+    coaches JSONB,
+    managers JSONB,
+    captain VARCHAR(255),
+    sponsors JSONB,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+    CONSTRAINT teams_liquipedia_game_unique UNIQUE (liquipedia_id, game)
 );
 
 CREATE TABLE players (
     id SERIAL PRIMARY KEY,
+    liquipedia_id INTEGER,
     name VARCHAR(255) NOT NULL,
+    game VARCHAR(100) NOT NULL,
     team_id INTEGER REFERENCES teams(id),
-    liquipedia_url TEXT
+    liquipedia_url TEXT,
+    page VARCHAR(500),
+    real_name VARCHAR(255),
+    romanized_name VARCHAR(255),
+    birth_date DATE,
+    nationality VARCHAR(100),
+    countries JSONB,
+    current_team VARCHAR(255),
+    role TEXT,
+    status VARCHAR(50),
+    signature JSONB,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+    CONSTRAINT players_liquipedia_game_unique UNIQUE (liquipedia_id, game)
 );
 
 CREATE TABLE matches (
     id SERIAL PRIMARY KEY,
+    liquipedia_id INTEGER,
+    title VARCHAR(500) NOT NULL,
+    game VARCHAR(100) NOT NULL,
     team1_id INTEGER REFERENCES teams(id),
     team2_id INTEGER REFERENCES teams(id),
     winner_id INTEGER REFERENCES teams(id),
+    score VARCHAR(50),
     match_date TIMESTAMP,
-    liquipedia_url TEXT
+    tournament VARCHAR(255),
+    match_type VARCHAR(100),
+    status VARCHAR(50),
+    opponent_type VARCHAR(20),
+    liquipedia_url TEXT,
+    raw_data JSONB,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+    CONSTRAINT matches_liquipedia_game_unique UNIQUE (liquipedia_id, game)
+);
+
+CREATE TABLE tournaments (
+    id SERIAL PRIMARY KEY,
+    liquipedia_id INTEGER,
+    name VARCHAR(500) NOT NULL,
+    game VARCHAR(100) NOT NULL,
+    tier VARCHAR(50),
+    prize_pool VARCHAR(100),
+    prize_pool_amount NUMERIC(14, 2),
+    prize_pool_currency VARCHAR(3),
+    prize_pool_usd NUMERIC(14, 2),
+    prize_pool_fx_rate NUMERIC(14, 6),
+    start_date TIMESTAMP,
+    end_date TIMESTAMP,
+    location VARCHAR(255),
+    organizer VARCHAR(255),
+    status VARCHAR(50),
+    category VARCHAR(100),
+    liquipedia_url TEXT,
+    raw_data JSONB,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+    CONSTRAINT tournaments_liquipedia_game_unique UNIQUE (liquipedia_id, game)
+);
+
+CREATE TABLE sync_log (
+    id SERIAL PRIMARY KEY,
+    sync_type VARCHAR(50) NOT NULL,
+    game VARCHAR(100),
+    status VARCHAR(20) NOT NULL,
+    records_processed INTEGER DEFAULT 0,
+    error_message TEXT,
+    started_at TIMESTAMP DEFAULT NOW(),
+    completed_at TIMESTAMP
+);
+
+-- Cached Liquipedia API responses, keyed by wiki, action and params
+CREATE TABLE api_cache (
+    cache_key VARCHAR(64) PRIMARY KEY,
+    wiki VARCHAR(100) NOT NULL,
+    action VARCHAR(50) NOT NULL,
+    operation_type VARCHAR(20) NOT NULL,
+    params JSONB,
+    response JSONB NOT NULL,
+    created_at TIMESTAMP DEFAULT NOW(),
+    expires_at TIMESTAMP NOT NULL
+);
+
+-- Parsed pages with the revision they were parsed from
+CREATE TABLE page_snapshots (
+    game VARCHAR(100) NOT NULL,
+    page_title VARCHAR(500) NOT NULL,
+    kind VARCHAR(50) NOT NULL,
+    pageid INTEGER,
+    lastrevid BIGINT,
+    touched TIMESTAMP,
+    parsed_data JSONB,
+    parser_version INTEGER NOT NULL DEFAULT 0,
+    updated_at TIMESTAMP DEFAULT NOW(),
+    PRIMARY KEY (game, page_title, kind)
+);
+
+-- Next free request slot per rate limit bucket, shared by every process
+CREATE TABLE rate_limit_buckets (
+    bucket VARCHAR(150) PRIMARY KEY,
+    next_slot_at TIMESTAMPTZ NOT NULL,
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- One row per outbound Liquipedia request
+CREATE TABLE request_audit_log (
+    id BIGSERIAL PRIMARY KEY,
+    requested_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    wiki VARCHAR(100) NOT NULL,
+    action VARCHAR(50),
+    operation_type VARCHAR(20) NOT NULL,
+    lane VARCHAR(20),
+    caller VARCHAR(255),
+    status_code INTEGER,
+    bytes INTEGER,
+    latency_ms INTEGER,
+    error TEXT
+);
+
+-- Prize pool placements
+CREATE TABLE tournament_standings (
+    id SERIAL PRIMARY KEY,
+    game VARCHAR(100) NOT NULL,
+    tournament_page VARCHAR(500) NOT NULL,
+    place VARCHAR(20),
+    place_start INTEGER,
+    place_end INTEGER,
+    opponent_type VARCHAR(20),
+    opponent_name VARCHAR(255),
+    opponent_flag VARCHAR(50),
+    prize_usd NUMERIC(14, 2),
+    prize_local NUMERIC(14, 2),
+    local_currency VARCHAR(10),
+    points NUMERIC(12, 2),
+    qualified VARCHAR(255),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Battle royale results, one row per opponent and game
+CREATE TABLE battle_royale_results (
+    id SERIAL PRIMARY KEY,
+    game VARCHAR(100) NOT NULL,
+    tournament_page VARCHAR(500) NOT NULL,
+    bracket_id VARCHAR(100),
+    match_id VARCHAR(50),
+    header VARCHAR(255),
+    day INTEGER,
+    lobby VARCHAR(20),
+    game_number INTEGER NOT NULL,
+    map VARCHAR(100),
+    opponent_type VARCHAR(20),
+    opponent_name VARCHAR(255) NOT NULL,
+    placement INTEGER,
+    kills INTEGER,
+    placement_points NUMERIC(8, 2),
+    kill_points NUMERIC(8, 2),
+    points NUMERIC(8, 2),
+    updated_at TIMESTAMP DEFAULT NOW()
 );
+
+-- A player's past and current teams, in infobox order
+CREATE TABLE player_team_history (
+    id SERIAL PRIMARY KEY,
+    game VARCHAR(100) NOT NULL,
+    player_page VARCHAR(500) NOT NULL,
+    entry_order INTEGER NOT NULL,
+    team_name VARCHAR(255) NOT NULL,
+    role TEXT,
+    join_date DATE,
+    leave_date DATE,
+    join_date_raw TEXT,
+    leave_date_raw TEXT,
+    is_current BOOLEAN DEFAULT false,
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- A team's current, former and inactive players
+CREATE TABLE team_roster (
+    id SERIAL PRIMARY KEY,
+    game VARCHAR(100) NOT NULL,
+    team_page VARCHAR(500) NOT NULL,
+    entry_order INTEGER NOT NULL,
+    player_id VARCHAR(255) NOT NULL,
+    player_page VARCHAR(500),
+    real_name VARCHAR(255),
+    flag VARCHAR(50),
+    position TEXT,
+    status VARCHAR(20) NOT NULL,
+    captain BOOLEAN DEFAULT false,
+    join_date DATE,
+    leave_date DATE,
+    inactive_date DATE,
+    join_date_raw TEXT,
+    leave_date_raw TEXT,
+    new_team VARCHAR(255),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Opponents of a match: a team, a player (solo) or a party of players (2v2 and up)
+CREATE TABLE match_opponents (
+    id SERIAL PRIMARY KEY,
+    match_id INTEGER NOT NULL REFERENCES matches(id) ON DELETE CASCADE,
+    position INTEGER NOT NULL,
+    opponent_type VARCHAR(20) NOT NULL,
+    name VARCHAR(255),
+    team_id INTEGER REFERENCES teams(id),
+    player_id INTEGER REFERENCES players(id),
+    flag VARCHAR(50),
+    race VARCHAR(20),
+    players JSONB,
+    score VARCHAR(20),
+    is_winner BOOLEAN DEFAULT false,
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Names a team or player is written as (template shortnames, redirects, old names),
+-- keyed by normalizeName, and the page they all resolve to
+CREATE TABLE entity_aliases (
+    game VARCHAR(100) NOT NULL,
+    entity_type VARCHAR(20) NOT NULL,
+    alias VARCHAR(500) NOT NULL,
+    name VARCHAR(500) NOT NULL,
+    canonical_page VARCHAR(500) NOT NULL,
+    source VARCHAR(20) NOT NULL,
+    updated_at TIMESTAMP DEFAULT NOW(),
+    PRIMARY KEY (game, entity_type, alias)
+);
+
+CREATE INDEX idx_teams_game ON teams(game);
+CREATE INDEX idx_teams_liquipedia_id ON teams(liquipedia_id, game);
+CREATE INDEX idx_players_game ON players(game);
+CREATE INDEX idx_players_liquipedia_id ON players(liquipedia_id, game);
+CREATE INDEX idx_matches_game ON matches(game);
+CREATE INDEX idx_matches_date ON matches(match_date);
+CREATE INDEX idx_matches_liquipedia_id ON matches(liquipedia_id, game);
+CREATE INDEX idx_tournaments_game ON tournaments(game);
+CREATE INDEX idx_tournaments_date ON tournaments(start_date);
+CREATE INDEX idx_tournaments_prize_usd ON tournaments(prize_pool_usd);
+CREATE INDEX idx_tournaments_liquipedia_id ON tournaments(liquipedia_id, game);
+CREATE INDEX idx_sync_log_type ON sync_log(sync_type, game);
+CREATE INDEX idx_api_cache_expires ON api_cache(expires_at);
+CREATE INDEX idx_request_audit_log_time ON request_audit_log(requested_at);
+CREATE INDEX idx_request_audit_log_bucket ON request_audit_log(wiki, operation_type, requested_at);
+CREATE INDEX idx_tournament_standings_page ON tournament_standings(game, tournament_page);
+CREATE INDEX idx_battle_royale_results_page ON battle_royale_results(game, tournament_page);
+CREATE INDEX idx_team_roster_team ON team_roster(game, team_page);
+CREATE INDEX idx_player_team_history_player ON player_team_history(game, player_page);
+CREATE INDEX idx_player_team_history_team ON player_team_history(game, team_name);
+CREATE INDEX idx_matches_tournament ON matches(game, tournament);
+CREATE INDEX idx_match_opponents_match ON match_opponents(match_id);
+CREATE INDEX idx_match_opponents_name ON match_opponents(name);
+CREATE INDEX idx_entity_aliases_page ON entity_aliases(game, entity_type, canonical_page);
+
+INSERT INTO games (name) VALUES ('dota2'), ('counterstrike'), ('leagueoflegends');
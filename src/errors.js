@@ -0,0 +1,25 @@
+// Thrown instead of queueing requests while a wiki's circuit breaker is open
+class UpstreamUnavailableError extends Error {
+  constructor(wiki, retryAfterMs) {
+    super(`Liquipedia ${wiki} is temporarily unavailable, retry in ${Math.ceil(retryAfterMs / 1000)}s`);
+    this.name = 'UpstreamUnavailableError';
+    this.wiki = wiki;
+    this.retryAfterMs = retryAfterMs;
+    this.statusCode = 503;
+  }
+}
+
+// Thrown in replay mode when a request has no recorded fixture
+class FixtureNotFoundError extends Error {
+  constructor(fixturePath, params) {
+    super(`No recorded Liquipedia fixture at ${fixturePath}`);
+    this.name = 'FixtureNotFoundError';
+    this.fixturePath = fixturePath;
+    this.params = params;
+  }
+}
+
+module.exports = {
+  UpstreamUnavailableError,
+  FixtureNotFoundError
+};
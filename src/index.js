@@ -5,11 +5,12 @@ const winston = require('winston');
 const LiquipediaService = require('./services/liquipediaService');
 const DatabaseService = require('./services/databaseService');
 const SchedulerService = require('./services/schedulerService');
+const { UpstreamUnavailableError } = require('./errors');
 
 // Initialize services
-const liquipediaService = new LiquipediaService();
 const databaseService = new DatabaseService();
-const schedulerService = new SchedulerService();
+const liquipediaService = new LiquipediaService({ databaseService });
+const schedulerService = new SchedulerService({ databaseService });
 
 const app = express();
 app.use(express.json());
@@ -27,11 +28,25 @@ const logger = winston.createLogger({
   ]
 });
 
+// 503 with Retry-After while Liquipedia's circuit breaker is open
+function sendUpstreamUnavailable(res, error, tournamentName) {
+  res.set('Retry-After', String(Math.ceil(error.retryAfterMs / 1000)));
+  res.status(503).json({
+    success: false,
+    error: error.message,
+    wiki: error.wiki,
+    retry_after_seconds: Math.ceil(error.retryAfterMs / 1000),
+    tournament: tournamentName
+  });
+}
+
 // Initialize database
 async function initializeApp() {
   try {
     await databaseService.initDatabase();
     logger.info('Database initialized');
+    const purged = await databaseService.purgeExpiredCache();
+    logger.info(`Purged ${purged} expired cache entries`);
     logger.info('Tournament-focused API ready');
     
   } catch (error) {
@@ -45,7 +60,8 @@ app.get('/health', (req, res) => {
   res.json({
     status: 'ok',
     timestamp: new Date().toISOString(),
-    mode: 'tournament-focused'
+    mode: 'tournament-focused',
+    upstream: liquipediaService.getCircuitStatus()
   });
 });
 
@@ -88,11 +104,55 @@ app.get('/api/players', async (req, res) => {
   }
 });
 
+// Canonical page of a team or player name (template shortname, redirect or old name)
+// and every other name stored for it
+app.get('/api/aliases/:game/:name', async (req, res) => {
+  try {
+    const { game } = req.params;
+    const { type = 'team' } = req.query;
+    const name = decodeURIComponent(req.params.name);
+
+    if (!['team', 'player'].includes(type)) {
+      res.status(400).json({ success: false, error: 'type must be team or player' });
+      return;
+    }
+
+    const resolved = await liquipediaService.resolveEntityNames([name], game, type);
+    const canonicalPage = resolved[name] || null;
+
+    res.json({
+      success: true,
+      game,
+      type,
+      name,
+      found: !!canonicalPage,
+      canonical_page: canonicalPage,
+      aliases: canonicalPage ? await databaseService.getAliasesForPage(game, type, canonicalPage) : []
+    });
+
+  } catch (error) {
+    if (error instanceof UpstreamUnavailableError) {
+      sendUpstreamUnavailable(res, error, null);
+      return;
+    }
+    logger.error(`Failed to resolve ${req.params.name}`, error);
+    res.status(500).json({
+      success: false,
+      error: `Failed to resolve name: ${error.message}`
+    });
+  }
+});
+
 // Get matches from database
 app.get('/api/matches', async (req, res) => {
   try {
-    const { game, limit } = req.query;
-    const matches = await databaseService.getMatches(game, parseInt(limit) || 100);
+    const { game, limit, type, opponent, tournament } = req.query;
+    // type=solo lists player-vs-player matches (StarCraft II), type=party 2v2 and up
+    const matches = await databaseService.getMatches(game, parseInt(limit) || 100, {
+      opponentType: type,
+      opponent,
+      tournament
+    });
     res.json({ matches, count: matches.length });
   } catch (error) {
     logger.error('Failed to fetch matches', error);
@@ -103,8 +163,16 @@ app.get('/api/matches', async (req, res) => {
 // Get tournaments from database
 app.get('/api/tournaments', async (req, res) => {
   try {
-    const { game, limit } = req.query;
-    const tournaments = await databaseService.getTournaments(game, parseInt(limit) || 100);
+    const { game, limit, currency, sort, order } = req.query;
+    const minPrize = parseFloat(req.query.min_prize);
+    const maxPrize = parseFloat(req.query.max_prize);
+    const tournaments = await databaseService.getTournaments(game, parseInt(limit) || 100, {
+      minPrizeUsd: isNaN(minPrize) ? null : minPrize,
+      maxPrizeUsd: isNaN(maxPrize) ? null : maxPrize,
+      currency,
+      sort,
+      order
+    });
     res.json({ tournaments, count: tournaments.length });
   } catch (error) {
     logger.error('Failed to fetch tournaments', error);
@@ -136,6 +204,42 @@ app.get('/api/sync-history', async (req, res) => {
   }
 });
 
+// Response cache statistics
+app.get('/api/cache/stats', async (req, res) => {
+  try {
+    const entries = await databaseService.getCacheSummary();
+    res.json({
+      cache: liquipediaService.getCacheStats(),
+      coalescing: liquipediaService.getCoalescingStats(),
+      entries
+    });
+  } catch (error) {
+    logger.error('Failed to fetch cache stats', error);
+    res.status(500).json({ error: 'Failed to fetch cache stats' });
+  }
+});
+
+// Liquipedia API terms compliance report from the outbound request audit log
+app.get('/api/compliance', async (req, res) => {
+  try {
+    const hours = Math.min(parseInt(req.query.hours) || 24, 24 * 90);
+    const report = await liquipediaService.getComplianceReport(hours);
+    res.json(report);
+  } catch (error) {
+    logger.error('Failed to build compliance report', error);
+    res.status(500).json({ error: 'Failed to build compliance report' });
+  }
+});
+
+// Upstream request queue per lane and per caller
+app.get('/api/queue', (req, res) => {
+  const { lane = 'interactive' } = req.query;
+  res.json({
+    queue: liquipediaService.getQueueStatus(lane),
+    callers: liquipediaService.getQueueCallers()
+  });
+});
+
 // Manual sync endpoints
 app.post('/api/sync/teams', async (req, res) => {
   try {
@@ -281,6 +385,16 @@ app.post('/api/sync/full', async (req, res) => {
 
 // NEW: Tournament-specific API endpoints
 
+// Tournament lookups run in the interactive lane so they preempt background syncs.
+// ?refresh=true skips the response cache for every Liquipedia call made by the request.
+app.use('/api/tournament', (req, res, next) => {
+  liquipediaService.runWithRequestOptions({
+    lane: 'interactive',
+    caller: `api:${req.method} ${req.baseUrl}${req.path}`,
+    bypassCache: req.query.refresh === 'true'
+  }, next);
+});
+
 // Fetch comprehensive tournament data by name
 app.get('/api/tournament/:tournamentName', async (req, res) => {
   try {
@@ -305,11 +419,17 @@ app.get('/api/tournament/:tournamentName', async (req, res) => {
         players_count: tournamentData.players.length,
         matches_count: tournamentData.matches.length,
         has_brackets: !!tournamentData.brackets,
-        has_results: !!tournamentData.results
+        has_results: !!tournamentData.results,
+        resolved_title: tournamentData.tournament ? tournamentData.tournament.found_name : null,
+        did_you_mean: tournamentData.did_you_mean
       }
     });
     
   } catch (error) {
+    if (error instanceof UpstreamUnavailableError) {
+      sendUpstreamUnavailable(res, error, req.params.tournamentName);
+      return;
+    }
     logger.error(`Failed to fetch tournament ${req.params.tournamentName}`, error);
     res.status(500).json({ 
       success: false,
@@ -339,6 +459,10 @@ app.get('/api/tournament/:tournamentName/teams', async (req, res) => {
     });
     
   } catch (error) {
+    if (error instanceof UpstreamUnavailableError) {
+      sendUpstreamUnavailable(res, error, req.params.tournamentName);
+      return;
+    }
     logger.error(`Failed to fetch tournament teams for ${req.params.tournamentName}`, error);
     res.status(500).json({ 
       success: false,
@@ -367,6 +491,10 @@ app.get('/api/tournament/:tournamentName/matches', async (req, res) => {
     });
     
   } catch (error) {
+    if (error instanceof UpstreamUnavailableError) {
+      sendUpstreamUnavailable(res, error, req.params.tournamentName);
+      return;
+    }
     logger.error(`Failed to fetch tournament matches for ${req.params.tournamentName}`, error);
     res.status(500).json({ 
       success: false,
@@ -395,6 +523,10 @@ app.get('/api/tournament/:tournamentName/players', async (req, res) => {
     });
     
   } catch (error) {
+    if (error instanceof UpstreamUnavailableError) {
+      sendUpstreamUnavailable(res, error, req.params.tournamentName);
+      return;
+    }
     logger.error(`Failed to fetch tournament players for ${req.params.tournamentName}`, error);
     res.status(500).json({ 
       success: false,
@@ -429,10 +561,16 @@ app.get('/api/tournament/:tournamentName/brackets', async (req, res) => {
       tournament: tournamentName,
       game: game,
       status: tournamentData.status,
-      brackets: tournamentData.brackets
+      brackets: tournamentData.brackets,
+      groups: tournamentData.groups,
+      swiss: tournamentData.swiss
     });
     
   } catch (error) {
+    if (error instanceof UpstreamUnavailableError) {
+      sendUpstreamUnavailable(res, error, req.params.tournamentName);
+      return;
+    }
     logger.error(`Failed to fetch tournament brackets for ${req.params.tournamentName}`, error);
     res.status(500).json({ 
       success: false,
@@ -467,10 +605,15 @@ app.get('/api/tournament/:tournamentName/results', async (req, res) => {
       tournament: tournamentName,
       game: game,
       status: tournamentData.status,
-      results: tournamentData.results
+      results: tournamentData.results,
+      count: tournamentData.results ? tournamentData.results.length : 0
     });
     
   } catch (error) {
+    if (error instanceof UpstreamUnavailableError) {
+      sendUpstreamUnavailable(res, error, req.params.tournamentName);
+      return;
+    }
     logger.error(`Failed to fetch tournament results for ${req.params.tournamentName}`, error);
     res.status(500).json({ 
       success: false,
@@ -479,6 +622,78 @@ app.get('/api/tournament/:tournamentName/results', async (req, res) => {
   }
 });
 
+// Fetch battle royale lobbies and points standings (PUBG Mobile, Apex Legends, Free Fire)
+app.get('/api/tournament/:tournamentName/battle-royale', async (req, res) => {
+  try {
+    const { tournamentName } = req.params;
+    const { game = 'pubgmobile' } = req.query;
+    
+    const tournamentData = await liquipediaService.fetchTournamentByName(
+      decodeURIComponent(tournamentName), 
+      game
+    );
+    
+    if (!tournamentData.battle_royale) {
+      res.json({
+        success: false,
+        message: 'No battle royale lobbies found for this tournament.',
+        tournament: tournamentName,
+        status: tournamentData.status
+      });
+      return;
+    }
+    
+    res.json({
+      success: true,
+      tournament: tournamentName,
+      game: game,
+      status: tournamentData.status,
+      lobbies: tournamentData.battle_royale.lobbies,
+      standings: tournamentData.battle_royale.standings
+    });
+    
+  } catch (error) {
+    if (error instanceof UpstreamUnavailableError) {
+      sendUpstreamUnavailable(res, error, req.params.tournamentName);
+      return;
+    }
+    logger.error(`Failed to fetch battle royale standings for ${req.params.tournamentName}`, error);
+    res.status(500).json({ 
+      success: false,
+      error: `Failed to fetch battle royale standings: ${error.message}` 
+    });
+  }
+});
+
+// Which page a tournament name resolves to, with ranked "did you mean" candidates
+app.get('/api/tournament/:tournamentName/resolve', async (req, res) => {
+  try {
+    const { tournamentName } = req.params;
+    const { game = 'counterstrike' } = req.query;
+
+    const resolution = await liquipediaService.resolveTournamentPage(decodeURIComponent(tournamentName), game);
+
+    res.json({
+      success: true,
+      tournament: tournamentName,
+      game: game,
+      found: !!resolution.title,
+      resolution
+    });
+
+  } catch (error) {
+    if (error instanceof UpstreamUnavailableError) {
+      sendUpstreamUnavailable(res, error, req.params.tournamentName);
+      return;
+    }
+    logger.error(`Failed to resolve tournament ${req.params.tournamentName}`, error);
+    res.status(500).json({
+      success: false,
+      error: `Failed to resolve tournament: ${error.message}`
+    });
+  }
+});
+
 // Get tournament status and basic info
 app.get('/api/tournament/:tournamentName/status', async (req, res) => {
   try {
@@ -492,32 +707,26 @@ app.get('/api/tournament/:tournamentName/status', async (req, res) => {
     );
     
     if (!tournamentDetails) {
+      const resolution = await liquipediaService.resolveTournamentPage(decodeURIComponent(tournamentName), game);
       res.status(404).json({
         success: false,
         message: 'Tournament not found',
-        tournament: tournamentName
+        tournament: tournamentName,
+        did_you_mean: resolution.candidates
       });
       return;
     }
     
     // Determine status
-    const currentDate = new Date();
     const tournamentInfo = tournamentDetails.parsed_data;
-    let status = 'unknown';
-    
-    if (tournamentInfo.dates.end) {
-      const endDate = new Date(tournamentInfo.dates.end);
-      status = endDate < currentDate ? 'concluded' : 'ongoing';
-    } else if (tournamentInfo.dates.start) {
-      const startDate = new Date(tournamentInfo.dates.start);
-      status = startDate > currentDate ? 'upcoming' : 'ongoing';
-    }
-    
+    const status = liquipediaService.getTournamentStatus(tournamentInfo.dates);
+
     res.json({
       success: true,
       tournament: tournamentName,
       game: game,
       status: status,
+      queue: liquipediaService.getQueueStatus('interactive'),
       details: {
         start_date: tournamentInfo.dates.start,
         end_date: tournamentInfo.dates.end,
@@ -528,6 +737,10 @@ app.get('/api/tournament/:tournamentName/status', async (req, res) => {
     });
     
   } catch (error) {
+    if (error instanceof UpstreamUnavailableError) {
+      sendUpstreamUnavailable(res, error, req.params.tournamentName);
+      return;
+    }
     logger.error(`Failed to fetch tournament status for ${req.params.tournamentName}`, error);
     res.status(500).json({ 
       success: false,
@@ -542,12 +755,13 @@ app.get('/', (req, res) => {
     message: 'Liquipedia Tournament Data Service API - Tournament-Focused & Compliant',
     version: '5.0',
     mode: 'Tournament-Focused',
-    supportedGames: ['counterstrike', 'dota2', 'leagueoflegends', 'valorant', 'overwatch', 'rocketleague', 'apexlegends', 'starcraft2', 'rainbowsix', 'mobilelegends', 'pubgmobile', 'freefire'],
+    supportedGames: liquipediaService.getSupportedGames(),
     rateLimiting: {
       status: 'ACTIVE - Very Conservative',
       requestInterval: '2-30 seconds (based on operation)',
       maxConcurrent: 1,
-      exponentialBackoff: true
+      exponentialBackoff: true,
+      priorityLanes: ['interactive', 'scheduled', 'backfill']
     },
     primaryFeature: 'Tournament-specific comprehensive data fetching',
     tournamentEndpoints: {
@@ -557,16 +771,22 @@ app.get('/', (req, res) => {
       players: 'GET /api/tournament/:tournamentName/players?game=counterstrike',
       matches: 'GET /api/tournament/:tournamentName/matches?game=counterstrike',
       brackets: 'GET /api/tournament/:tournamentName/brackets?game=counterstrike (for ongoing)',
-      results: 'GET /api/tournament/:tournamentName/results?game=counterstrike (for concluded)'
+      results: 'GET /api/tournament/:tournamentName/results?game=counterstrike (for concluded)',
+      battleRoyale: 'GET /api/tournament/:tournamentName/battle-royale?game=pubgmobile',
+      resolve: 'GET /api/tournament/:tournamentName/resolve?game=counterstrike (page match and "did you mean")'
     },
     legacyEndpoints: {
       health: 'GET /health',
       stats: 'GET /api/stats?game=dota2',
       teams: 'GET /api/teams?game=dota2&limit=100',
       players: 'GET /api/players?game=dota2&limit=100',
-      matches: 'GET /api/matches?game=dota2&limit=100',
+      aliases: 'GET /api/aliases/:game/:name?type=team|player (canonical page and other names)',
+      matches: 'GET /api/matches?game=dota2&limit=100 (type=team|solo|party, opponent=Serral, tournament=...)',
       tournaments: 'GET /api/tournaments?game=dota2&limit=100',
       syncHistory: 'GET /api/sync-history?limit=50',
+      cacheStats: 'GET /api/cache/stats',
+      queue: 'GET /api/queue?lane=interactive',
+      compliance: 'GET /api/compliance?hours=24',
       manualSync: {
         basic: {
           teams: 'POST /api/sync/teams',
@@ -592,13 +812,16 @@ app.get('/', (req, res) => {
       'Match details and brackets for ongoing tournaments',
       'Final results and standings for concluded tournaments',
       'Rate-limited and Liquipedia-compliant',
+      'Persistent response cache (add ?refresh=true to bypass)',
       'Real-time tournament data extraction'
     ],
     compliance: [
       '2-30 second request intervals based on operation type',
       'Single concurrent request limit',
       'Proper User-Agent identification',
-      'Exponential backoff on 429 errors',
+      'Every outbound request recorded in an audit log (GET /api/compliance)',
+      'Retry-After aware, jittered backoff on 429/5xx/timeouts',
+      'Per-wiki circuit breaker (503 while Liquipedia is unavailable)',
       'Conservative rate limiting to respect Liquipedia servers'
     ]
   });
@@ -0,0 +1,224 @@
+// Battle royale parsing (PUBG Mobile, Apex Legends, Free Fire).
+//
+// A lobby is a Match2 FFA match: every opponent carries its result per game,
+//   {{Matchlist|id=...|M1header=Day 1 - Lobby A
+//   |M1={{Match|map1={{Map|map=Erangel}}|map2=...
+//     |opponent1={{TeamOpponent|Team A|m1={{Result|placement=1|kills=12}}|m2=...}}
+//     |opponent2=...}}}}
+// Placement points come from the game's default table (its profile's scoring) unless the
+// match sets placementpoints=10,6,5,4,... and killpoints=1.
+//
+// parseBattleRoyale returns flat result rows (one per opponent and game) plus the lobby and
+// cumulative standings built from them by summarizeBattleRoyale.
+
+const {
+  nodesToText,
+  getParamText,
+  getFirstParamText
+} = require('./wikitextParser');
+const { parseOpponent, isFfaMatch, walkMatch2 } = require('./matchParser');
+
+// Points for 1st, 2nd, ... place and per kill when neither the game nor the match sets them
+const DEFAULT_SCORING = { placement: [10, 6, 5, 4, 3, 2, 1, 1], kill: 1 };
+
+function toInteger(value) {
+  const number = parseInt(value);
+  return isNaN(number) ? null : number;
+}
+
+function toNumber(value) {
+  const number = parseFloat(value);
+  return isNaN(number) ? null : number;
+}
+
+function parseScoring(template, fallback) {
+  const placementText = getFirstParamText(template, ['placementpoints', 'placement_points']);
+  const killText = getFirstParamText(template, ['killpoints', 'kill_points', 'p_kill']);
+
+  return {
+    placement: placementText
+      ? placementText.split(/[,;\s]+/).map(value => toNumber(value) || 0)
+      : fallback.placement,
+    kill: killText !== null ? (toNumber(killText) || 0) : fallback.kill
+  };
+}
+
+// "Day 2 - Lobby B" -> { day: 2, lobby: 'B' }
+function parseLobbyLabel(text) {
+  const value = String(text || '');
+  const day = value.match(/day\s*(\d+)/i);
+  const lobby = value.match(/(?:lobby|group)\s*([A-Z0-9]+)/i);
+  return {
+    day: day ? parseInt(day[1]) : null,
+    lobby: lobby ? lobby[1].toUpperCase() : null
+  };
+}
+
+// m1={{Result|placement=1|kills=12}}; plain "1" is a placement without kills
+function parseGameResult(nodes) {
+  const template = nodes.find(node => node.type === 'template');
+  if (template) {
+    return {
+      placement: toInteger(getFirstParamText(template, ['placement', 'place', 'p', 1])),
+      kills: toInteger(getFirstParamText(template, ['kills', 'kill', 'k', 2]))
+    };
+  }
+
+  const placement = toInteger(nodesToText(nodes).trim());
+  return placement === null ? null : { placement, kills: null };
+}
+
+function parseLobby(template, context, scoring) {
+  const label = parseLobbyLabel(getFirstParamText(template, ['title', 'header']) || context.header);
+  const lobby = {
+    bracket_id: context.bracket_id,
+    match_id: context.match_id,
+    header: getFirstParamText(template, ['title', 'header']) || context.header,
+    day: toInteger(getParamText(template, 'day')) || label.day,
+    lobby: getParamText(template, 'lobby') || label.lobby
+  };
+
+  const maps = {};
+  for (const param of template.params) {
+    const mapParam = param.name && param.name.match(/^map(\d+)$/i);
+    if (!mapParam) continue;
+    const mapTemplate = param.value.find(node => node.type === 'template');
+    maps[parseInt(mapParam[1])] = mapTemplate
+      ? getParamText(mapTemplate, 'map')
+      : nodesToText(param.value).trim() || null;
+  }
+
+  const results = [];
+  for (const param of template.params) {
+    if (!param.name || !/^opponent\d+$/i.test(param.name)) continue;
+
+    const opponent = parseOpponent(param.value);
+    const opponentTemplate = param.value.find(node => node.type === 'template');
+    if (!opponent.name || !opponentTemplate) continue;
+
+    for (const entry of opponentTemplate.params) {
+      const gameParam = entry.name && entry.name.match(/^m(\d+)$/i);
+      if (!gameParam) continue;
+
+      const result = parseGameResult(entry.value);
+      if (!result || result.placement === null) continue;
+
+      const number = parseInt(gameParam[1]);
+      const placementPoints = scoring.placement[result.placement - 1] || 0;
+      const killPoints = (result.kills || 0) * scoring.kill;
+      results.push({
+        ...lobby,
+        game_number: number,
+        map: maps[number] || null,
+        opponent_type: opponent.type === 'literal' ? 'team' : opponent.type,
+        opponent_name: opponent.name,
+        placement: result.placement,
+        kills: result.kills,
+        placement_points: placementPoints,
+        kill_points: killPoints,
+        points: placementPoints + killPoints
+      });
+    }
+  }
+
+  return results;
+}
+
+// Totals per opponent: points, then wins (1st places), placement points and kills break ties
+function computeStandings(results) {
+  const totals = {};
+
+  for (const row of results) {
+    const key = row.opponent_name;
+    if (!totals[key]) {
+      totals[key] = {
+        rank: null,
+        opponent_type: row.opponent_type,
+        opponent_name: row.opponent_name,
+        games: 0,
+        wins: 0,
+        kills: 0,
+        placement_points: 0,
+        kill_points: 0,
+        points: 0
+      };
+    }
+
+    const total = totals[key];
+    total.games++;
+    if (row.placement === 1) total.wins++;
+    total.kills += row.kills || 0;
+    total.placement_points += row.placement_points;
+    total.kill_points += row.kill_points;
+    total.points += row.points;
+  }
+
+  return Object.values(totals)
+    .sort((a, b) =>
+      (b.points - a.points) ||
+      (b.wins - a.wins) ||
+      (b.placement_points - a.placement_points) ||
+      (b.kills - a.kills))
+    .map((total, index) => ({ ...total, rank: index + 1 }));
+}
+
+// Lobby tables and cumulative standings from flat result rows (parsed or stored)
+function summarizeBattleRoyale(results) {
+  const lobbies = [];
+
+  for (const row of results) {
+    let lobby = lobbies.find(entry => entry.bracket_id === row.bracket_id && entry.match_id === row.match_id);
+    if (!lobby) {
+      lobby = {
+        bracket_id: row.bracket_id,
+        match_id: row.match_id,
+        header: row.header,
+        day: row.day,
+        lobby: row.lobby,
+        games: [],
+        results: []
+      };
+      lobbies.push(lobby);
+    }
+    if (!lobby.games.some(game => game.number === row.game_number)) {
+      lobby.games.push({ number: row.game_number, map: row.map });
+    }
+    lobby.results.push(row);
+  }
+
+  return {
+    lobbies: lobbies.map(({ results: rows, ...lobby }) => ({
+      ...lobby,
+      games: lobby.games.sort((a, b) => a.number - b.number),
+      standings: computeStandings(rows)
+    })),
+    standings: computeStandings(results)
+  };
+}
+
+// Battle royale results on a page, or null when it has no FFA lobbies.
+// scoring is the game's default table (see src/profiles).
+function parseBattleRoyale(nodes, { scoring = null } = {}) {
+  const fallback = scoring || DEFAULT_SCORING;
+  const results = [];
+  let lobbyCount = 0;
+
+  walkMatch2(nodes, (template, context) => {
+    if (!isFfaMatch(template)) return;
+    lobbyCount++;
+    results.push(...parseLobby(template, context, parseScoring(template, fallback)));
+  });
+
+  if (lobbyCount === 0) return null;
+
+  return {
+    results,
+    ...summarizeBattleRoyale(results)
+  };
+}
+
+module.exports = {
+  DEFAULT_SCORING,
+  parseBattleRoyale,
+  summarizeBattleRoyale
+};
@@ -0,0 +1,227 @@
+// Liquipedia date parsing.
+//
+// Match dates look like "June 10, 2025 - 15:00 CEST" (the timezone comes from an
+// {{Abbr/CEST}} template) or "2025-06-10 - 15:00 {{Abbr/UTC}}". Dates without a
+// timezone are treated as UTC, which is what LPDB stores. Explicit offsets
+// ("UTC+2", "+02:00", ISO "Z") win over abbreviations. Abbreviations that stand for more
+// than one zone (CST, AST) give no timestamp rather than one that is hours off.
+// 12-hour times ("3:00 PM") are read as such.
+//
+// Dates that are not known to the day ("2025-06-??", "2025-??-??", "June 2025") keep the
+// precision they have: the timestamp is the start of that month or year, and precision
+// says which part of it can be trusted.
+
+// UTC offsets (hours) of the timezone abbreviations used on Liquipedia
+const TIMEZONE_OFFSETS = {
+  UTC: 0, GMT: 0, WET: 0, WEST: 1, BST: 1, CET: 1, CEST: 2, EET: 2, EEST: 3,
+  SAST: 2, MSK: 3, TRT: 3, IRST: 3.5, GST: 4, PKT: 5, IST: 5.5, NPT: 5.75,
+  ICT: 7, WIB: 7, SGT: 8, HKT: 8, PHT: 8, MYT: 8, WITA: 8, AWST: 8, KST: 9,
+  JST: 9, WIT: 9, ACST: 9.5, ACDT: 10.5, AEST: 10, AEDT: 11, NZST: 12, NZDT: 13,
+  BRT: -3, ART: -3, CLT: -4, CLST: -3, EST: -5, EDT: -4, CDT: -5,
+  MST: -7, MDT: -6, PST: -8, PDT: -7, AKST: -9, AKDT: -8, HST: -10
+};
+
+// Abbreviations Liquipedia uses for several zones: CST is US Central (-6) or China (+8),
+// AST Arabia (+3) or Atlantic (-4)
+const AMBIGUOUS_TIMEZONES = ['CST', 'AST'];
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july',
+  'august', 'september', 'october', 'november', 'december'];
+
+// "June", "Jun" or "Sept"
+function parseMonth(name) {
+  const text = String(name).toLowerCase();
+  if (text.length < 3) return null;
+  const index = MONTHS.findIndex(month => month.startsWith(text));
+  return index === -1 ? null : index + 1;
+}
+
+// Unknown parts ("??", "xx", "00") of a numeric date
+function toDatePart(value) {
+  const number = parseInt(value);
+  return isNaN(number) || number === 0 ? null : number;
+}
+
+// Calendar part: "2025-06-10", "June 10, 2025", "10 June 2025", or a partial
+// "2025-06-??", "2025-??-??", "June 2025", "2025". Missing parts are null.
+function parseCalendarDate(text) {
+  let match = text.match(/(\d{4})-(\d{1,2}|\?{1,2}|x{1,2})(?:-(\d{1,2}|\?{1,2}|x{1,2}))?(?![\d:])/i);
+  if (match) {
+    const month = toDatePart(match[2]);
+    return { year: parseInt(match[1]), month, day: month ? toDatePart(match[3]) : null };
+  }
+
+  match = text.match(/([A-Za-z]+)\.?\s+(\d{1,2}),?\s+(\d{4})/);
+  if (match && parseMonth(match[1])) {
+    return { year: parseInt(match[3]), month: parseMonth(match[1]), day: parseInt(match[2]) };
+  }
+
+  match = text.match(/(\d{1,2})\s+([A-Za-z]+)\.?,?\s+(\d{4})/);
+  if (match && parseMonth(match[2])) {
+    return { year: parseInt(match[3]), month: parseMonth(match[2]), day: parseInt(match[1]) };
+  }
+
+  match = text.match(/([A-Za-z]+)\.?,?\s+(\d{4})/);
+  if (match && parseMonth(match[1])) {
+    return { year: parseInt(match[2]), month: parseMonth(match[1]), day: null };
+  }
+
+  match = text.match(/^(\d{4})$/);
+  if (match) {
+    return { year: parseInt(match[1]), month: null, day: null };
+  }
+
+  return null;
+}
+
+// Offset in hours and the timezone it came from: "UTC+2", "+02:00", "Z" or an abbreviation
+function parseZone(text) {
+  let match = text.match(/\b(UTC|GMT)\s*([+\-−])\s*(\d{1,2})(?::?(\d{2}))?\s*$/);
+  if (match) {
+    const hours = parseInt(match[3]) + (match[4] ? parseInt(match[4]) / 60 : 0);
+    return { offset: match[2] === '+' ? hours : -hours, timezone: match[0].replace(/\s+/g, '').replace('−', '-') };
+  }
+
+  match = text.match(/\d{1,2}:\d{2}(?::\d{2}(?:\.\d+)?)?\s*(Z|[+-]\d{2}:?\d{2})\s*$/);
+  if (match) {
+    if (match[1] === 'Z') return { offset: 0, timezone: 'UTC' };
+    const sign = match[1][0] === '-' ? -1 : 1;
+    const digits = match[1].slice(1).replace(':', '');
+    return {
+      offset: sign * (parseInt(digits.slice(0, 2)) + parseInt(digits.slice(2)) / 60),
+      timezone: `UTC${match[1]}`
+    };
+  }
+
+  match = text.match(/\b([A-Z]{2,5})\s*$/);
+  if (match && TIMEZONE_OFFSETS[match[1]] !== undefined) {
+    return { offset: TIMEZONE_OFFSETS[match[1]], timezone: match[1] };
+  }
+  if (match && AMBIGUOUS_TIMEZONES.includes(match[1])) {
+    return { offset: null, timezone: match[1] };
+  }
+
+  return { offset: 0, timezone: null };
+}
+
+// Time of day as { hours, minutes, seconds }: "15:00", "15:00:30", "3:00 PM" or "3pm"
+function parseTime(text) {
+  const match = text.match(/(\d{1,2}):(\d{2})(?::(\d{2}))?(?:\s*([ap])\.?m\.?(?![a-z]))?/i) ||
+    text.match(/\b(\d{1,2})()()\s*([ap])\.?m\.?(?![a-z])/i);
+  if (!match) return null;
+
+  let hours = parseInt(match[1]);
+  const meridiem = match[4] ? match[4].toLowerCase() : null;
+  if (meridiem) {
+    if (hours < 1 || hours > 12) return null;
+    hours = hours % 12 + (meridiem === 'p' ? 12 : 0);
+  }
+
+  return { hours, minutes: parseInt(match[2]) || 0, seconds: parseInt(match[3]) || 0 };
+}
+
+// Timezone templates left in raw strings (LPDB fields, cached wikitext): {{Abbr/CEST}} -> CEST
+function stripTimezoneTemplates(text) {
+  return text
+    .replace(/\{\{\s*abbr\s*\/\s*([A-Za-z]+)\s*\}\}/gi, (match, zone) => zone.toUpperCase())
+    .replace(/\{\{\s*abbr\s*\|\s*([^|}]+)(?:\|[^}]*)?\}\}/gi, '$1')
+    .replace(/<abbr[^>]*>([^<]*)<\/abbr>/gi, '$1');
+}
+
+// Returns { raw, timestamp (ISO, UTC), timezone, precision } or null for empty input.
+// precision is 'minute', 'day', 'month' or 'year'; timestamp and precision stay null
+// when the text cannot be understood.
+function parseDate(text) {
+  const raw = String(text || '').replace(/\s+/g, ' ').trim();
+  if (!raw) return null;
+
+  const result = { raw, timestamp: null, timezone: null, precision: null };
+  const value = stripTimezoneTemplates(raw);
+  const calendar = parseCalendarDate(value);
+  if (!calendar) return result;
+
+  // Days past the end of the month (2025-02-30) are not dates, as in toDateOnly
+  if (calendar.day && new Date(Date.UTC(calendar.year, (calendar.month || 1) - 1, calendar.day)).getUTCDate() !== calendar.day) {
+    return result;
+  }
+
+  // A time only makes sense on a known day
+  const time = calendar.day ? parseTime(value) : null;
+  const zone = time ? parseZone(value) : { offset: 0, timezone: null };
+  result.timezone = zone.timezone;
+  if (zone.offset === null) return result;
+
+  const utc = Date.UTC(
+    calendar.year,
+    (calendar.month || 1) - 1,
+    calendar.day || 1,
+    time ? time.hours : 0,
+    time ? time.minutes : 0,
+    time ? time.seconds : 0
+  ) - zone.offset * 60 * 60 * 1000;
+
+  if (!isNaN(utc)) {
+    result.timestamp = new Date(utc).toISOString();
+    result.precision = time ? 'minute' : (calendar.day ? 'day' : (calendar.month ? 'month' : 'year'));
+  }
+
+  return result;
+}
+
+// Last moment (ISO, UTC) covered by a parsed date: the end of its day, month or year
+function getPeriodEnd(date) {
+  if (!date || !date.timestamp) return null;
+
+  const start = new Date(date.timestamp);
+  if (date.precision === 'minute') return start.toISOString();
+
+  const end = new Date(start);
+  if (date.precision === 'year') {
+    end.setUTCFullYear(end.getUTCFullYear() + 1);
+  } else if (date.precision === 'month') {
+    end.setUTCMonth(end.getUTCMonth() + 1);
+  } else {
+    end.setUTCDate(end.getUTCDate() + 1);
+  }
+  return new Date(end.getTime() - 1).toISOString();
+}
+
+// 'upcoming', 'ongoing', 'concluded' or 'unknown' for an event running from start to end.
+// Both may be parsed dates or raw text; a partial end date counts until its period is over.
+function getEventStatus(start, end, now = new Date()) {
+  const startDate = typeof start === 'string' ? parseDate(start) : start;
+  const endDate = typeof end === 'string' ? parseDate(end) : end;
+  const time = now.getTime();
+
+  if (startDate && startDate.timestamp && new Date(startDate.timestamp).getTime() > time) {
+    return 'upcoming';
+  }
+
+  const endTime = getPeriodEnd(endDate);
+  if (endTime && new Date(endTime).getTime() < time) {
+    return 'concluded';
+  }
+
+  if ((startDate && startDate.timestamp) || endTime) {
+    return 'ongoing';
+  }
+  return 'unknown';
+}
+
+// Calendar date as "YYYY-MM-DD", or null when the text has no complete date
+function toDateOnly(text) {
+  const calendar = parseCalendarDate(stripTimezoneTemplates(String(text || '')));
+  if (!calendar || !calendar.month || !calendar.day) return null;
+
+  const date = new Date(Date.UTC(calendar.year, calendar.month - 1, calendar.day));
+  if (isNaN(date.getTime()) || date.getUTCDate() !== calendar.day) return null;
+  return date.toISOString().slice(0, 10);
+}
+
+module.exports = {
+  TIMEZONE_OFFSETS,
+  parseDate,
+  getPeriodEnd,
+  getEventStatus,
+  toDateOnly
+};
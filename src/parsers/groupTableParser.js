@@ -0,0 +1,221 @@
+// Group stage / league table parsing.
+//
+// Two layouts are understood:
+//   {{GroupTableStart|Group A}} {{GroupTableSlot|{{team|x}}|place=1|win_m=3|lose_m=0|bg=up}} {{GroupTableEnd}}
+//     where every row is written out by hand, and
+//   {{GroupTableLeague|title=Group A|opponent1={{TeamOpponent|x}}|pbg1=up|matchGroupId1=...}}
+//     (Match2) where the standings are computed from the group's matches.
+// Both become { name, type, entries: [{ rank, opponent, match_wins, match_draws,
+// match_losses, map_wins, map_losses, points, bg, status }] }.
+
+const {
+  normalizeName,
+  nodesToText,
+  findTemplates,
+  getParam,
+  getParamText,
+  getFirstParamText
+} = require('./wikitextParser');
+const { parseOpponent } = require('./matchParser');
+const { isSwissTable } = require('./swissParser');
+
+// Row background colours and what they mean for the opponent
+const BG_STATUSES = {
+  up: 'qualified',
+  stayup: 'qualified',
+  down: 'eliminated',
+  staydown: 'eliminated',
+  stay: 'stays',
+  draw: 'tied'
+};
+
+function toNumber(value) {
+  const number = parseFloat(String(value || '').replace(',', '.'));
+  return isNaN(number) ? null : number;
+}
+
+function toStatus(bg) {
+  const key = String(bg || '').replace(/\s+/g, '').toLowerCase();
+  return BG_STATUSES[key] || null;
+}
+
+function createEntry(fields) {
+  return {
+    rank: null,
+    opponent: null,
+    match_wins: 0,
+    match_draws: 0,
+    match_losses: 0,
+    map_wins: 0,
+    map_losses: 0,
+    points: null,
+    bg: null,
+    status: null,
+    ...fields
+  };
+}
+
+// {{GroupTableSlot|{{team|x}}|place=1|win_m=3|tie_m=0|lose_m=0|win_g=6|lose_g=1|pts=9|bg=up}}
+function parseGroupTableSlot(slot, index) {
+  const opponent = parseOpponent(getParam(slot, 1) || getParam(slot, 'team') || []);
+  if (!opponent.name) return null;
+
+  const bg = getParamText(slot, 'bg');
+  return createEntry({
+    rank: toNumber(getParamText(slot, 'place')) || index + 1,
+    opponent: opponent.type === 'literal' ? { ...opponent, type: 'team' } : opponent,
+    match_wins: toNumber(getParamText(slot, 'win_m')) || 0,
+    match_draws: toNumber(getParamText(slot, 'tie_m')) || 0,
+    match_losses: toNumber(getParamText(slot, 'lose_m')) || 0,
+    map_wins: toNumber(getParamText(slot, 'win_g')) || 0,
+    map_losses: toNumber(getParamText(slot, 'lose_g')) || 0,
+    points: toNumber(getFirstParamText(slot, ['pts', 'temp_p', 'points'])),
+    bg,
+    status: toStatus(bg)
+  });
+}
+
+// Numbered params of a GroupTableLeague: opponent1, opponent2 ... / matchGroupId1 ...
+function getNumberedParams(template, base) {
+  return template.params
+    .map(param => ({ param, match: param.name && param.name.match(new RegExp(`^${base}(\\d+)$`, 'i')) }))
+    .filter(({ match }) => match)
+    .sort((a, b) => parseInt(a.match[1]) - parseInt(b.match[1]))
+    .map(({ param }) => param.value);
+}
+
+// Matches of the group: those in its Matchlists (matchGroupId), otherwise every match
+// played between two of its opponents
+function findGroupMatches(template, entries, matches) {
+  const ids = getNumberedParams(template, 'matchGroupId')
+    .map(value => nodesToText(value).trim())
+    .filter(id => id);
+  const single = getParamText(template, 'matchGroupId');
+  if (single) ids.push(single);
+
+  if (ids.length > 0) {
+    return matches.filter(match => ids.includes(match.bracket_id));
+  }
+
+  const names = entries.map(entry => entry.opponent.name);
+  return matches.filter(match => match.opponents.length === 2 &&
+    match.opponents.every(opponent => names.includes(opponent.name)));
+}
+
+function applyMatch(entries, match) {
+  if (!match.finished || match.winner_index === null) return;
+
+  match.opponents.forEach((opponent, index) => {
+    const entry = entries.find(row => row.opponent.name === opponent.name);
+    if (!entry) return;
+
+    const other = match.opponents[1 - index];
+    if (match.winner_index === 0) {
+      entry.match_draws++;
+    } else if (match.winner_index === index + 1) {
+      entry.match_wins++;
+    } else {
+      entry.match_losses++;
+    }
+
+    if (typeof opponent.score === 'number') entry.map_wins += opponent.score;
+    if (typeof other.score === 'number') entry.map_losses += other.score;
+  });
+}
+
+// Points only when the table defines a scoring (win_p / tie_p / lose_p)
+function parseScoring(template) {
+  const win = toNumber(getParamText(template, 'win_p'));
+  const draw = toNumber(getParamText(template, 'tie_p'));
+  const loss = toNumber(getParamText(template, 'lose_p'));
+  if (win === null && draw === null && loss === null) return null;
+  return { win: win || 0, draw: draw || 0, loss: loss || 0 };
+}
+
+function parseGroupTableLeague(template, matches) {
+  const entries = getNumberedParams(template, 'opponent')
+    .map(value => parseOpponent(value))
+    .filter(opponent => opponent.name)
+    .map(opponent => createEntry({ opponent: opponent.type === 'literal' ? { ...opponent, type: 'team' } : opponent }));
+
+  for (const match of findGroupMatches(template, entries, matches)) {
+    applyMatch(entries, match);
+  }
+
+  const scoring = parseScoring(template);
+  if (scoring) {
+    for (const entry of entries) {
+      entry.points = entry.match_wins * scoring.win + entry.match_draws * scoring.draw + entry.match_losses * scoring.loss;
+    }
+  }
+
+  // Points (when scored), then match difference, then map difference; ties keep the listed order
+  const ranked = entries
+    .map((entry, index) => ({ entry, index }))
+    .sort((a, b) =>
+      ((b.entry.points || 0) - (a.entry.points || 0)) ||
+      ((b.entry.match_wins - b.entry.match_losses) - (a.entry.match_wins - a.entry.match_losses)) ||
+      ((b.entry.map_wins - b.entry.map_losses) - (a.entry.map_wins - a.entry.map_losses)) ||
+      (a.index - b.index))
+    .map(({ entry }, index) => {
+      const bg = getParamText(template, `pbg${index + 1}`) || getParamText(template, `bg${index + 1}`);
+      return { ...entry, rank: index + 1, bg, status: toStatus(bg) };
+    });
+
+  return {
+    name: getFirstParamText(template, ['title', 'name']),
+    type: 'league',
+    entries: ranked
+  };
+}
+
+// Group tables in document order; slot rows belong to the GroupTableStart before them
+function collectGroupTables(nodes, matches) {
+  const groups = [];
+  let current = null;
+
+  const templates = findTemplates(nodes, ['grouptableleague', 'grouptablestart', 'grouptableslot', 'grouptableend']);
+  for (const template of templates) {
+    const name = normalizeName(template.name);
+
+    if (name === 'grouptableleague') {
+      // type=swiss tables are Swiss stages (see swissParser)
+      if (!isSwissTable(template)) groups.push(parseGroupTableLeague(template, matches));
+    } else if (name === 'grouptablestart') {
+      current = {
+        name: getFirstParamText(template, ['title', 1]),
+        type: 'slots',
+        entries: []
+      };
+      groups.push(current);
+    } else if (name === 'grouptableend') {
+      current = null;
+    } else {
+      // Slots without a start template still form a table
+      if (!current) {
+        current = { name: null, type: 'slots', entries: [] };
+        groups.push(current);
+      }
+      const entry = parseGroupTableSlot(template, current.entries.length);
+      if (entry) current.entries.push(entry);
+    }
+  }
+
+  return groups;
+}
+
+// Every group table on the page. matches are the page's parsed matches (parseMatches),
+// used to compute GroupTableLeague standings.
+function parseGroupTables(nodes, matches = []) {
+  const groups = collectGroupTables(nodes, matches).filter(group => group.entries.length > 0);
+
+  return groups.map((group, index) => ({
+    ...group,
+    name: group.name || `Group ${String.fromCharCode(65 + index)}`
+  }));
+}
+
+module.exports = {
+  BG_STATUSES,
+  parseGroupTables
+};
@@ -0,0 +1,506 @@
+// Rendered page (action=parse HTML) parsing.
+//
+// Reads the markup Liquipedia's modules render, which also shows what the page's wikitext
+// does not spell out (transcluded brackets, results entered on match pages, dates):
+//   brackets    .brkts-bracket: one .brkts-round-header .brkts-header per round, matches in
+//               .brkts-match, nested one .brkts-round-lower deeper per earlier round. Each
+//               .brkts-opponent-entry holds the opponent and a .brkts-opponent-score-inner,
+//               and the winner's cells carry .brkts-opponent-win.
+//   matchlists  .brkts-matchlist: a .brkts-matchlist-title, .brkts-matchlist-header rows and
+//               .brkts-matchlist-match rows of two .brkts-matchlist-opponent and two
+//               .brkts-matchlist-score cells (.brkts-matchlist-slot-winner on the winner)
+//   groups      table.grouptable, one row per opponent; bg-up / bg-down row classes
+//   prize pool  .prizepooltable as a css table (.csstable-widget-row) or a wikitable, with the
+//               columns named by its header row
+// Opponents are the .team-template-* or .block-player blocks; their link title is the page.
+//
+// parseRenderedPage returns matches, group entries and placement rows in the same shapes as
+// the wikitext parsers (createMatch, parseGroupTables, parsePrizePool). mergeRenderedData adds
+// them to a wikitext parse, filling in only what the wikitext left out.
+
+const cheerio = require('cheerio');
+
+const { normalizeName } = require('./wikitextParser');
+const { createMatch, createOpponent, toRace } = require('./matchParser');
+const { parseDate } = require('./dateParser');
+const { parsePlace } = require('./prizePoolParser');
+const { BG_STATUSES } = require('./groupTableParser');
+const { parseAmount, detectCurrency, normalizeCurrency } = require('./moneyParser');
+
+const TEAM_SELECTOR = [
+  '.team-template-team-standard',
+  '.team-template-team-short',
+  '.team-template-team-bracket',
+  '.team-template-team2-standard',
+  '.team-template-text',
+  '.block-team'
+].join(', ');
+
+function cleanText(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim();
+}
+
+function isPlaceholder(name) {
+  return /^(tbd|tba|bye)?$/i.test(cleanText(name));
+}
+
+function toScore(text) {
+  const value = cleanText(text);
+  if (!value) return null;
+  return /^-?\d+$/.test(value) ? parseInt(value) : value;
+}
+
+// Page an element names: its first link (red links included), a highlighting class or its text
+function entityName($, element) {
+  const $element = $(element);
+  const link = $element.find('a[title]').toArray()
+    .map(anchor => $(anchor).attr('title'))
+    .find(title => !/^(file|image|category|template):/i.test(title));
+  if (link) return cleanText(link.replace(/\s*\(page does not exist\)$/, ''));
+
+  const highlighted = $element.is('[data-highlightingclass]')
+    ? $element
+    : $element.find('[data-highlightingclass]').first();
+  if (highlighted.length > 0) return cleanText(highlighted.attr('data-highlightingclass')) || null;
+
+  return cleanText($element.text()) || null;
+}
+
+// Flags and race icons name themselves in the image title or alt text
+function iconName($, element) {
+  const image = $(element).find('img').first();
+  if (image.length === 0) return null;
+  return cleanText(image.attr('title') || image.attr('alt')) || null;
+}
+
+// Opponent in a bracket, matchlist, group or prize pool cell
+function parseOpponentElement($, element) {
+  const $element = $(element);
+
+  const players = $element.find('.block-player').toArray()
+    .map(player => {
+      const name = $(player).find('.name').first();
+      return {
+        name: entityName($, name.length > 0 ? name : player),
+        flag: iconName($, $(player).find('.flag').first()),
+        race: toRace(iconName($, $(player).find('.race').first()))
+      };
+    })
+    .filter(player => !isPlaceholder(player.name));
+
+  if (players.length > 1) {
+    return createOpponent({ type: 'party', name: players.map(player => player.name).join(' / '), players });
+  }
+  if (players.length === 1) {
+    return createOpponent({ type: 'solo', name: players[0].name, flag: players[0].flag, race: players[0].race, players });
+  }
+
+  const team = $element.find(TEAM_SELECTOR).first();
+  const name = team.length > 0
+    ? entityName($, team)
+    : cleanText($element.attr('aria-label')) || entityName($, element);
+
+  return createOpponent({
+    name: isPlaceholder(name) ? null : name,
+    flag: iconName($, $element.find('.flag').first())
+  });
+}
+
+// Kick-off from the match popup's countdown (data-timestamp is in seconds)
+function parseTimer($, element) {
+  const timer = $(element).find('.timer-object').first();
+  if (timer.length === 0) return null;
+
+  const parsed = parseDate(timer.text());
+  const seconds = parseInt(timer.attr('data-timestamp'));
+  if (isNaN(seconds) || seconds <= 0) return parsed;
+
+  return {
+    raw: parsed ? parsed.raw : null,
+    timestamp: new Date(seconds * 1000).toISOString(),
+    timezone: parsed ? parsed.timezone : null,
+    precision: 'minute'
+  };
+}
+
+function toMatch(opponents, winnerIndex, fields) {
+  return createMatch({
+    format: 'html',
+    opponents,
+    winner_index: winnerIndex,
+    finished: winnerIndex !== null,
+    ...fields
+  });
+}
+
+// Header text without the short variants rendered next to it
+function headerText($, element) {
+  return cleanText($(element).clone().children().remove().end().text()) || cleanText($(element).text()) || null;
+}
+
+function parseBrackets($) {
+  const matches = [];
+
+  $('.brkts-bracket').each((bracketIndex, bracket) => {
+    const bracketId = $(bracket).closest('[data-bracket-id]').attr('data-bracket-id') || null;
+    const headers = $(bracket).find('.brkts-round-header .brkts-header').toArray()
+      .map(header => headerText($, header));
+
+    // Earlier rounds sit one .brkts-round-lower deeper than the match they feed
+    const entries = $(bracket).find('.brkts-match').toArray().map(match => ({
+      match,
+      depth: $(match).parentsUntil(bracket, '.brkts-round-lower').length
+    }));
+    const maxDepth = Math.max(0, ...entries.map(entry => entry.depth));
+
+    for (const { match, depth } of entries) {
+      const round = maxDepth - depth + 1;
+      const slots = $(match).children('.brkts-opponent-entry').toArray();
+      if (slots.length === 0) continue;
+
+      const opponents = slots.map(slot => {
+        const left = $(slot).children('.brkts-opponent-entry-left').first();
+        const opponent = parseOpponentElement($, left.length > 0 ? left : slot);
+        opponent.score = toScore($(slot).find('.brkts-opponent-score-inner').first().text());
+        return opponent;
+      });
+      const winner = slots.findIndex(slot => $(slot).find('.brkts-opponent-win').length > 0);
+
+      matches.push(toMatch(opponents, winner === -1 ? null : winner + 1, {
+        bracket_id: bracketId,
+        round: `Round ${round}`,
+        header: headers[round - 1] || null,
+        date: parseTimer($, match)
+      }));
+    }
+  });
+
+  return matches;
+}
+
+function parseMatchlists($) {
+  const matches = [];
+
+  $('.brkts-matchlist').each((listIndex, list) => {
+    const bracketId = $(list).closest('[data-bracket-id]').attr('data-bracket-id') || null;
+    let header = cleanText($(list).find('.brkts-matchlist-title').first().text()) || null;
+
+    $(list).find('.brkts-matchlist-header, .brkts-matchlist-match').each((rowIndex, row) => {
+      if ($(row).hasClass('brkts-matchlist-header')) {
+        if ($(row).find('.brkts-matchlist-title').length === 0) header = cleanText($(row).text()) || header;
+        return;
+      }
+
+      const cells = $(row).children('.brkts-matchlist-opponent').toArray();
+      const scores = $(row).children('.brkts-matchlist-score').toArray();
+      if (cells.length === 0) return;
+
+      const opponents = cells.map((cell, index) => {
+        const opponent = parseOpponentElement($, cell);
+        opponent.score = scores[index] ? toScore($(scores[index]).text()) : null;
+        return opponent;
+      });
+      const winner = cells.findIndex((cell, index) => $(cell).hasClass('brkts-matchlist-slot-winner') ||
+        (scores[index] && $(scores[index]).hasClass('brkts-matchlist-slot-winner')));
+
+      matches.push(toMatch(opponents, winner === -1 ? null : winner + 1, {
+        bracket_id: bracketId,
+        header,
+        date: parseTimer($, row)
+      }));
+    });
+  });
+
+  return matches;
+}
+
+// "bg-up" style class on the row or its first cell
+function rowBackground($, row) {
+  const classes = `${$(row).attr('class') || ''} ${$(row).children().first().attr('class') || ''}`;
+  const match = classes.match(/\bbg-([a-z]+)\b/i);
+  return match ? match[1].toLowerCase() : null;
+}
+
+// "2-0" / "2-1-0" record cells: the first is matches, the second maps
+function parseRecord(text) {
+  const match = cleanText(text).match(/^(\d+)\s*-\s*(\d+)(?:\s*-\s*(\d+))?$/);
+  if (!match) return null;
+  return match[3] !== undefined
+    ? { wins: parseInt(match[1]), draws: parseInt(match[2]), losses: parseInt(match[3]) }
+    : { wins: parseInt(match[1]), draws: 0, losses: parseInt(match[2]) };
+}
+
+function parseGroupTable($, table) {
+  const title = $(table).find('.grouptable-title').first();
+  const firstHeader = $(table).find('tr').first().children('th');
+  const name = title.length > 0
+    ? cleanText(title.text())
+    : (firstHeader.length === 1 ? cleanText(firstHeader.text()) : null);
+
+  const entries = [];
+  $(table).find('tr').each((rowIndex, row) => {
+    const cells = $(row).children('td, th').toArray();
+    const opponentIndex = cells.findIndex(cell => $(cell).find(`${TEAM_SELECTOR}, .block-player`).length > 0);
+    if (opponentIndex === -1) return;
+
+    const opponent = parseOpponentElement($, cells[opponentIndex]);
+    if (!opponent.name) return;
+
+    const records = [];
+    let points = null;
+    for (const cell of cells.slice(opponentIndex + 1)) {
+      const text = cleanText($(cell).text());
+      const record = parseRecord(text);
+      const pointsMatch = text.match(/^(-?\d+(?:\.\d+)?)\s*(?:p|pts?|points?)$/i);
+      if (record) records.push(record);
+      else if (pointsMatch) points = parseFloat(pointsMatch[1]);
+    }
+
+    const place = parseInt(cleanText($(cells[0]).text()));
+    const bg = rowBackground($, row);
+    entries.push({
+      rank: isNaN(place) || opponentIndex === 0 ? entries.length + 1 : place,
+      opponent,
+      match_wins: records[0] ? records[0].wins : 0,
+      match_draws: records[0] ? records[0].draws : 0,
+      match_losses: records[0] ? records[0].losses : 0,
+      map_wins: records[1] ? records[1].wins : 0,
+      map_losses: records[1] ? records[1].losses : 0,
+      points,
+      bg,
+      status: bg ? BG_STATUSES[bg] || null : null
+    });
+  });
+
+  return { name, type: 'html', entries };
+}
+
+// Column roles from the prize pool header ("Place", "$ USD", "€ EUR", "Points", "Participant")
+function parsePrizePoolHeader($, cells) {
+  return cells.map(cell => {
+    const text = cleanText($(cell).text());
+    if (/place/i.test(text)) return { role: 'place' };
+    if (/qualif/i.test(text)) return { role: 'qualified' };
+    if (/points|pts/i.test(text)) return { role: 'points' };
+    if (/participant|team|player|opponent/i.test(text)) return { role: 'opponent' };
+
+    const currency = normalizeCurrency(detectCurrency(text));
+    if (currency === 'USD') return { role: 'usd' };
+    if (currency) return { role: 'local', currency };
+    return { role: null };
+  });
+}
+
+function parsePrizePoolTable($, table) {
+  const cssTable = $(table).find('.csstable-widget-row').length > 0;
+  const rowElements = cssTable ? $(table).find('.csstable-widget-row') : $(table).find('tr');
+  const cellSelector = cssTable ? '.csstable-widget-cell' : 'td, th';
+
+  const rows = [];
+  let columns = null;
+  let previous = null;
+
+  rowElements.each((rowIndex, row) => {
+    const cells = $(row).children(cellSelector).toArray();
+    if (cells.length === 0) return;
+
+    if (!columns) {
+      if (cells.some(cell => /place/i.test($(cell).text()))) columns = parsePrizePoolHeader($, cells);
+      return;
+    }
+
+    // Shared places span rows: later rows only have the trailing (participant) cells
+    const offset = Math.max(0, columns.length - cells.length);
+    const slot = offset > 0 && previous ? { ...previous } : {
+      place: null,
+      prize_usd: null,
+      prize_local: null,
+      local_currency: null,
+      points: null,
+      qualified: null
+    };
+    let opponent = null;
+
+    cells.forEach((cell, index) => {
+      const column = columns[offset + index] || { role: null };
+      const text = cleanText($(cell).text());
+
+      if (column.role === 'place') slot.place = text.replace(/(\d+)(?:st|nd|rd|th)\b/gi, '$1') || null;
+      if (column.role === 'usd') slot.prize_usd = parseAmount(text);
+      if (column.role === 'local') {
+        slot.prize_local = parseAmount(text);
+        slot.local_currency = column.currency;
+      }
+      if (column.role === 'points') slot.points = parseAmount(text);
+      if (column.role === 'qualified') slot.qualified = text || null;
+      if (column.role === 'opponent') opponent = parseOpponentElement($, cell);
+    });
+
+    previous = slot;
+    if (!slot.place) return;
+
+    const place = parsePlace(slot.place);
+    rows.push({
+      place: slot.place,
+      place_start: place.start,
+      place_end: place.end,
+      prize_usd: slot.prize_usd,
+      prize_local: slot.prize_local,
+      local_currency: slot.local_currency,
+      points: slot.points,
+      qualified: slot.qualified,
+      opponent_type: opponent && opponent.name ? opponent.type : null,
+      opponent_name: opponent ? opponent.name : null,
+      opponent_flag: opponent ? opponent.flag : null
+    });
+  });
+
+  return rows;
+}
+
+// Team names listed on the page, TeamCards first
+function collectParticipants($, matches, groups, results) {
+  const names = $('.teamcard').toArray()
+    .map(card => {
+      const heading = $(card).find('center').first();
+      return entityName($, heading.length > 0 ? heading : card);
+    });
+
+  for (const match of matches) {
+    names.push(...match.opponents.filter(opponent => opponent.type === 'team').map(opponent => opponent.name));
+  }
+  for (const group of groups) {
+    names.push(...group.entries.filter(entry => entry.opponent.type === 'team').map(entry => entry.opponent.name));
+  }
+  names.push(...results.filter(row => row.opponent_type === 'team').map(row => row.opponent_name));
+
+  return [...new Set(names.filter(name => !isPlaceholder(name)))];
+}
+
+// Matches, group tables, placements and team names of a rendered page
+function parseRenderedPage(html) {
+  const $ = cheerio.load(String(html || ''));
+
+  const matches = [...parseBrackets($), ...parseMatchlists($)];
+  const groups = $('table.grouptable').toArray()
+    .map(table => parseGroupTable($, table))
+    .filter(group => group.entries.length > 0);
+  const results = $('.prizepooltable').toArray()
+    .flatMap(table => parsePrizePoolTable($, table))
+    .sort((a, b) => (a.place_start || Infinity) - (b.place_start || Infinity));
+
+  return {
+    participants: collectParticipants($, matches, groups, results),
+    matches,
+    groups,
+    results
+  };
+}
+
+// Wikitext match with the rendered match's opponents (either order) that is not taken yet,
+// preferring one under the same header: { index, swapped } or null
+function findParsedMatch(matches, rendered, used, key) {
+  const [first, second] = rendered.opponents.map(opponent => key(opponent.name));
+  const candidates = matches
+    .map((match, index) => ({ match, index }))
+    .filter(({ match, index }) => !used.has(index) && match.opponents.length === 2)
+    .map(({ match, index }) => {
+      const names = match.opponents.map(opponent => key(opponent.name));
+      if (names[0] === first && names[1] === second) return { match, index, swapped: false };
+      if (names[0] === second && names[1] === first) return { match, index, swapped: true };
+      return null;
+    })
+    .filter(candidate => candidate);
+
+  return candidates.find(({ match }) => rendered.header && match.header === rendered.header) || candidates[0] || null;
+}
+
+// Scores, winner and date the wikitext match leaves out, taken from the rendered one
+function fillMatch(match, rendered, swapped) {
+  const opponents = match.opponents.map((opponent, index) => {
+    const source = rendered.opponents[swapped ? 1 - index : index];
+    return {
+      ...opponent,
+      score: opponent.score !== null ? opponent.score : source.score,
+      flag: opponent.flag || source.flag,
+      race: opponent.race || source.race
+    };
+  });
+
+  let winnerIndex = match.winner_index;
+  if (winnerIndex === null && rendered.winner_index) {
+    winnerIndex = swapped ? 3 - rendered.winner_index : rendered.winner_index;
+  }
+
+  return createMatch({
+    ...match,
+    opponents,
+    winner_index: winnerIndex,
+    finished: match.finished || rendered.finished,
+    header: match.header || rendered.header,
+    date: match.date || rendered.date
+  });
+}
+
+function hasPlayedMatches(group) {
+  return group.entries.some(entry => entry.match_wins + entry.match_draws + entry.match_losses > 0);
+}
+
+// The wikitext parse with the rendered page's data added: participants and matches it does not
+// have, missing scores, winners and dates of the matches it has, group tables it lacks (or whose
+// matches it has no results for) and, when it found no prize pool, the rendered placements.
+// aliases maps names to their canonical page, so shortnames and page titles compare equal.
+function mergeRenderedData(parsed, rendered, { aliases = {} } = {}) {
+  const key = name => normalizeName(aliases[name] || name);
+
+  const participants = [...parsed.participants];
+  const known = new Set(participants.map(key));
+  for (const name of rendered.participants) {
+    if (known.has(key(name))) continue;
+    known.add(key(name));
+    participants.push(name);
+  }
+
+  const matches = [...parsed.matches];
+  const used = new Set();
+  const added = [];
+  for (const match of rendered.matches) {
+    if (match.opponents.length !== 2 || match.opponents.some(opponent => !opponent.name)) continue;
+
+    const found = findParsedMatch(matches, match, used, key);
+    if (!found) {
+      added.push(match);
+      continue;
+    }
+    used.add(found.index);
+    matches[found.index] = fillMatch(found.match, match, found.swapped);
+  }
+
+  // Swiss stages render as group tables as well
+  const sameOpponents = (entries, names) => entries.length === names.size &&
+    entries.every(entry => names.has(key(entry.opponent.name)));
+  const groups = [...parsed.groups];
+  for (const group of rendered.groups) {
+    const names = new Set(group.entries.map(entry => key(entry.opponent.name)));
+    if ((parsed.swiss || []).some(stage => sameOpponents(stage.standings, names))) continue;
+
+    const index = groups.findIndex(existing => sameOpponents(existing.entries, names));
+    if (index === -1) {
+      groups.push(group);
+    } else if (!hasPlayedMatches(groups[index]) && hasPlayedMatches(group)) {
+      groups[index] = { ...groups[index], entries: group.entries };
+    }
+  }
+
+  return {
+    participants,
+    matches: [...matches, ...added],
+    groups,
+    results: parsed.results.length > 0 ? parsed.results : rendered.results
+  };
+}
+
+module.exports = {
+  parseRenderedPage,
+  mergeRenderedData
+};
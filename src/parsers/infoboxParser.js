@@ -0,0 +1,321 @@
+// Player and team infobox parsing.
+//
+// parsePlayerInfobox reads {{Infobox player}} plus the {{TH}} team history entries:
+//   {{TH|2019-01-01 — 2020-05-10|Team Alpha}} or {{TH|2019-01-01|2020-05-10|Team Alpha}}
+// parseTeamInfobox reads {{Infobox team}} plus the squad tables:
+//   {{ActiveSquad|{{SquadPlayer|id=AlphaOne|joindate=2019-07-01|position=AWPer}}}}
+//
+// Both take the infobox params to read for each field ({ role: ['role', 'position'] }) from
+// the game's profile. Profile fields outside the standard output come back as text under
+// game_fields.
+
+const {
+  normalizeName,
+  nodesToText,
+  findTemplate,
+  findTemplates,
+  getParam,
+  getParamText,
+  getFirstParamText,
+  extractEntityName,
+  extractLinkLabels
+} = require('./wikitextParser');
+const { toDateOnly } = require('./dateParser');
+
+// Squad containers and the status of the players inside them
+const SQUAD_STATUSES = {
+  activesquad: 'active',
+  inactivesquad: 'inactive',
+  formersquad: 'former',
+  squad: null,
+  squadstart: null
+};
+
+const PERSON_TEMPLATES = ['player', 'playersp', 'team', 'teamshort', 'teampart', 'teamicon'];
+
+// Signature hero/agent/champion params differ per game
+const SIGNATURE_PARAM = /^(signature_?)?(hero|agent|champion|character|legend|operator|unit)\d*$/i;
+
+// Infobox params read for each field, unless the game's profile maps them differently
+const PLAYER_FIELDS = {
+  handle: ['id'],
+  alternate_ids: ['ids'],
+  real_name: ['name'],
+  romanized_name: ['romanized_name', 'romanized name'],
+  nationality: ['nationality'],
+  current_team: ['team'],
+  role: ['role', 'position'],
+  status: ['status']
+};
+
+const TEAM_FIELDS = {
+  display_name: ['name'],
+  region: ['region'],
+  location: ['location', 'country'],
+  created: ['created'],
+  disbanded: ['disbanded'],
+  coaches: ['coach', 'coaches'],
+  managers: ['manager', 'managers'],
+  captain: ['captain'],
+  sponsors: ['sponsor', 'sponsors']
+};
+
+// "2019-01-01 — Present": em/en dashes, or a hyphen with spaces around it
+const DATE_RANGE_SEPARATOR = /\s*[—–]\s*|\s+-\s+|\s*&mdash;\s*|\s*&ndash;\s*/;
+
+function getFirstParam(infobox, keys) {
+  for (const key of keys) {
+    const value = getParam(infobox, key);
+    if (value) return value;
+  }
+  return null;
+}
+
+// Profile fields the standard output does not know about, as text
+function getGameFields(infobox, fields, standardFields) {
+  const gameFields = {};
+  for (const [field, keys] of Object.entries(fields)) {
+    if (!(field in standardFields)) gameFields[field] = getFirstParamText(infobox, keys);
+  }
+  return gameFields;
+}
+
+function findPlayerInfobox(nodes) {
+  return findTemplate(nodes, name => name.startsWith('infobox player') || name === 'infobox person');
+}
+
+// birth_date=1997-08-22 or {{Birth date and age|1997|8|22}}
+function parseBirthDate(infobox) {
+  const value = getParam(infobox, 'birth_date') || getParam(infobox, 'birthdate');
+  if (!value) return null;
+
+  const template = value.find(node => node.type === 'template' && normalizeName(node.name).startsWith('birth date'));
+  if (template) {
+    const [year, month, day] = [1, 2, 3].map(index => parseInt(getParamText(template, index)));
+    if (year && month && day) {
+      return toDateOnly(`${year}-${month}-${day}`);
+    }
+  }
+
+  return toDateOnly(nodesToText(value));
+}
+
+// Numbered params (country, country2, country3 ...) in order
+function getNumberedParamTexts(infobox, base) {
+  const values = [];
+  for (let index = 1; index <= 10; index++) {
+    const text = getParamText(infobox, index === 1 ? base : `${base}${index}`) ||
+      (index === 1 ? getParamText(infobox, `${base}1`) : null);
+    if (text) values.push(text);
+  }
+  return [...new Set(values)];
+}
+
+// hero2={{HeroIcon|Mercy}}: icon templates carry the name in their first argument
+function extractSignatureName(nodes) {
+  const name = extractEntityName(nodes);
+  if (name) return name;
+
+  const template = nodes.find(node => node.type === 'template');
+  return template ? getParamText(template, 1) : null;
+}
+
+function parseTeamHistoryEntry(template, order) {
+  const positional = template.params
+    .filter(param => param.index !== null)
+    .map(param => param.value);
+
+  let range = [];
+  let teamNodes = null;
+  if (positional.length >= 3) {
+    range = [nodesToText(positional[0]).trim(), nodesToText(positional[1]).trim()];
+    teamNodes = positional[2];
+  } else if (positional.length === 2) {
+    range = nodesToText(positional[0]).split(DATE_RANGE_SEPARATOR).map(part => part.trim());
+    teamNodes = positional[1];
+  } else {
+    return null;
+  }
+
+  const team = extractEntityName(teamNodes);
+  if (!team) return null;
+
+  const [joinText = '', leaveText = ''] = range;
+  const isCurrent = !leaveText || /^present$/i.test(leaveText);
+
+  return {
+    order,
+    team,
+    role: getParamText(template, 'role') || getParamText(template, 'position'),
+    join_date: toDateOnly(joinText),
+    leave_date: isCurrent ? null : toDateOnly(leaveText),
+    join_date_raw: joinText || null,
+    leave_date_raw: isCurrent ? null : leaveText,
+    is_current: isCurrent
+  };
+}
+
+function parseTeamHistory(nodes) {
+  return findTemplates(nodes, ['TH', 'TeamHistory', 'Team history'])
+    .map((template, index) => parseTeamHistoryEntry(template, index + 1))
+    .filter(entry => entry);
+}
+
+function parsePlayerInfobox(nodes, { fields = {}, signature: signatureParam = SIGNATURE_PARAM } = {}) {
+  const infobox = findPlayerInfobox(nodes);
+  const keys = { ...PLAYER_FIELDS, ...fields };
+
+  const signature = [];
+  if (infobox) {
+    for (const param of infobox.params) {
+      if (param.name && signatureParam.test(param.name)) {
+        const name = extractSignatureName(param.value);
+        if (name) signature.push(name);
+      }
+    }
+  }
+
+  const countries = getNumberedParamTexts(infobox, 'country');
+  const nationality = getFirstParamText(infobox, keys.nationality);
+
+  return {
+    handle: getFirstParamText(infobox, keys.handle),
+    // Other IDs the player has competed under (ids=Alpha1, AlphaUno)
+    alternate_ids: getNameListParam(infobox, keys.alternate_ids),
+    real_name: getFirstParamText(infobox, keys.real_name),
+    romanized_name: getFirstParamText(infobox, keys.romanized_name),
+    birth_date: parseBirthDate(infobox),
+    countries: countries.length > 0 ? countries : (nationality ? [nationality] : []),
+    nationality: nationality || countries[0] || null,
+    current_team: extractEntityName(getFirstParam(infobox, keys.current_team)),
+    role: getFirstParamText(infobox, keys.role),
+    status: getFirstParamText(infobox, keys.status),
+    signature: [...new Set(signature)],
+    team_history: parseTeamHistory(nodes),
+    game_fields: getGameFields(infobox, fields, PLAYER_FIELDS)
+  };
+}
+
+function findTeamInfobox(nodes) {
+  return findTemplate(nodes, name => name.startsWith('infobox team'));
+}
+
+// "coaches={{Player|Coach1}}<br>{{Player|Coach2}}", "[[A]], [[B]]" or plain "A, B"
+function extractNameList(nodes) {
+  if (!nodes) return [];
+
+  const names = nodes
+    .filter(node => (node.type === 'template' && PERSON_TEMPLATES.includes(normalizeName(node.name))) ||
+      (node.type === 'link' && !/^(file|image|category):/i.test(node.target)))
+    .map(node => extractEntityName([node]))
+    .filter(name => name);
+
+  if (names.length > 0) return [...new Set(names)];
+
+  return nodesToText(nodes)
+    .split(/,|<br\s*\/?>|\n/i)
+    .map(entry => entry.trim())
+    .filter(entry => entry);
+}
+
+function getNameListParam(infobox, keys) {
+  const names = [];
+  for (const key of keys) {
+    names.push(...extractNameList(getParam(infobox, key)));
+  }
+  return [...new Set(names)];
+}
+
+// Date params keep their raw text next to the normalized date
+function getDateParam(infobox, keys) {
+  const raw = getFirstParamText(infobox, keys);
+  return { date: raw ? toDateOnly(raw) : null, raw };
+}
+
+function squadStatus(template) {
+  const name = normalizeName(template.name);
+  if (SQUAD_STATUSES[name]) return SQUAD_STATUSES[name];
+
+  const status = (getFirstParamText(template, ['status', 'type']) || 'active').toLowerCase();
+  return ['active', 'inactive', 'former'].includes(status) ? status : 'active';
+}
+
+function parseSquadPlayer(template, status, order) {
+  const id = getFirstParamText(template, ['id', 1]);
+  if (!id) return null;
+
+  const joinRaw = getFirstParamText(template, ['joindate', 'join_date']);
+  const leaveRaw = getFirstParamText(template, ['leavedate', 'leave_date']);
+  const inactiveRaw = getFirstParamText(template, ['inactivedate', 'inactive_date']);
+
+  return {
+    order,
+    id,
+    page: getFirstParamText(template, ['link']) || id,
+    name: getFirstParamText(template, ['name']),
+    flag: getFirstParamText(template, ['flag']),
+    position: getFirstParamText(template, ['position', 'role']),
+    status,
+    captain: /^(yes|true|1)$/i.test(getParamText(template, 'captain') || ''),
+    join_date: toDateOnly(joinRaw),
+    leave_date: toDateOnly(leaveRaw),
+    inactive_date: toDateOnly(inactiveRaw),
+    join_date_raw: joinRaw,
+    leave_date_raw: leaveRaw,
+    new_team: extractEntityName(getParam(template, 'newteam'))
+  };
+}
+
+// Squad tables in document order: the container before a SquadPlayer sets its status
+function parseTeamSquads(nodes) {
+  const squad = [];
+  let status = 'active';
+
+  const templates = findTemplates(nodes, name => name in SQUAD_STATUSES || name === 'squadplayer');
+  for (const template of templates) {
+    if (normalizeName(template.name) !== 'squadplayer') {
+      status = squadStatus(template);
+      continue;
+    }
+
+    const player = parseSquadPlayer(template, status, squad.length + 1);
+    if (player) squad.push(player);
+  }
+
+  return squad;
+}
+
+function parseTeamInfobox(nodes, { fields = {} } = {}) {
+  const infobox = findTeamInfobox(nodes);
+  const keys = { ...TEAM_FIELDS, ...fields };
+  const created = getDateParam(infobox, keys.created);
+  const disbanded = getDateParam(infobox, keys.disbanded);
+  const sponsors = getFirstParam(infobox, keys.sponsors);
+
+  return {
+    display_name: getFirstParamText(infobox, keys.display_name),
+    region: getFirstParamText(infobox, keys.region),
+    location: getFirstParamText(infobox, keys.location),
+    locations: getNumberedParamTexts(infobox, 'location'),
+    created: created.date,
+    created_raw: created.raw,
+    disbanded: disbanded.date,
+    disbanded_raw: disbanded.raw,
+    coaches: getNameListParam(infobox, keys.coaches),
+    managers: getNameListParam(infobox, keys.managers),
+    captain: extractEntityName(getFirstParam(infobox, keys.captain)),
+    sponsors: sponsors ? extractLinkLabels(sponsors) : [],
+    squad: parseTeamSquads(nodes),
+    game_fields: getGameFields(infobox, fields, TEAM_FIELDS)
+  };
+}
+
+module.exports = {
+  PLAYER_FIELDS,
+  TEAM_FIELDS,
+  SIGNATURE_PARAM,
+  parsePlayerInfobox,
+  parseTeamHistory,
+  parseTeamInfobox,
+  parseTeamSquads
+};
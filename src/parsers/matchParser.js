@@ -0,0 +1,531 @@
+// Match extraction for tournament and match pages.
+//
+// Understands Match2 ({{Match|opponent1={{TeamOpponent|...}}|map1={{Map|...}}}} inside
+// {{Bracket}}, {{Matchlist}} or {{SingleMatch}}), legacy {{Bracket/...}} slot params and
+// {{MatchMaps}}. Every format is returned in the same shape (see createMatch).
+
+const {
+  normalizeName,
+  nodesToText,
+  findTemplates,
+  getParam,
+  getParamText,
+  extractEntityName
+} = require('./wikitextParser');
+const { parseDate } = require('./dateParser');
+
+const OPPONENT_TYPES = {
+  teamopponent: 'team',
+  opponent: 'team',
+  soloopponent: 'solo',
+  playeropponent: 'solo',
+  '1opponent': 'solo',
+  duoopponent: 'party',
+  trioopponent: 'party',
+  quadopponent: 'party',
+  partyopponent: 'party',
+  '2opponent': 'party',
+  '3opponent': 'party',
+  '4opponent': 'party',
+  literalopponent: 'literal'
+};
+
+// StarCraft race codes (race=z, p1race=t) and the names they stand for
+const RACES = {
+  p: 'protoss',
+  t: 'terran',
+  z: 'zerg',
+  r: 'random'
+};
+
+const MATCH_TEMPLATES = ['match', 'match2'];
+
+// Templates whose id= names the bracket or matchlist of the matches inside them
+const MATCH_CONTAINERS = ['bracket', 'matchlist', 'singlematch'];
+
+// The side the other team starts on when only team 1's first side is given
+const OPPOSITE_SIDES = {
+  ct: 't',
+  t: 'ct',
+  atk: 'def',
+  def: 'atk',
+  attack: 'defense',
+  defense: 'attack',
+  radiant: 'dire',
+  dire: 'radiant',
+  blue: 'red',
+  red: 'blue'
+};
+
+function isTrue(value) {
+  return /^(true|1|yes|y)$/i.test(String(value || '').trim());
+}
+
+function toScore(value) {
+  if (value === null || value === undefined || value === '') return null;
+  return /^-?\d+$/.test(value) ? parseInt(value) : value;
+}
+
+function toInteger(value) {
+  const number = parseInt(value);
+  return isNaN(number) ? null : number;
+}
+
+function toRace(value) {
+  const text = String(value || '').trim().toLowerCase();
+  if (!text) return null;
+  return RACES[text] || Object.values(RACES).find(race => race === text) || null;
+}
+
+function isPlaceholder(name) {
+  return /^(tbd|tba|bye)?$/i.test(String(name || '').trim());
+}
+
+// Winner index from numeric scores; W/FF style scores decide forfeits
+function winnerFromScores(score1, score2) {
+  if (score1 === 'W' || score2 === 'FF' || score2 === 'L') return 1;
+  if (score2 === 'W' || score1 === 'FF' || score1 === 'L') return 2;
+  if (typeof score1 !== 'number' || typeof score2 !== 'number') return null;
+  if (score1 === score2) return 0;
+  return score1 > score2 ? 1 : 2;
+}
+
+function toWinnerIndex(value) {
+  const text = String(value || '').trim().toLowerCase();
+  if (text === '1' || text === '2') return parseInt(text);
+  if (text === '0' || text === 'draw' || text === 'skip') return 0;
+  return null;
+}
+
+// Common match shape shared by every format and game
+function createMatch(fields) {
+  const match = {
+    match_id: null,
+    bracket_id: null,
+    round: null,
+    header: null,
+    format: null,
+    opponents: [],
+    winner: null,
+    winner_index: null,
+    bestof: null,
+    finished: false,
+    status: 'scheduled',
+    date: null,
+    maps: [],
+    vod: null,
+    ...fields
+  };
+
+  // Scores missing on the opponents can be counted from map wins
+  if (match.opponents.length === 2 && match.maps.length > 0 &&
+      match.opponents.every(opponent => opponent.score === null)) {
+    const wins = [1, 2].map(index => match.maps.filter(map => map.winner === index).length);
+    if (wins[0] + wins[1] > 0) {
+      match.opponents[0].score = wins[0];
+      match.opponents[1].score = wins[1];
+    }
+  }
+
+  if (match.winner_index === null && match.finished && match.opponents.length === 2) {
+    match.winner_index = winnerFromScores(match.opponents[0].score, match.opponents[1].score);
+  }
+
+  if (match.winner_index !== null) {
+    match.finished = true;
+  }
+
+  const winner = match.winner_index ? match.opponents[match.winner_index - 1] : null;
+  match.winner = winner ? winner.name : null;
+  match.status = match.finished ? 'completed' : 'scheduled';
+
+  return match;
+}
+
+function createOpponent(fields) {
+  return {
+    type: 'team',
+    name: null,
+    score: null,
+    flag: null,
+    race: null,
+    players: [],
+    ...fields
+  };
+}
+
+// Party members: {{2Opponent|p1=Serral|p1flag=fi|p1race=z|p2=Reynor|p2race=z}}
+function parsePartyPlayers(template) {
+  const players = [];
+  for (let index = 1; index <= 4; index++) {
+    const name = getParamText(template, `p${index}`) || getParamText(template, `p${index}link`);
+    if (isPlaceholder(name)) continue;
+
+    players.push({
+      name,
+      flag: getParamText(template, `p${index}flag`),
+      race: toRace(getParamText(template, `p${index}race`))
+    });
+  }
+  return players;
+}
+
+// opponentN value: {{TeamOpponent|navi|score=2}}, {{SoloOpponent|Serral|flag=fi|race=z}},
+// {{2Opponent|p1=...|p2=...}} or plain text
+function parseOpponent(nodes) {
+  const template = (nodes || []).find(node => node.type === 'template');
+  const type = template ? OPPONENT_TYPES[normalizeName(template.name)] : null;
+
+  if (!type) {
+    const name = extractEntityName(nodes);
+    return createOpponent({ type: 'literal', name: isPlaceholder(name) ? null : name });
+  }
+
+  const score = toScore(getParamText(template, 'score'));
+
+  if (type === 'party') {
+    const players = parsePartyPlayers(template);
+    return createOpponent({
+      type,
+      name: players.length > 0 ? players.map(player => player.name).join(' / ') : null,
+      score,
+      players
+    });
+  }
+
+  const name = getParamText(template, 1) || getParamText(template, 'template') ||
+    getParamText(template, 'name') || getParamText(template, 'link') || getParamText(template, 'p1');
+  const flag = getParamText(template, 'flag') || getParamText(template, 'p1flag');
+  const race = toRace(getParamText(template, 'race') || getParamText(template, 'p1race'));
+
+  return createOpponent({
+    type,
+    name: isPlaceholder(name) ? null : name,
+    score,
+    flag,
+    race,
+    players: type === 'solo' && !isPlaceholder(name) ? [{ name, flag, race }] : []
+  });
+}
+
+function parseMapSides(template) {
+  const side1 = getParamText(template, 'team1side');
+  const side2 = getParamText(template, 'team2side');
+  if (side1 || side2) {
+    return { side1: side1 ? side1.toLowerCase() : null, side2: side2 ? side2.toLowerCase() : null };
+  }
+
+  const firstSide = getParamText(template, 't1firstside');
+  if (firstSide) {
+    const side = firstSide.toLowerCase();
+    return { side1: side, side2: OPPOSITE_SIDES[side] || null };
+  }
+
+  return { side1: null, side2: null };
+}
+
+// mapN value: {{Map|map=Mirage|score1=13|score2=7|winner=1|t1firstside=ct}}
+function parseMap(number, template) {
+  if (!template) return null;
+
+  const finished = getParamText(template, 'finished');
+  if (finished && finished.toLowerCase() === 'skip') return null;
+
+  const score1 = toScore(getParamText(template, 'score1'));
+  const score2 = toScore(getParamText(template, 'score2'));
+  let winner = toWinnerIndex(getParamText(template, 'winner'));
+  if (winner === null && (isTrue(finished) || finished === null)) {
+    winner = winnerFromScores(score1, score2);
+  }
+
+  const map = {
+    number,
+    map: getParamText(template, 'map'),
+    winner,
+    score1,
+    score2,
+    ...parseMapSides(template),
+    finished: winner !== null || isTrue(finished),
+    length: getParamText(template, 'length'),
+    vod: getParamText(template, 'vod')
+  };
+
+  // Empty map slots carry no information
+  if (!map.map && map.winner === null && map.score1 === null && map.score2 === null) return null;
+  return map;
+}
+
+function parseMatch2(template, context, options) {
+  const maps = [];
+  for (const param of template.params) {
+    const mapParam = param.name && param.name.match(/^map(\d+)$/i);
+    if (!mapParam) continue;
+
+    const mapTemplate = param.value.find(node => node.type === 'template' && normalizeName(node.name) === 'map');
+    let map = parseMap(parseInt(mapParam[1]), mapTemplate);
+    if (map && options.parseMap) map = options.parseMap(mapTemplate, map);
+    if (map) maps.push(map);
+  }
+  maps.sort((a, b) => a.number - b.number);
+
+  return createMatch({
+    ...context,
+    format: 'match2',
+    opponents: [parseOpponent(getParam(template, 'opponent1')), parseOpponent(getParam(template, 'opponent2'))],
+    winner_index: toWinnerIndex(getParamText(template, 'winner')),
+    bestof: toInteger(getParamText(template, 'bestof')),
+    finished: isTrue(getParamText(template, 'finished')),
+    date: parseDate(getParamText(template, 'date')),
+    maps,
+    vod: getParamText(template, 'vod')
+  });
+}
+
+// Header for a match key: R2M3 uses the latest R2Mxheader at or before M3, M5 the latest Mxheader
+function findHeader(container, key) {
+  const keyMatch = key.match(/^(R\d+)?M(\d+)$/i);
+  if (!keyMatch) return null;
+
+  const prefix = keyMatch[1] || '';
+  let best = null;
+  for (const param of container.params) {
+    const headerMatch = param.name && param.name.match(/^(R\d+)?M(\d+)header$/i);
+    if (!headerMatch || (headerMatch[1] || '').toLowerCase() !== prefix.toLowerCase()) continue;
+
+    const number = parseInt(headerMatch[2]);
+    if (number <= parseInt(keyMatch[2]) && (!best || number > best.number)) {
+      const text = nodesToText(param.value).trim();
+      if (text) best = { number, text };
+    }
+  }
+  return best ? best.text : null;
+}
+
+// Battle royale / FFA matches: more than two opponents, or per-game results (m1=, m2=) on them
+function isFfaMatch(template) {
+  const opponents = template.params.filter(param => param.name && /^opponent\d+$/i.test(param.name));
+  if (opponents.length > 2) return true;
+
+  return opponents.some(param => param.value.some(node => node.type === 'template' &&
+    node.params.some(entry => entry.name && /^m\d+$/i.test(entry.name))));
+}
+
+// Calls visitor(template, context) for every {{Match}}, with its place in the surrounding
+// Bracket/Matchlist: { match_id, bracket_id, round, header }. Only the containers and the
+// match itself are read for ids, never its opponent or map templates.
+function walkMatch2(nodes, visitor) {
+  const visit = (list, context) => {
+    for (const node of list || []) {
+      if (node.type !== 'template') continue;
+
+      const name = normalizeName(node.name);
+      if (MATCH_TEMPLATES.includes(name)) {
+        visitor(node, { ...context, match_id: context.match_id || getParamText(node, 'id') });
+        continue;
+      }
+
+      const isContainer = MATCH_CONTAINERS.includes(name);
+      const bracketId = (isContainer && getParamText(node, 'id')) || context.bracket_id;
+      const title = getParamText(node, 'title') || context.header;
+
+      for (const param of node.params) {
+        const key = param.name || '';
+        const roundMatch = key.match(/^R(\d+)M\d+$/i);
+        visit(param.value, {
+          match_id: /^(R\d+)?M\d+$/i.test(key) ? key.toUpperCase() : context.match_id,
+          bracket_id: bracketId,
+          round: roundMatch ? `Round ${roundMatch[1]}` : context.round,
+          header: findHeader(node, key) || title
+        });
+      }
+    }
+  };
+
+  visit(nodes, { match_id: null, bracket_id: null, round: null, header: null });
+}
+
+function collectMatch2(nodes, options) {
+  const matches = [];
+
+  // FFA lobbies have their own shape (see battleRoyaleParser)
+  walkMatch2(nodes, (template, context) => {
+    if (!isFfaMatch(template)) matches.push(parseMatch2(template, context, options));
+  });
+
+  return matches;
+}
+
+// Map results in legacy summaries: map1=Mirage|map1win=1|map1score=16-14
+function parseLegacyMaps(template) {
+  const maps = [];
+  if (!template) return maps;
+
+  for (const param of template.params) {
+    const mapParam = param.name && param.name.match(/^map(\d+)$/i);
+    if (!mapParam) continue;
+
+    const number = parseInt(mapParam[1]);
+    const name = nodesToText(param.value).trim();
+    const winner = toWinnerIndex(getParamText(template, `map${number}win`));
+    const scores = (getParamText(template, `map${number}score`) || '').split('-').map(score => toScore(score.trim()));
+    if (!name && winner === null) continue;
+
+    maps.push({
+      number,
+      map: name || null,
+      winner,
+      score1: scores.length === 2 ? scores[0] : null,
+      score2: scores.length === 2 ? scores[1] : null,
+      side1: null,
+      side2: null,
+      finished: winner !== null,
+      length: null,
+      vod: getParamText(template, `vodgame${number}`)
+    });
+  }
+
+  return maps.sort((a, b) => a.number - b.number);
+}
+
+// Legacy brackets list one slot per opponent: R1D1 meets R1D2, R1D3 meets R1D4, ...
+// R1G1details holds the {{BracketMatchSummary}} of the first game in round 1. Games are
+// numbered through the round: the W (lower bracket) side continues after the last D game.
+// Team brackets name the slot with R1D1team; player brackets (StarCraft) use R1D1 itself,
+// with R1D1race next to it.
+function collectLegacyBrackets(nodes) {
+  const matches = [];
+
+  for (const bracket of findTemplates(nodes, name => name.startsWith('bracket/'))) {
+    const slots = new Map();
+
+    for (const param of bracket.params) {
+      const slotParam = param.name && param.name.match(/^R(\d+)([DW])(\d+)(team|player|race|score|win|flag)?$/i);
+      if (!slotParam) continue;
+
+      const [, round, side, slot, field = 'player'] = slotParam;
+      const key = `${round}${side.toUpperCase()}${slot}`;
+      if (!slots.has(key)) {
+        slots.set(key, { round: parseInt(round), side: side.toUpperCase(), slot: parseInt(slot) });
+      }
+      const name = field.toLowerCase();
+      slots.get(key)[name] = ['team', 'player'].includes(name)
+        ? extractEntityName(param.value)
+        : (nodesToText(param.value).trim() || null);
+    }
+
+    // A slot holds a team, or a player with a race
+    for (const entry of slots.values()) {
+      entry.name = entry.team || entry.player || null;
+    }
+
+    const ordered = [...slots.values()]
+      .filter(entry => entry.slot % 2 === 1)
+      .sort((a, b) => a.round - b.round || a.side.localeCompare(b.side) || a.slot - b.slot);
+
+    // Number of D games in each round, where that round's W games start counting
+    const upperGames = {};
+    for (const entry of slots.values()) {
+      if (entry.side === 'D') {
+        upperGames[entry.round] = Math.max(upperGames[entry.round] || 0, Math.ceil(entry.slot / 2));
+      }
+    }
+
+    for (const first of ordered) {
+      const second = slots.get(`${first.round}${first.side}${first.slot + 1}`) || {};
+      if (isPlaceholder(first.name) && isPlaceholder(second.name)) continue;
+
+      const game = (first.slot + 1) / 2 + (first.side === 'W' ? upperGames[first.round] || 0 : 0);
+      const details = getParam(bracket, `R${first.round}G${game}details`);
+      const summary = details ? details.find(node => node.type === 'template') : null;
+      const opponents = [first, second].map(slot => {
+        const name = isPlaceholder(slot.name) ? null : slot.name;
+        const solo = !slot.team && (slot.player !== undefined || slot.race !== undefined);
+        const race = toRace(slot.race);
+        return createOpponent({
+          type: solo ? 'solo' : 'team',
+          name,
+          score: toScore(slot.score),
+          flag: slot.flag || null,
+          race,
+          players: solo && name ? [{ name, flag: slot.flag || null, race }] : []
+        });
+      });
+      const winnerIndex = first.win === '1' ? 1 : (second.win === '1' ? 2 : null);
+
+      matches.push(createMatch({
+        match_id: `R${first.round}${first.side}${first.slot}`,
+        bracket_id: getParamText(bracket, 'id'),
+        round: `Round ${first.round}`,
+        format: 'legacy_bracket',
+        opponents,
+        winner_index: winnerIndex,
+        finished: winnerIndex !== null || opponents.every(opponent => opponent.score !== null),
+        date: summary ? parseDate(getParamText(summary, 'date')) : null,
+        maps: parseLegacyMaps(summary),
+        vod: summary ? getParamText(summary, 'vod') : null
+      }));
+    }
+  }
+
+  return matches;
+}
+
+function collectMatchMaps(nodes) {
+  const matches = [];
+
+  for (const matchList of findTemplates(nodes, ['MatchList', 'MatchMaps'], { recursive: false })) {
+    const inList = normalizeName(matchList.name) === 'matchlist';
+    const entries = inList
+      ? matchList.params
+        .filter(param => param.name && /^match\d+$/i.test(param.name))
+        .map(param => ({ key: param.name, template: findTemplates(param.value, 'MatchMaps')[0] }))
+        .filter(entry => entry.template)
+      : [{ key: null, template: matchList }];
+
+    for (const { key, template } of entries) {
+      const team1 = extractEntityName(getParam(template, 'team1'));
+      const team2 = extractEntityName(getParam(template, 'team2'));
+      if (!team1 || !team2) continue;
+
+      const opponents = [
+        createOpponent({ name: isPlaceholder(team1) ? null : team1, score: toScore(getParamText(template, 'score1')) }),
+        createOpponent({ name: isPlaceholder(team2) ? null : team2, score: toScore(getParamText(template, 'score2')) })
+      ];
+
+      matches.push(createMatch({
+        match_id: key ? key.toUpperCase() : null,
+        bracket_id: inList ? getParamText(matchList, 'id') : null,
+        header: inList ? getParamText(matchList, 'title') : null,
+        format: 'matchmaps',
+        opponents,
+        winner_index: toWinnerIndex(getParamText(template, 'winner')),
+        finished: opponents.every(opponent => opponent.score !== null),
+        date: parseDate(getParamText(template, 'date')),
+        maps: parseLegacyMaps(template),
+        vod: getParamText(template, 'vod')
+      }));
+    }
+  }
+
+  return matches;
+}
+
+// All matches on a page, in the shared shape.
+// options.parseMap(template, map) can add game-specific fields to each Match2 {{Map}}.
+function parseMatches(nodes, options = {}) {
+  return [
+    ...collectMatch2(nodes, options),
+    ...collectLegacyBrackets(nodes),
+    ...collectMatchMaps(nodes)
+  ];
+}
+
+module.exports = {
+  createMatch,
+  createOpponent,
+  toRace,
+  parseOpponent,
+  isFfaMatch,
+  walkMatch2,
+  parseMatches
+};
@@ -0,0 +1,151 @@
+// Prize money parsing.
+//
+// Liquipedia prize pools arrive as "$250,000", "€100,000 (≈$108k)", "100,000" with a
+// separate localcurrency/prizepoolusd in the infobox, or "TBA". parseMoney turns them into
+//   { raw, amount, currency (ISO 4217), amount_usd, fx_rate }
+// where fx_rate is USD per unit of the local currency.
+
+// Longer symbols first so "R$" is not read as "$"
+const CURRENCY_SYMBOLS = [
+  ['US$', 'USD'], ['AU$', 'AUD'], ['CA$', 'CAD'], ['NZ$', 'NZD'], ['HK$', 'HKD'],
+  ['R$', 'BRL'], ['A$', 'AUD'], ['C$', 'CAD'], ['S$', 'SGD'], ['zł', 'PLN'],
+  ['$', 'USD'], ['€', 'EUR'], ['£', 'GBP'], ['₩', 'KRW'], ['₽', 'RUB'], ['₹', 'INR'],
+  ['¥', 'CNY'], ['₱', 'PHP'], ['₺', 'TRY'], ['฿', 'THB'], ['₫', 'VND'], ['₴', 'UAH']
+];
+
+// Written-out markers, matched as words ("20,000 Kč", "1 000 000 рублей"). Scandinavian "kr"
+// can be SEK, NOK or DKK, so it is left to the infobox localcurrency.
+const CURRENCY_WORDS = [
+  ['kč', 'CZK'], ['руб\\p{L}*', 'RUB'], ['грн', 'UAH'], ['ft', 'HUF'], ['lei', 'RON'], ['rm', 'MYR'], ['rp', 'IDR']
+];
+
+const CURRENCY_CODES = [
+  'USD', 'EUR', 'GBP', 'KRW', 'RUB', 'INR', 'CNY', 'JPY', 'BRL', 'AUD', 'CAD', 'NZD',
+  'HKD', 'SGD', 'PHP', 'TRY', 'PLN', 'THB', 'VND', 'UAH', 'SEK', 'NOK', 'DKK', 'CHF',
+  'MXN', 'ARS', 'CLP', 'PEN', 'IDR', 'MYR', 'ZAR', 'TWD', 'CZK', 'KZT', 'SAR', 'AED',
+  'HUF', 'RON', 'ISK'
+];
+
+const MULTIPLIERS = {
+  k: 1000,
+  thousand: 1000,
+  m: 1000000,
+  mil: 1000000,
+  million: 1000000
+};
+
+// "1 000 000" or "10 000,50" (space or NBSP grouped) or any run of digits, commas and dots,
+// with an optional multiplier that is a word of its own, so "50,000 MXN" and "1,000,000 KRW"
+// stay as written
+const AMOUNT_PATTERN = /(\d{1,3}(?:[ \u00a0\u202f]\d{3})+(?:,\d{1,2})?(?![\d,.])|\d[\d,.]*)(?:\s*(k|m|mil|million|thousand)(?!\p{L}))?/iu;
+
+function normalizeCurrency(code) {
+  const text = String(code || '').trim().toUpperCase();
+  return CURRENCY_CODES.includes(text) ? text : null;
+}
+
+// "45,000" -> 45000, "108k" -> 108000, "$1.5 million" -> 1500000; TBA, TBD and empty cells -> null
+function parseAmount(text) {
+  const match = String(text || '').replace(/&nbsp;/g, ' ').match(AMOUNT_PATTERN);
+  if (!match) return null;
+
+  // With space grouping a comma is the decimal mark
+  let digits = /\s/.test(match[1])
+    ? match[1].replace(/\s/g, '').replace(',', '.')
+    : match[1].replace(/,/g, '');
+  // "100.000" and "1.000.000" style thousands separators; "1.5k" keeps its decimal point
+  if (!match[2] && /^\d{1,3}(\.\d{3})+$/.test(digits)) {
+    digits = digits.replace(/\./g, '');
+  }
+
+  let amount = parseFloat(digits);
+  if (isNaN(amount)) return null;
+
+  if (match[2]) {
+    amount *= MULTIPLIERS[match[2].toLowerCase()];
+  }
+  return amount;
+}
+
+function detectCurrency(text) {
+  const value = String(text || '');
+
+  const code = value.toUpperCase().match(new RegExp(`\\b(${CURRENCY_CODES.join('|')})\\b`));
+  if (code) return code[1];
+
+  const symbol = CURRENCY_SYMBOLS.find(([sign]) => value.includes(sign));
+  if (symbol) return symbol[1];
+
+  const word = CURRENCY_WORDS.find(([marker]) => new RegExp(`(?<!\\p{L})${marker}(?!\\p{L})`, 'iu').test(value));
+  return word ? word[1] : null;
+}
+
+// Anything but a bare number: a currency sign, or a word right before or after the amount
+function hasCurrencyMarker(text) {
+  const value = String(text || '').replace(/&nbsp;/g, ' ');
+  const match = value.match(AMOUNT_PATTERN);
+  if (!match) return false;
+
+  const before = value.slice(0, match.index);
+  const after = value.slice(match.index + match[0].length);
+  return /\p{Sc}/u.test(value) || /\p{L}\.?\s*$/u.test(before) || /^\s*\p{L}/u.test(after);
+}
+
+function roundRate(rate) {
+  return Math.round(rate * 1000000) / 1000000;
+}
+
+// currency: the infobox localcurrency, used when the text has no symbol or code
+// usd: the infobox prizepoolusd, used for the USD equivalent and the FX rate
+function parseMoney(text, { currency = null, usd = null } = {}) {
+  const raw = String(text || '').trim();
+  if (!raw) return null;
+
+  // "€100,000 (≈$108k)": the part in parentheses is an approximate conversion
+  const [main, ...approximation] = raw.split('(');
+  const amount = parseAmount(main);
+  const result = {
+    raw,
+    amount,
+    currency: null,
+    amount_usd: null,
+    fx_rate: null
+  };
+
+  if (amount === null) return result;
+
+  // Bare numbers without a local currency are USD, as in Liquipedia infoboxes. An amount
+  // in a currency we cannot name has no currency and no USD value rather than a wrong one.
+  result.currency = detectCurrency(main) || normalizeCurrency(currency) ||
+    (hasCurrencyMarker(main) ? null : 'USD');
+
+  if (result.currency === null) return result;
+
+  if (result.currency === 'USD') {
+    result.amount_usd = amount;
+    result.fx_rate = 1;
+    return result;
+  }
+
+  let amountUsd = parseAmount(usd);
+  if (amountUsd === null && approximation.length > 0) {
+    const converted = approximation.join('(');
+    if (detectCurrency(converted) === 'USD') {
+      amountUsd = parseAmount(converted);
+    }
+  }
+
+  if (amountUsd !== null) {
+    result.amount_usd = amountUsd;
+    result.fx_rate = amount > 0 ? roundRate(amountUsd / amount) : null;
+  }
+
+  return result;
+}
+
+module.exports = {
+  detectCurrency,
+  normalizeCurrency,
+  parseAmount,
+  parseMoney
+};
@@ -0,0 +1,95 @@
+// Prize pool / placement table parsing.
+//
+// Handles {{Prize pool start}} ... {{Prize pool slot}} ... {{Prize pool end}} as well as the
+// newer {{Prize pool|...|{{Slot|...}}}} layout. Each slot becomes one row per opponent:
+//   { place, place_start, place_end, opponent_type, opponent_name, opponent_flag,
+//     prize_usd, prize_local, local_currency, points, qualified }
+
+const {
+  normalizeName,
+  nodesToText,
+  findTemplate,
+  findTemplates,
+  getFirstParamText
+} = require('./wikitextParser');
+const { parseOpponent } = require('./matchParser');
+const { parseAmount, normalizeCurrency } = require('./moneyParser');
+
+const SLOT_TEMPLATES = ['slot', 'prize pool slot', 'prize pool slot team', 'prize pool slot player'];
+const START_TEMPLATES = ['prize pool start', 'prize pool'];
+
+// "1", "3-4" or "5–8" -> { start, end }
+function parsePlace(text) {
+  const match = String(text || '').match(/(\d+)(?:\s*[-–]\s*(\d+))?/);
+  if (!match) return { start: null, end: null };
+
+  const start = parseInt(match[1]);
+  return { start, end: match[2] ? parseInt(match[2]) : start };
+}
+
+function hasContent(nodes) {
+  return nodes.some(node => node.type !== 'text') || nodesToText(nodes).trim() !== '';
+}
+
+function parseSlot(slot, localCurrency, fxRate) {
+  const placeText = getFirstParamText(slot, ['place']);
+  const place = parsePlace(placeText);
+  const prizeLocal = parseAmount(getFirstParamText(slot, ['localprize', 'prize']));
+  let prizeUsd = parseAmount(getFirstParamText(slot, ['usdprize', 'usd']));
+
+  // Slots that only list the local prize are converted with the infobox rate
+  if (prizeUsd === null && prizeLocal !== null && fxRate) {
+    prizeUsd = Math.round(prizeLocal * fxRate * 100) / 100;
+  }
+
+  const shared = {
+    place: placeText,
+    place_start: place.start,
+    place_end: place.end,
+    prize_usd: prizeUsd,
+    prize_local: prizeLocal,
+    local_currency: localCurrency,
+    points: parseAmount(getFirstParamText(slot, ['points', 'points1'])),
+    qualified: getFirstParamText(slot, ['qualified', 'qualifies', 'qualifies1'])
+  };
+
+  // Opponents are the positional params: {{TeamOpponent|...}} or a plain team name
+  const opponents = slot.params
+    .filter(param => param.index !== null && hasContent(param.value))
+    .map(param => parseOpponent(param.value))
+    .filter(opponent => opponent.name);
+
+  if (opponents.length === 0) {
+    return [{ ...shared, opponent_type: null, opponent_name: null, opponent_flag: null }];
+  }
+
+  // Plain names in the old slot templates are team (or, for the player variant, player) pages
+  const plainType = normalizeName(slot.name) === 'prize pool slot player' ? 'solo' : 'team';
+
+  return opponents.map(opponent => ({
+    ...shared,
+    opponent_type: opponent.type === 'literal' ? plainType : opponent.type,
+    opponent_name: opponent.name,
+    opponent_flag: opponent.flag
+  }));
+}
+
+// Placement rows of every prize pool table on the page, best place first.
+// defaultCurrency is the infobox localcurrency, used when the table does not set one;
+// fxRate (USD per local unit) fills in USD prizes the table leaves out.
+function parsePrizePool(nodes, { defaultCurrency = null, fxRate = null } = {}) {
+  const start = findTemplate(nodes, START_TEMPLATES);
+  const localCurrency = normalizeCurrency(getFirstParamText(start, ['localcurrency']) || defaultCurrency);
+
+  const rows = [];
+  for (const slot of findTemplates(nodes, SLOT_TEMPLATES)) {
+    rows.push(...parseSlot(slot, localCurrency, fxRate));
+  }
+
+  return rows.sort((a, b) => (a.place_start || Infinity) - (b.place_start || Infinity));
+}
+
+module.exports = {
+  parsePlace,
+  parsePrizePool
+};
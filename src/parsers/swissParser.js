@@ -0,0 +1,195 @@
+// Swiss stage parsing.
+//
+// A Swiss table is {{SwissTableLeague|title=...|win=3|loss=3|opponent1=...|seed1=...|pbg1=up|
+// matchGroupId1=...}} (also written as {{GroupTableLeague|type=swiss|...}}). Its matches come
+// from the page's Matchlists: matchGroupIdN is round N, otherwise a "Round N" header, the
+// R{r}M{m} key or, failing all of these, the first round both opponents are free.
+//
+// parseSwissStages returns per-round pairings with the records going into each match, and
+// standings ranked by wins, losses, Buchholz (sum of the opponents' win-loss differences) and
+// initial seed, with each opponent's advancement status.
+
+const {
+  normalizeName,
+  nodesToText,
+  findTemplates,
+  getParamText,
+  getFirstParamText
+} = require('./wikitextParser');
+const { parseOpponent } = require('./matchParser');
+
+const SWISS_TEMPLATES = ['swisstableleague', 'swisstable'];
+
+function toInteger(value) {
+  const number = parseInt(value);
+  return isNaN(number) ? null : number;
+}
+
+function isSwissTable(template) {
+  const name = normalizeName(template.name);
+  if (SWISS_TEMPLATES.includes(name)) return true;
+  return name === 'grouptableleague' && String(getParamText(template, 'type') || '').toLowerCase() === 'swiss';
+}
+
+// Numbered params (opponent1, matchGroupId1 ...) as [{ number, value }] in number order
+function getNumberedParams(template, base) {
+  return template.params
+    .map(param => ({ param, match: param.name && param.name.match(new RegExp(`^${base}(\\d+)$`, 'i')) }))
+    .filter(({ match }) => match)
+    .map(({ param, match }) => ({ number: parseInt(match[1]), value: param.value }))
+    .sort((a, b) => a.number - b.number);
+}
+
+function formatRecord(wins, losses) {
+  return `${wins}-${losses}`;
+}
+
+function createStanding(opponent, seed) {
+  return {
+    rank: null,
+    opponent,
+    seed,
+    wins: 0,
+    losses: 0,
+    record: '0-0',
+    buchholz: 0,
+    seed_difference: 0,
+    history: [],
+    opponents_faced: [],
+    bg: null,
+    status: 'alive'
+  };
+}
+
+// Round of a match from its Matchlist id, header or R{r}M{m} key
+function explicitRound(match, roundsByGroupId) {
+  if (match.bracket_id && roundsByGroupId[match.bracket_id]) {
+    return roundsByGroupId[match.bracket_id];
+  }
+
+  const header = String(match.header || '').match(/round\s*(\d+)/i);
+  if (header) return parseInt(header[1]);
+
+  // Match2 rounds are labels ("Round 2"); the number can also come from the R2M1 key
+  const round = String(match.round || '').match(/(\d+)/) || String(match.match_id || '').match(/^R(\d+)M/i);
+  return round ? parseInt(round[1]) : null;
+}
+
+function parseSwissTable(template, matches) {
+  const standings = getNumberedParams(template, 'opponent')
+    .map(({ number, value }) => ({ number, opponent: parseOpponent(value) }))
+    .filter(({ opponent }) => opponent.name)
+    .map(({ number, opponent }) => createStanding(
+      opponent.type === 'literal' ? { ...opponent, type: 'team' } : opponent,
+      toInteger(getParamText(template, `seed${number}`)) || number
+    ));
+
+  const byName = {};
+  standings.forEach(standing => { byName[standing.opponent.name] = standing; });
+
+  const winThreshold = toInteger(getFirstParamText(template, ['win', 'wins'])) || 3;
+  const lossThreshold = toInteger(getFirstParamText(template, ['loss', 'losses'])) || 3;
+
+  const roundsByGroupId = {};
+  getNumberedParams(template, 'matchGroupId').forEach(({ number, value }) => {
+    const id = nodesToText(value).trim();
+    if (id) roundsByGroupId[id] = number;
+  });
+
+  // Only matches between two opponents of this table, in page order
+  const stageMatches = matches.filter(match => match.opponents.length === 2 &&
+    match.opponents.every(opponent => byName[opponent.name]) &&
+    (Object.keys(roundsByGroupId).length === 0 || roundsByGroupId[match.bracket_id]));
+
+  // Rounds each opponent has already been paired in, for matches without an explicit round
+  const roundsPlayed = {};
+  const assigned = stageMatches.map(match => {
+    const names = match.opponents.map(opponent => opponent.name);
+    let round = explicitRound(match, roundsByGroupId);
+    if (!round) {
+      round = 1;
+      while (names.some(name => (roundsPlayed[name] || []).includes(round))) round++;
+    }
+    names.forEach(name => { roundsPlayed[name] = [...(roundsPlayed[name] || []), round]; });
+    return { match, round };
+  }).sort((a, b) => a.round - b.round);
+
+  const rounds = [];
+  for (const { match, round } of assigned) {
+    let entry = rounds.find(existing => existing.round === round);
+    if (!entry) {
+      entry = { round, pairings: [] };
+      rounds.push(entry);
+    }
+
+    const [first, second] = match.opponents.map(opponent => byName[opponent.name]);
+    entry.pairings.push({
+      match_id: match.match_id,
+      // Records going into the match, e.g. "1-1"
+      pool: formatRecord(first.wins, first.losses),
+      records: [formatRecord(first.wins, first.losses), formatRecord(second.wins, second.losses)],
+      opponents: [first.opponent.name, second.opponent.name],
+      scores: match.opponents.map(opponent => opponent.score),
+      winner: match.winner,
+      finished: match.finished
+    });
+
+    if (!match.finished || !match.winner_index) continue;
+
+    first.opponents_faced.push(second.opponent.name);
+    second.opponents_faced.push(first.opponent.name);
+
+    const [winner, loser] = match.winner_index === 1 ? [first, second] : [second, first];
+    winner.wins++;
+    winner.history.push('W');
+    loser.losses++;
+    loser.history.push('L');
+  }
+
+  for (const standing of standings) {
+    standing.record = formatRecord(standing.wins, standing.losses);
+    standing.buchholz = standing.opponents_faced
+      .reduce((sum, name) => sum + byName[name].wins - byName[name].losses, 0);
+    standing.seed_difference = standing.opponents_faced
+      .reduce((sum, name) => sum + byName[name].seed - standing.seed, 0);
+
+    if (standing.wins >= winThreshold) {
+      standing.status = 'advanced';
+    } else if (standing.losses >= lossThreshold) {
+      standing.status = 'eliminated';
+    }
+  }
+
+  const ranked = [...standings]
+    .sort((a, b) =>
+      (b.wins - a.wins) ||
+      (a.losses - b.losses) ||
+      (b.buchholz - a.buchholz) ||
+      (a.seed - b.seed))
+    .map((standing, index) => {
+      const bg = getParamText(template, `pbg${index + 1}`) || getParamText(template, `bg${index + 1}`);
+      return { ...standing, rank: index + 1, bg };
+    });
+
+  return {
+    name: getFirstParamText(template, ['title', 'name']),
+    type: 'swiss',
+    win_threshold: winThreshold,
+    loss_threshold: lossThreshold,
+    rounds,
+    standings: ranked
+  };
+}
+
+// Every Swiss table on the page. matches are the page's parsed matches (parseMatches).
+function parseSwissStages(nodes, matches = []) {
+  return findTemplates(nodes, (name, template) => isSwissTable(template))
+    .map(template => parseSwissTable(template, matches))
+    .filter(stage => stage.standings.length > 0)
+    .map((stage, index) => ({ ...stage, name: stage.name || `Swiss Stage ${index + 1}` }));
+}
+
+module.exports = {
+  isSwissTable,
+  parseSwissStages
+};
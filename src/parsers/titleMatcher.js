@@ -0,0 +1,103 @@
+// Fuzzy matching of page titles against a requested name.
+//
+// Titles and queries are compared token by token: "BLAST Premier Spring Final 2025" and
+// "blast premier spring finals 2025" share every token (plurals and typos count as close
+// matches, "oce" counts towards "oceania"), while a different year or number does not
+// count at all. scoreTitle returns a confidence between 0 and 1.
+
+const STOPWORDS = ['the', 'of', 'and', 'a'];
+
+function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/_/g, ' ')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .split(/\s+/)
+    .filter(token => token && !STOPWORDS.includes(token));
+}
+
+function isNumeric(token) {
+  return /^\d+$/.test(token);
+}
+
+// Levenshtein distance, stopping early once it exceeds max
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (value, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// 1 for the same token, 0.8 for a prefix ("oce" / "oceania") or a one-letter typo, else 0.
+// Numbers (years, seasons) only ever match exactly.
+function tokenSimilarity(a, b) {
+  if (a === b) return 1;
+  if (isNumeric(a) || isNumeric(b)) return 0;
+
+  const [shorter, longer] = a.length <= b.length ? [a, b] : [b, a];
+  if (shorter.length >= 3 && longer.startsWith(shorter)) return 0.8;
+  if (shorter.length >= 4 && editDistance(a, b, 1) <= 1) return 0.8;
+  return 0;
+}
+
+// Confidence (0-1) that title is the page meant by query
+function scoreTitle(query, title) {
+  const queryTokens = tokenize(query);
+  const titleTokens = tokenize(title);
+  if (queryTokens.length === 0 || titleTokens.length === 0) return 0;
+  if (queryTokens.join(' ') === titleTokens.join(' ')) return 1;
+
+  // Each title token can only match one query token
+  const used = new Set();
+  let matched = 0;
+  for (const token of queryTokens) {
+    let best = 0;
+    let bestIndex = -1;
+    titleTokens.forEach((candidate, index) => {
+      if (used.has(index)) return;
+      const similarity = tokenSimilarity(token, candidate);
+      if (similarity > best) {
+        best = similarity;
+        bestIndex = index;
+      }
+    });
+    if (bestIndex !== -1) used.add(bestIndex);
+    matched += best;
+  }
+
+  let score = (2 * matched) / (queryTokens.length + titleTokens.length);
+
+  // A different year or season number is a different event
+  const missingNumber = queryTokens.some(token => isNumeric(token) && !titleTokens.includes(token));
+  if (missingNumber) score *= 0.5;
+
+  return Math.round(score * 1000) / 1000;
+}
+
+// Unique titles ranked by score (highest first): [{ title, score }]
+function rankTitles(query, titles) {
+  return [...new Set(titles.filter(title => title))]
+    .map(title => ({ title, score: scoreTitle(query, title) }))
+    .filter(candidate => candidate.score > 0)
+    .sort((a, b) => b.score - a.score || a.title.length - b.title.length);
+}
+
+module.exports = {
+  tokenize,
+  scoreTitle,
+  rankTitles
+};
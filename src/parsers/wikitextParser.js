@@ -0,0 +1,365 @@
+// Wikitext template parser.
+//
+// Turns wikitext into a small AST so extractors can work with nested templates:
+//   { type: 'text', value }
+//   { type: 'template', name, params: [{ name, index, value: nodes }] }
+//   { type: 'link', target, label: nodes | null }
+//   { type: 'externalLink', url, label }
+// Named params have `name` set; positional params have `index` (1-based) instead.
+// Comments and <ref> tags are removed before parsing.
+
+// Templates that wrap an entity name as their first positional param
+const NAME_TEMPLATES = [
+  'team', 'teamshort', 'teampart', 'team2', 'team2short', 'teamicon', 'teambracket',
+  'player', 'playersp', 'teamopponent', 'soloopponent', 'literalopponent'
+];
+
+function stripComments(text) {
+  return String(text || '')
+    .replace(/<!--[\s\S]*?(?:-->|$)/g, '')
+    .replace(/<ref\b[^>]*\/>/gi, '')
+    .replace(/<ref\b[^>]*>[\s\S]*?<\/ref>/gi, '');
+}
+
+// Template names compare case-insensitively with spaces and underscores treated alike
+function normalizeName(name) {
+  return String(name || '').replace(/_/g, ' ').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+class WikitextParser {
+  constructor(text) {
+    this.text = text;
+    this.pos = 0;
+  }
+
+  startsWith(token) {
+    return this.text.startsWith(token, this.pos);
+  }
+
+  // Parse nodes until one of the stop tokens (or the end of input) is reached
+  parseNodes(stops) {
+    const nodes = [];
+    let buffer = '';
+
+    const flush = () => {
+      if (buffer) {
+        nodes.push({ type: 'text', value: buffer });
+        buffer = '';
+      }
+    };
+
+    while (this.pos < this.text.length) {
+      if (stops.some(stop => this.startsWith(stop))) break;
+
+      // Template arguments ({{{1|default}}}) are kept as text, nested braces included
+      if (this.startsWith('{{{')) {
+        buffer += this.readBalancedBraces();
+        continue;
+      }
+
+      if (this.startsWith('{{')) {
+        flush();
+        nodes.push(this.parseTemplate());
+        continue;
+      }
+
+      if (this.startsWith('[[')) {
+        flush();
+        nodes.push(this.parseLink());
+        continue;
+      }
+
+      if (this.text[this.pos] === '[' && /^\[(?:https?:)?\/\//i.test(this.text.slice(this.pos, this.pos + 10))) {
+        const end = this.text.indexOf(']', this.pos);
+        if (end !== -1) {
+          flush();
+          const inner = this.text.slice(this.pos + 1, end);
+          const space = inner.search(/\s/);
+          nodes.push({
+            type: 'externalLink',
+            url: space === -1 ? inner : inner.slice(0, space),
+            label: space === -1 ? null : inner.slice(space + 1).trim()
+          });
+          this.pos = end + 1;
+          continue;
+        }
+      }
+
+      buffer += this.text[this.pos];
+      this.pos++;
+    }
+
+    flush();
+    return nodes;
+  }
+
+  // Raw text from the current "{" to the "}" that balances it (or the end of input)
+  readBalancedBraces() {
+    const start = this.pos;
+    let depth = 0;
+
+    while (this.pos < this.text.length) {
+      const char = this.text[this.pos++];
+      if (char === '{') depth++;
+      if (char === '}' && --depth === 0) break;
+    }
+
+    return this.text.slice(start, this.pos);
+  }
+
+  parseTemplate() {
+    this.pos += 2;
+    const name = nodesToText(this.parseNodes(['|', '}}'])).trim();
+    const params = [];
+    let index = 0;
+
+    while (this.startsWith('|')) {
+      this.pos++;
+      const valueNodes = this.parseNodes(['|', '}}']);
+      const split = splitNamedParam(valueNodes);
+
+      if (split) {
+        params.push({ name: split.name, index: null, value: split.value });
+      } else {
+        index++;
+        params.push({ name: null, index, value: valueNodes });
+      }
+    }
+
+    if (this.startsWith('}}')) {
+      this.pos += 2;
+    }
+
+    return { type: 'template', name, params };
+  }
+
+  parseLink() {
+    this.pos += 2;
+    const target = nodesToText(this.parseNodes(['|', ']]'])).trim();
+    let label = null;
+
+    if (this.startsWith('|')) {
+      this.pos++;
+      label = this.parseNodes([']]']);
+    }
+
+    if (this.startsWith(']]')) {
+      this.pos += 2;
+    }
+
+    return { type: 'link', target, label };
+  }
+}
+
+// "name=value" params: the name is everything before the first "=" outside nested markup
+function splitNamedParam(nodes) {
+  for (let i = 0; i < nodes.length; i++) {
+    const node = nodes[i];
+    if (node.type !== 'text') continue;
+
+    const equals = node.value.indexOf('=');
+    if (equals === -1) continue;
+
+    const name = nodesToText([...nodes.slice(0, i), { type: 'text', value: node.value.slice(0, equals) }]).trim();
+    if (!name || name.includes('\n')) return null;
+
+    const rest = node.value.slice(equals + 1);
+    return {
+      name,
+      value: [...(rest ? [{ type: 'text', value: rest }] : []), ...nodes.slice(i + 1)]
+    };
+  }
+
+  return null;
+}
+
+function parseWikitext(text) {
+  return new WikitextParser(stripComments(text)).parseNodes([]);
+}
+
+// Plain-text rendering: links become their label, most templates disappear
+function nodesToText(nodes) {
+  if (!nodes) return '';
+
+  return nodes.map(node => {
+    switch (node.type) {
+      case 'text':
+        return node.value;
+      case 'link':
+        return node.label ? nodesToText(node.label) : node.target.replace(/^:/, '');
+      case 'externalLink':
+        return node.label || '';
+      case 'template': {
+        const name = normalizeName(node.name);
+        if (name === '!') return '|';
+        // Timezone abbreviations ({{Abbr/CEST}}) keep their abbreviation
+        if (name.startsWith('abbr/')) return node.name.trim().slice(5);
+        // {{abbr|FF|Forfeit}} shows its first param
+        if (name === 'abbr') return nodesToText(getParam(node, 1));
+        // Formatting parser functions ({{formatnum:100000}}) keep their argument
+        if (/^(formatnum|lc|uc|lcfirst|ucfirst):/.test(name)) return node.name.slice(node.name.indexOf(':') + 1).trim();
+        return '';
+      }
+      default:
+        return '';
+    }
+  }).join('');
+}
+
+function templateMatches(template, matcher) {
+  const name = normalizeName(template.name);
+  if (typeof matcher === 'function') return matcher(name, template);
+  if (matcher instanceof RegExp) return matcher.test(name);
+  if (Array.isArray(matcher)) return matcher.some(entry => normalizeName(entry) === name);
+  return normalizeName(matcher) === name;
+}
+
+// All templates matching a name, list of names, regex or predicate, in document order.
+// Nested templates are searched too unless { recursive: false }.
+function findTemplates(nodes, matcher, { recursive = true } = {}) {
+  const found = [];
+
+  const visit = list => {
+    for (const node of list || []) {
+      if (node.type === 'template') {
+        const matched = templateMatches(node, matcher);
+        if (matched) found.push(node);
+        if (recursive || !matched) {
+          for (const param of node.params) visit(param.value);
+        }
+      } else if (node.type === 'link' && node.label) {
+        visit(node.label);
+      }
+    }
+  };
+
+  visit(nodes);
+  return found;
+}
+
+function findTemplate(nodes, matcher, options) {
+  return findTemplates(nodes, matcher, options)[0] || null;
+}
+
+// Param value nodes by name (case-insensitive) or 1-based position
+function getParam(template, key) {
+  if (!template) return null;
+
+  const param = typeof key === 'number'
+    ? template.params.find(entry => entry.index === key)
+    : template.params.find(entry => entry.name !== null && entry.name.toLowerCase() === String(key).toLowerCase());
+
+  return param ? param.value : null;
+}
+
+function getParamText(template, key) {
+  const value = getParam(template, key);
+  if (!value) return null;
+
+  const text = nodesToText(value).trim();
+  return text || null;
+}
+
+// First non-empty text among several param names
+function getFirstParamText(template, keys) {
+  for (const key of keys) {
+    const text = getParamText(template, key);
+    if (text) return text;
+  }
+  return null;
+}
+
+// All named params as plain text
+function getNamedParams(template) {
+  const params = {};
+  for (const param of template.params) {
+    if (param.name !== null) {
+      params[param.name] = nodesToText(param.value).trim();
+    }
+  }
+  return params;
+}
+
+// First template in the document that sets one of the params
+function findParamText(nodes, keys) {
+  const names = Array.isArray(keys) ? keys : [keys];
+
+  for (const template of findTemplates(nodes, () => true)) {
+    const text = getFirstParamText(template, names);
+    if (text) return text;
+  }
+  return null;
+}
+
+// The entity (team/player) a value refers to: {{team|x}}, [[x|label]] or plain text
+function extractEntityName(nodes) {
+  if (!nodes) return null;
+
+  for (const node of nodes) {
+    if (node.type === 'template' && NAME_TEMPLATES.includes(normalizeName(node.name))) {
+      const name = getParamText(node, 1) || getParamText(node, 'template') || getParamText(node, 'name');
+      if (name) return name;
+    }
+    if (node.type === 'link' && !/^(file|image|category):/i.test(node.target)) {
+      return node.target.replace(/^:/, '').split('#')[0].trim() || null;
+    }
+  }
+
+  const text = nodesToText(nodes).replace(/\s+/g, ' ').trim();
+  return text || null;
+}
+
+// Raw text of a "== Heading ==" section, up to the next heading of the same or higher level
+function getSection(text, heading) {
+  const source = stripComments(text);
+  const headingPattern = /^(={1,6})\s*(.+?)\s*\1\s*$/gm;
+  let match;
+
+  while ((match = headingPattern.exec(source)) !== null) {
+    if (match[2].toLowerCase() !== String(heading).toLowerCase()) continue;
+
+    const level = match[1].length;
+    const start = headingPattern.lastIndex;
+    let next;
+    while ((next = headingPattern.exec(source)) !== null) {
+      if (next[1].length <= level) return source.slice(start, next.index);
+    }
+    return source.slice(start);
+  }
+
+  return null;
+}
+
+// Labels of links in a value (e.g. sponsor lists), falling back to comma-separated text
+function extractLinkLabels(nodes) {
+  const labels = [];
+
+  for (const node of nodes || []) {
+    if (node.type === 'externalLink' && node.label) labels.push(node.label);
+    if (node.type === 'link') labels.push(node.label ? nodesToText(node.label).trim() : node.target);
+  }
+
+  if (labels.length > 0) return labels.filter(label => label);
+
+  return nodesToText(nodes)
+    .split(/,|<br\s*\/?>/i)
+    .map(entry => entry.trim())
+    .filter(entry => entry);
+}
+
+module.exports = {
+  stripComments,
+  normalizeName,
+  parseWikitext,
+  nodesToText,
+  findTemplates,
+  findTemplate,
+  getParam,
+  getParamText,
+  getFirstParamText,
+  getNamedParams,
+  findParamText,
+  extractEntityName,
+  extractLinkLabels,
+  getSection
+};
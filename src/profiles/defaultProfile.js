@@ -0,0 +1,89 @@
+// The profile every game starts from.
+//
+// A profile describes how one wiki is parsed. Game profiles (src/profiles/games) only list
+// what differs; defineProfile fills in the rest:
+//   categories       category pages listing the wiki's teams, players, tournaments and matches
+//   infobox          params read for each field, per infobox ({ player: { race: ['race'] } }).
+//                    Fields outside the standard output are returned under game_fields.
+//   signature        player infobox params holding signature heroes/agents/champions
+//   scoring          battle royale placement and kill points (see battleRoyaleParser)
+//   parseMatches     (nodes, profile) => matches, for wikis whose brackets need their own parser
+//   parseMap         (template, map) => map, adds game-specific fields to each {{Map}}
+//   transformPlayer  (player) => player, last pass over the parsed player infobox
+
+const { getParamText } = require('../parsers/wikitextParser');
+const { parseMatches } = require('../parsers/matchParser');
+const { SIGNATURE_PARAM } = require('../parsers/infoboxParser');
+
+const DEFAULT_PROFILE = {
+  name: null,
+  categories: {
+    teams: ['Category:Teams', 'Category:Active_Teams', 'Category:Inactive_Teams'],
+    players: ['Category:Players', 'Category:Active_Players', 'Category:Retired_Players'],
+    tournaments: ['Category:Tournaments', 'Category:Premier_Tournaments'],
+    matches: ['Category:Matches']
+  },
+  infobox: {
+    // Player and team fields default to the parser's own (see infoboxParser)
+    player: {},
+    team: {},
+    tournament: {
+      prize_pool: ['prizepool'],
+      prize_pool_usd: ['prizepoolusd'],
+      local_currency: ['localcurrency'],
+      // Single-day events only set date=
+      start_date: ['sdate', 'date'],
+      end_date: ['edate', 'date'],
+      location: ['country'],
+      organizer: ['organizer'],
+      tier: ['liquipediatier'],
+      team_number: ['team_number'],
+      sponsors: ['sponsor']
+    }
+  },
+  signature: SIGNATURE_PARAM,
+  scoring: null,
+  parseMatches: (nodes, profile) => parseMatches(nodes, { parseMap: profile.parseMap }),
+  parseMap: null,
+  transformPlayer: player => player
+};
+
+function defineProfile(profile) {
+  const infobox = profile.infobox || {};
+
+  return {
+    ...DEFAULT_PROFILE,
+    ...profile,
+    categories: { ...DEFAULT_PROFILE.categories, ...profile.categories },
+    infobox: {
+      player: { ...DEFAULT_PROFILE.infobox.player, ...infobox.player },
+      team: { ...DEFAULT_PROFILE.infobox.team, ...infobox.team },
+      tournament: { ...DEFAULT_PROFILE.infobox.tournament, ...infobox.tournament }
+    }
+  };
+}
+
+// MOBA drafts on a {{Map}}: t1h1..t1h5 are team 1's picks and t1b1.. its bans. The letters
+// differ per wiki (pick 'h' for heroes, 'c' for champions).
+function draftMapParser({ pick, ban }) {
+  const collect = (template, team, letter) => {
+    const names = [];
+    for (let index = 1; index <= 10; index++) {
+      const name = getParamText(template, `t${team}${letter}${index}`);
+      if (name) names.push(name);
+    }
+    return names;
+  };
+
+  return (template, map) => ({
+    ...map,
+    picks: [collect(template, 1, pick), collect(template, 2, pick)],
+    bans: [collect(template, 1, ban), collect(template, 2, ban)]
+  });
+}
+
+module.exports = {
+  DEFAULT_PROFILE,
+  defineProfile,
+  draftMapParser
+};
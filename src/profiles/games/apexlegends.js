@@ -0,0 +1,11 @@
+const { defineProfile } = require('../defaultProfile');
+
+module.exports = defineProfile({
+  name: 'apexlegends',
+  categories: {
+    tournaments: ['Category:Tournaments', 'Category:Premier_Tournaments', 'Category:ALGS']
+  },
+  signature: /^(signature_?)?legend\d*$/i,
+  // ALGS points
+  scoring: { placement: [12, 9, 7, 5, 4, 3, 3, 2, 2, 2, 1, 1, 1, 1, 1], kill: 1 }
+});
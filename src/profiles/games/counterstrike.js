@@ -0,0 +1,8 @@
+const { defineProfile } = require('../defaultProfile');
+
+module.exports = defineProfile({
+  name: 'counterstrike',
+  categories: {
+    tournaments: ['Category:Tournaments', 'Category:S-Tier_Tournaments', 'Category:A-Tier_Tournaments']
+  }
+});
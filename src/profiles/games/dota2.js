@@ -0,0 +1,11 @@
+const { defineProfile, draftMapParser } = require('../defaultProfile');
+
+module.exports = defineProfile({
+  name: 'dota2',
+  categories: {
+    tournaments: ['Category:Tournaments', 'Category:Premier_Tournaments', 'Category:Major_Tournaments']
+  },
+  signature: /^(signature_?)?hero\d*$/i,
+  // {{Map|team1side=radiant|t1h1=Puck|...|t1b1=Pudge}}
+  parseMap: draftMapParser({ pick: 'h', ban: 'b' })
+});
@@ -0,0 +1,11 @@
+const { defineProfile } = require('../defaultProfile');
+
+module.exports = defineProfile({
+  name: 'freefire',
+  categories: {
+    tournaments: ['Category:Tournaments', 'Category:Premier_Tournaments', 'Category:FFWS']
+  },
+  signature: /^(signature_?)?character\d*$/i,
+  // FFWS points
+  scoring: { placement: [12, 9, 8, 7, 6, 5, 4, 3, 2, 1], kill: 1 }
+});
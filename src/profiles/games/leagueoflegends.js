@@ -0,0 +1,8 @@
+const { defineProfile, draftMapParser } = require('../defaultProfile');
+
+module.exports = defineProfile({
+  name: 'leagueoflegends',
+  signature: /^(signature_?)?champion\d*$/i,
+  // {{Map|team1side=blue|t1c1=Azir|...|t1b1=Kalista}}
+  parseMap: draftMapParser({ pick: 'c', ban: 'b' })
+});
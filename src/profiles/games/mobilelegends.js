@@ -0,0 +1,10 @@
+const { defineProfile, draftMapParser } = require('../defaultProfile');
+
+module.exports = defineProfile({
+  name: 'mobilelegends',
+  categories: {
+    tournaments: ['Category:Tournaments', 'Category:Premier_Tournaments', 'Category:M_World_Championship']
+  },
+  signature: /^(signature_?)?hero\d*$/i,
+  parseMap: draftMapParser({ pick: 'h', ban: 'b' })
+});
@@ -0,0 +1,9 @@
+const { defineProfile } = require('../defaultProfile');
+
+module.exports = defineProfile({
+  name: 'overwatch',
+  categories: {
+    tournaments: ['Category:Tournaments', 'Category:Premier_Tournaments', 'Category:Overwatch_League']
+  },
+  signature: /^(signature_?)?hero\d*$/i
+});
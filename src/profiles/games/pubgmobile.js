@@ -0,0 +1,10 @@
+const { defineProfile } = require('../defaultProfile');
+
+module.exports = defineProfile({
+  name: 'pubgmobile',
+  categories: {
+    tournaments: ['Category:Tournaments', 'Category:Premier_Tournaments', 'Category:PMGC']
+  },
+  // PMGC points
+  scoring: { placement: [10, 6, 5, 4, 3, 2, 1, 1], kill: 1 }
+});
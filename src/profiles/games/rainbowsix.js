@@ -0,0 +1,9 @@
+const { defineProfile } = require('../defaultProfile');
+
+module.exports = defineProfile({
+  name: 'rainbowsix',
+  categories: {
+    tournaments: ['Category:Tournaments', 'Category:Premier_Tournaments', 'Category:Six_Invitational']
+  },
+  signature: /^(signature_?)?operator\d*$/i
+});
@@ -0,0 +1,19 @@
+const { defineProfile } = require('../defaultProfile');
+const { toRace } = require('../../parsers/matchParser');
+
+module.exports = defineProfile({
+  name: 'starcraft2',
+  categories: {
+    tournaments: ['Category:Tournaments', 'Category:Premier_Tournaments', 'Category:GSL']
+  },
+  infobox: {
+    player: { race: ['race'] },
+    // Individual leagues count players, not teams
+    tournament: { team_number: ['player_number', 'team_number'] }
+  },
+  // race=z -> zerg
+  transformPlayer: player => ({
+    ...player,
+    game_fields: { ...player.game_fields, race: toRace(player.game_fields.race) }
+  })
+});
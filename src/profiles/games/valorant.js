@@ -0,0 +1,9 @@
+const { defineProfile } = require('../defaultProfile');
+
+module.exports = defineProfile({
+  name: 'valorant',
+  categories: {
+    tournaments: ['Category:Tournaments', 'Category:Premier_Tournaments', 'Category:VCT_Tournaments']
+  },
+  signature: /^(signature_?)?agent\d*$/i
+});
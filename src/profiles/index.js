@@ -0,0 +1,36 @@
+// Per-game parser profiles.
+//
+// Every file in src/profiles/games exports one profile (see defaultProfile). Adding a wiki
+// means adding a file there; the service picks it up by its name.
+
+const fs = require('fs');
+const path = require('path');
+const { defineProfile } = require('./defaultProfile');
+
+const GAMES_DIR = path.join(__dirname, 'games');
+
+function loadProfiles() {
+  const profiles = {};
+  for (const file of fs.readdirSync(GAMES_DIR).filter(entry => entry.endsWith('.js')).sort()) {
+    const profile = require(path.join(GAMES_DIR, file));
+    profiles[profile.name] = profile;
+  }
+  return profiles;
+}
+
+const PROFILES = loadProfiles();
+
+// Profiles keyed by game name
+function getProfiles() {
+  return { ...PROFILES };
+}
+
+// Unknown games get the default profile under their own name
+function getProfile(game) {
+  return PROFILES[game] || defineProfile({ name: game });
+}
+
+module.exports = {
+  getProfiles,
+  getProfile
+};
@@ -0,0 +1,149 @@
+const crypto = require('crypto');
+const winston = require('winston');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({ filename: 'logs/cache.log' }),
+    new winston.transports.Console({
+      format: winston.format.simple()
+    })
+  ]
+});
+
+// Default TTLs (seconds) per operation type. Parsed pages change rarely and are
+// the most expensive to refetch, so they are kept the longest.
+const DEFAULT_TTLS = {
+  standard: 15 * 60,
+  intensive: 6 * 60 * 60,
+  lpdb: 60 * 60
+};
+
+// Params holding page titles - MediaWiki treats spaces and underscores the same
+const TITLE_PARAMS = ['page', 'titles', 'cmtitle', 'apprefix'];
+
+// Persistent response cache for Liquipedia API calls, stored in Postgres
+class CacheService {
+  constructor(databaseService) {
+    this.databaseService = databaseService;
+    this.enabled = process.env.LIQUIPEDIA_CACHE_ENABLED !== 'false';
+    this.ttls = {
+      standard: parseInt(process.env.LIQUIPEDIA_CACHE_TTL_STANDARD) || DEFAULT_TTLS.standard,
+      intensive: parseInt(process.env.LIQUIPEDIA_CACHE_TTL_INTENSIVE) || DEFAULT_TTLS.intensive,
+      lpdb: parseInt(process.env.LIQUIPEDIA_CACHE_TTL_LPDB) || DEFAULT_TTLS.lpdb
+    };
+    this.stats = {
+      hits: 0,
+      misses: 0,
+      bypassed: 0,
+      writes: 0,
+      errors: 0
+    };
+  }
+
+  // Wiki name is the path segment before api.php (e.g. /dota2/api.php)
+  getWikiFromUrl(url) {
+    try {
+      const match = new URL(url).pathname.match(/\/([^/]+)\/api\.php$/);
+      return match ? match[1] : 'unknown';
+    } catch (error) {
+      return 'unknown';
+    }
+  }
+
+  // Sort keys and stringify values so equivalent requests share one entry
+  normalizeParams(params) {
+    const normalized = {};
+
+    for (const key of Object.keys(params).sort()) {
+      const value = params[key];
+      if (value === undefined || value === null) continue;
+
+      let text = String(value).trim();
+      if (TITLE_PARAMS.includes(key)) {
+        text = text.replace(/_/g, ' ');
+      }
+      normalized[key] = text;
+    }
+
+    return normalized;
+  }
+
+  buildKey(url, params) {
+    const wiki = this.getWikiFromUrl(url);
+    const normalizedParams = this.normalizeParams(params);
+    const action = normalizedParams.action || 'unknown';
+    const key = crypto
+      .createHash('sha256')
+      .update(`${wiki}|${action}|${JSON.stringify(normalizedParams)}`)
+      .digest('hex');
+
+    return { key, wiki, action, normalizedParams };
+  }
+
+  // Returns the cached response body, or null on a miss
+  async get(url, params, operationType = 'standard') {
+    if (!this.enabled) return null;
+
+    const { key, wiki, action } = this.buildKey(url, params);
+
+    try {
+      const entry = await this.databaseService.getCachedResponse(key);
+      if (entry) {
+        this.stats.hits++;
+        logger.info(`Cache hit for ${wiki} ${action} (${operationType})`);
+        return entry.response;
+      }
+    } catch (error) {
+      this.stats.errors++;
+      logger.warn(`Cache lookup failed for ${wiki} ${action}: ${error.message}`);
+    }
+
+    this.stats.misses++;
+    return null;
+  }
+
+  async set(url, params, operationType = 'standard', response) {
+    if (!this.enabled || response === undefined || response === null) return;
+
+    const { key, wiki, action, normalizedParams } = this.buildKey(url, params);
+    const ttl = this.ttls[operationType] || this.ttls.standard;
+
+    try {
+      await this.databaseService.setCachedResponse({
+        cacheKey: key,
+        wiki,
+        action,
+        operationType,
+        params: normalizedParams,
+        response,
+        ttlSeconds: ttl
+      });
+      this.stats.writes++;
+    } catch (error) {
+      this.stats.errors++;
+      logger.warn(`Cache write failed for ${wiki} ${action}: ${error.message}`);
+    }
+  }
+
+  recordBypass() {
+    this.stats.bypassed++;
+  }
+
+  getStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+    return {
+      enabled: this.enabled,
+      ...this.stats,
+      hit_rate: lookups > 0 ? Number((this.stats.hits / lookups).toFixed(3)) : null,
+      ttl_seconds: { ...this.ttls }
+    };
+  }
+}
+
+module.exports = CacheService;
@@ -0,0 +1,113 @@
+const winston = require('winston');
+
+const { UpstreamUnavailableError } = require('../errors');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({ filename: 'logs/error.log', level: 'error' }),
+    new winston.transports.File({ filename: 'logs/combined.log' }),
+    new winston.transports.Console({
+      format: winston.format.simple()
+    })
+  ]
+});
+
+// Per-wiki circuit breaker: opens after repeated upstream failures, then lets a
+// single trial request through once the cooldown has passed (half-open).
+class CircuitBreaker {
+  constructor(options = {}) {
+    this.failureThreshold = options.failureThreshold || 5;
+    this.cooldownMs = options.cooldownMs || 60000;
+    this.circuits = new Map();
+  }
+
+  getCircuit(wiki) {
+    if (!this.circuits.has(wiki)) {
+      this.circuits.set(wiki, {
+        state: 'closed',
+        failures: 0,
+        openedAt: null,
+        trialInFlight: false
+      });
+    }
+    return this.circuits.get(wiki);
+  }
+
+  // Throws UpstreamUnavailableError while the circuit is open. Returns true when the
+  // caller claimed the half-open trial slot.
+  assertAvailable(wiki) {
+    const circuit = this.getCircuit(wiki);
+    if (circuit.state === 'closed') return false;
+
+    const remaining = circuit.openedAt + this.cooldownMs - Date.now();
+
+    if (circuit.state === 'open' && remaining <= 0) {
+      circuit.state = 'half_open';
+      circuit.trialInFlight = false;
+      logger.info(`Circuit for ${wiki} half-open, allowing a trial request`);
+    }
+
+    if (circuit.state === 'half_open' && !circuit.trialInFlight) {
+      circuit.trialInFlight = true;
+      return true;
+    }
+
+    throw new UpstreamUnavailableError(wiki, Math.max(remaining, 1000));
+  }
+
+  // Checked again when a queued request (or a retry) starts: the trial request keeps its
+  // slot, any other request has to claim it or is rejected while the circuit is not closed
+  assertNotOpen(wiki, isTrial = false) {
+    const circuit = this.getCircuit(wiki);
+    if (isTrial && circuit.state === 'half_open') return true;
+
+    return this.assertAvailable(wiki);
+  }
+
+  recordSuccess(wiki) {
+    const circuit = this.getCircuit(wiki);
+    if (circuit.state !== 'closed') {
+      logger.info(`Circuit for ${wiki} closed after successful request`);
+    }
+    circuit.state = 'closed';
+    circuit.failures = 0;
+    circuit.openedAt = null;
+    circuit.trialInFlight = false;
+  }
+
+  recordFailure(wiki) {
+    const circuit = this.getCircuit(wiki);
+    circuit.failures++;
+
+    if (circuit.state === 'half_open' || circuit.failures >= this.failureThreshold) {
+      if (circuit.state !== 'open') {
+        logger.error(`Circuit for ${wiki} opened after ${circuit.failures} consecutive failures`);
+      }
+      circuit.state = 'open';
+      circuit.openedAt = Date.now();
+      circuit.trialInFlight = false;
+    }
+  }
+
+  getStatus() {
+    const status = {};
+    for (const [wiki, circuit] of this.circuits) {
+      status[wiki] = {
+        state: circuit.state,
+        consecutive_failures: circuit.failures,
+        retry_in_ms: circuit.state === 'open'
+          ? Math.max(0, circuit.openedAt + this.cooldownMs - Date.now())
+          : 0
+      };
+    }
+    return status;
+  }
+}
+
+module.exports = CircuitBreaker;
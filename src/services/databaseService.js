@@ -1,6 +1,13 @@
 const { Pool } = require('pg');
 const winston = require('winston');
 
+const { normalizeName } = require('../parsers/wikitextParser');
+
+// SQL version of normalizeName, for comparing stored names with entity_aliases keys
+function aliasKeySql(column) {
+  return `btrim(lower(regexp_replace(replace(${column}, '_', ' '), '\\s+', ' ', 'g')))`;
+}
+
 const logger = winston.createLogger({
   level: 'info',
   format: winston.format.combine(
@@ -127,6 +134,227 @@ class DatabaseService {
         );
       `);
 
+      logger.info('Creating api_cache table...');
+      await this.pool.query(`
+        CREATE TABLE IF NOT EXISTS api_cache (
+          cache_key VARCHAR(64) PRIMARY KEY,
+          wiki VARCHAR(100) NOT NULL,
+          action VARCHAR(50) NOT NULL,
+          operation_type VARCHAR(20) NOT NULL,
+          params JSONB,
+          response JSONB NOT NULL,
+          created_at TIMESTAMP DEFAULT NOW(),
+          expires_at TIMESTAMP NOT NULL
+        );
+      `);
+
+      logger.info('Creating page_snapshots table...');
+      await this.pool.query(`
+        CREATE TABLE IF NOT EXISTS page_snapshots (
+          game VARCHAR(100) NOT NULL,
+          page_title VARCHAR(500) NOT NULL,
+          kind VARCHAR(50) NOT NULL,
+          pageid INTEGER,
+          lastrevid BIGINT,
+          touched TIMESTAMP,
+          parsed_data JSONB,
+          updated_at TIMESTAMP DEFAULT NOW(),
+          PRIMARY KEY (game, page_title, kind)
+        );
+      `);
+
+      logger.info('Creating rate_limit_buckets table...');
+      await this.pool.query(`
+        CREATE TABLE IF NOT EXISTS rate_limit_buckets (
+          bucket VARCHAR(150) PRIMARY KEY,
+          next_slot_at TIMESTAMPTZ NOT NULL,
+          updated_at TIMESTAMPTZ DEFAULT NOW()
+        );
+      `);
+
+      logger.info('Creating request_audit_log table...');
+      await this.pool.query(`
+        CREATE TABLE IF NOT EXISTS request_audit_log (
+          id BIGSERIAL PRIMARY KEY,
+          requested_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+          wiki VARCHAR(100) NOT NULL,
+          action VARCHAR(50),
+          operation_type VARCHAR(20) NOT NULL,
+          lane VARCHAR(20),
+          caller VARCHAR(255),
+          status_code INTEGER,
+          bytes INTEGER,
+          latency_ms INTEGER,
+          error TEXT
+        );
+      `);
+
+      logger.info('Creating tournament_standings table...');
+      await this.pool.query(`
+        CREATE TABLE IF NOT EXISTS tournament_standings (
+          id SERIAL PRIMARY KEY,
+          game VARCHAR(100) NOT NULL,
+          tournament_page VARCHAR(500) NOT NULL,
+          place VARCHAR(20),
+          place_start INTEGER,
+          place_end INTEGER,
+          opponent_type VARCHAR(20),
+          opponent_name VARCHAR(255),
+          opponent_flag VARCHAR(50),
+          prize_usd NUMERIC(14, 2),
+          prize_local NUMERIC(14, 2),
+          local_currency VARCHAR(10),
+          points NUMERIC(12, 2),
+          qualified VARCHAR(255),
+          updated_at TIMESTAMP DEFAULT NOW()
+        );
+      `);
+
+      logger.info('Creating battle_royale_results table...');
+      await this.pool.query(`
+        CREATE TABLE IF NOT EXISTS battle_royale_results (
+          id SERIAL PRIMARY KEY,
+          game VARCHAR(100) NOT NULL,
+          tournament_page VARCHAR(500) NOT NULL,
+          bracket_id VARCHAR(100),
+          match_id VARCHAR(50),
+          header VARCHAR(255),
+          day INTEGER,
+          lobby VARCHAR(20),
+          game_number INTEGER NOT NULL,
+          map VARCHAR(100),
+          opponent_type VARCHAR(20),
+          opponent_name VARCHAR(255) NOT NULL,
+          placement INTEGER,
+          kills INTEGER,
+          placement_points NUMERIC(8, 2),
+          kill_points NUMERIC(8, 2),
+          points NUMERIC(8, 2),
+          updated_at TIMESTAMP DEFAULT NOW()
+        );
+      `);
+
+      logger.info('Creating player_team_history table...');
+      await this.pool.query(`
+        CREATE TABLE IF NOT EXISTS player_team_history (
+          id SERIAL PRIMARY KEY,
+          game VARCHAR(100) NOT NULL,
+          player_page VARCHAR(500) NOT NULL,
+          entry_order INTEGER NOT NULL,
+          team_name VARCHAR(255) NOT NULL,
+          role TEXT,
+          join_date DATE,
+          leave_date DATE,
+          join_date_raw TEXT,
+          leave_date_raw TEXT,
+          is_current BOOLEAN DEFAULT false,
+          updated_at TIMESTAMP DEFAULT NOW()
+        );
+      `);
+
+      logger.info('Creating team_roster table...');
+      await this.pool.query(`
+        CREATE TABLE IF NOT EXISTS team_roster (
+          id SERIAL PRIMARY KEY,
+          game VARCHAR(100) NOT NULL,
+          team_page VARCHAR(500) NOT NULL,
+          entry_order INTEGER NOT NULL,
+          player_id VARCHAR(255) NOT NULL,
+          player_page VARCHAR(500),
+          real_name VARCHAR(255),
+          flag VARCHAR(50),
+          position TEXT,
+          status VARCHAR(20) NOT NULL,
+          captain BOOLEAN DEFAULT false,
+          join_date DATE,
+          leave_date DATE,
+          inactive_date DATE,
+          join_date_raw TEXT,
+          leave_date_raw TEXT,
+          new_team VARCHAR(255),
+          updated_at TIMESTAMP DEFAULT NOW()
+        );
+      `);
+
+      logger.info('Creating match_opponents table...');
+      // Opponents of a match: a team, a player (solo) or a party of players (2v2 and up)
+      await this.pool.query(`
+        CREATE TABLE IF NOT EXISTS match_opponents (
+          id SERIAL PRIMARY KEY,
+          match_id INTEGER NOT NULL REFERENCES matches(id) ON DELETE CASCADE,
+          position INTEGER NOT NULL,
+          opponent_type VARCHAR(20) NOT NULL,
+          name VARCHAR(255),
+          team_id INTEGER REFERENCES teams(id),
+          player_id INTEGER REFERENCES players(id),
+          flag VARCHAR(50),
+          race VARCHAR(20),
+          players JSONB,
+          score VARCHAR(20),
+          is_winner BOOLEAN DEFAULT false,
+          updated_at TIMESTAMP DEFAULT NOW()
+        );
+      `);
+
+      logger.info('Creating entity_aliases table...');
+      // Names a team or player is written as (template shortnames, redirects, old names),
+      // keyed by normalizeName, and the page they all resolve to
+      await this.pool.query(`
+        CREATE TABLE IF NOT EXISTS entity_aliases (
+          game VARCHAR(100) NOT NULL,
+          entity_type VARCHAR(20) NOT NULL,
+          alias VARCHAR(500) NOT NULL,
+          name VARCHAR(500) NOT NULL,
+          canonical_page VARCHAR(500) NOT NULL,
+          source VARCHAR(20) NOT NULL,
+          updated_at TIMESTAMP DEFAULT NOW(),
+          PRIMARY KEY (game, entity_type, alias)
+        );
+      `);
+
+      logger.info('Adding columns...');
+      // Columns added after the tables were first released
+      await this.addColumnSafely('page_snapshots', 'parser_version', 'INTEGER NOT NULL DEFAULT 0');
+      await this.addColumnSafely('tournaments', 'prize_pool_amount', 'NUMERIC(14, 2)');
+      await this.addColumnSafely('tournaments', 'prize_pool_currency', 'VARCHAR(3)');
+      await this.addColumnSafely('tournaments', 'prize_pool_usd', 'NUMERIC(14, 2)');
+      await this.addColumnSafely('tournaments', 'prize_pool_fx_rate', 'NUMERIC(14, 6)');
+      await this.addColumnSafely('teams', 'page', 'VARCHAR(500)');
+      await this.addColumnSafely('teams', 'status', 'VARCHAR(50)');
+      await this.addColumnSafely('teams', 'region', 'VARCHAR(100)');
+      await this.addColumnSafely('teams', 'location', 'VARCHAR(100)');
+      await this.addColumnSafely('teams', 'created_date', 'DATE');
+      await this.addColumnSafely('teams', 'created_raw', 'TEXT');
+      await this.addColumnSafely('teams', 'disbanded_date', 'DATE');
+      await this.addColumnSafely('teams', 'disbanded_raw', 'TEXT');
+      await this.addColumnSafely('teams', 'coaches', 'JSONB');
+      await this.addColumnSafely('teams', 'managers', 'JSONB');
+      await this.addColumnSafely('teams', 'captain', 'VARCHAR(255)');
+      await this.addColumnSafely('teams', 'sponsors', 'JSONB');
+      await this.addColumnSafely('players', 'page', 'VARCHAR(500)');
+      await this.addColumnSafely('players', 'real_name', 'VARCHAR(255)');
+      await this.addColumnSafely('players', 'romanized_name', 'VARCHAR(255)');
+      await this.addColumnSafely('players', 'birth_date', 'DATE');
+      await this.addColumnSafely('players', 'nationality', 'VARCHAR(100)');
+      await this.addColumnSafely('players', 'countries', 'JSONB');
+      await this.addColumnSafely('players', 'current_team', 'VARCHAR(255)');
+      await this.addColumnSafely('players', 'role', 'TEXT');
+      await this.addColumnSafely('players', 'status', 'VARCHAR(50)');
+      await this.addColumnSafely('players', 'signature', 'JSONB');
+      await this.addColumnSafely('matches', 'opponent_type', 'VARCHAR(20)');
+
+      logger.info('Widening columns...');
+      // Free-form wikitext that outgrew its VARCHAR; one long value would roll back a whole sync
+      await this.alterColumnTypeSafely('players', 'role', 'TEXT');
+      await this.alterColumnTypeSafely('player_team_history', 'role', 'TEXT');
+      await this.alterColumnTypeSafely('player_team_history', 'join_date_raw', 'TEXT');
+      await this.alterColumnTypeSafely('player_team_history', 'leave_date_raw', 'TEXT');
+      await this.alterColumnTypeSafely('teams', 'created_raw', 'TEXT');
+      await this.alterColumnTypeSafely('teams', 'disbanded_raw', 'TEXT');
+      await this.alterColumnTypeSafely('team_roster', 'position', 'TEXT');
+      await this.alterColumnTypeSafely('team_roster', 'join_date_raw', 'TEXT');
+      await this.alterColumnTypeSafely('team_roster', 'leave_date_raw', 'TEXT');
+
       logger.info('Creating indexes...');
       // Create indexes after tables exist (one by one with error handling)
       await this.createIndexSafely('idx_teams_game', 'teams', 'game');
@@ -138,8 +366,21 @@ class DatabaseService {
       await this.createIndexSafely('idx_matches_liquipedia_id', 'matches', 'liquipedia_id, game');
       await this.createIndexSafely('idx_tournaments_game', 'tournaments', 'game');
       await this.createIndexSafely('idx_tournaments_date', 'tournaments', 'start_date');
+      await this.createIndexSafely('idx_tournaments_prize_usd', 'tournaments', 'prize_pool_usd');
       await this.createIndexSafely('idx_tournaments_liquipedia_id', 'tournaments', 'liquipedia_id, game');
       await this.createIndexSafely('idx_sync_log_type', 'sync_log', 'sync_type, game');
+      await this.createIndexSafely('idx_api_cache_expires', 'api_cache', 'expires_at');
+      await this.createIndexSafely('idx_request_audit_log_time', 'request_audit_log', 'requested_at');
+      await this.createIndexSafely('idx_request_audit_log_bucket', 'request_audit_log', 'wiki, operation_type, requested_at');
+      await this.createIndexSafely('idx_tournament_standings_page', 'tournament_standings', 'game, tournament_page');
+      await this.createIndexSafely('idx_battle_royale_results_page', 'battle_royale_results', 'game, tournament_page');
+      await this.createIndexSafely('idx_team_roster_team', 'team_roster', 'game, team_page');
+      await this.createIndexSafely('idx_player_team_history_player', 'player_team_history', 'game, player_page');
+      await this.createIndexSafely('idx_player_team_history_team', 'player_team_history', 'game, team_name');
+      await this.createIndexSafely('idx_matches_tournament', 'matches', 'game, tournament');
+      await this.createIndexSafely('idx_match_opponents_match', 'match_opponents', 'match_id');
+      await this.createIndexSafely('idx_match_opponents_name', 'match_opponents', 'name');
+      await this.createIndexSafely('idx_entity_aliases_page', 'entity_aliases', 'game, entity_type, canonical_page');
 
       logger.info('Adding unique constraints...');
       // Add unique constraints after tables exist (one by one)
@@ -196,6 +437,22 @@ class DatabaseService {
     }
   }
 
+  async addColumnSafely(tableName, columnName, definition) {
+    try {
+      await this.pool.query(`ALTER TABLE ${tableName} ADD COLUMN IF NOT EXISTS ${columnName} ${definition}`);
+    } catch (error) {
+      logger.warn(`Failed to add column ${columnName} to ${tableName}: ${error.message}`);
+    }
+  }
+
+  async alterColumnTypeSafely(tableName, columnName, type) {
+    try {
+      await this.pool.query(`ALTER TABLE ${tableName} ALTER COLUMN ${columnName} TYPE ${type}`);
+    } catch (error) {
+      logger.warn(`Failed to change type of ${tableName}.${columnName}: ${error.message}`);
+    }
+  }
+
   async addConstraintSafely(tableName, constraintName, constraint) {
     try {
       // Check if constraint already exists
@@ -224,14 +481,54 @@ class DatabaseService {
 
       for (const team of teams) {
         await client.query(`
-          INSERT INTO teams (liquipedia_id, name, game, liquipedia_url, updated_at)
-          VALUES ($1, $2, $3, $4, NOW())
+          INSERT INTO teams (
+            liquipedia_id, name, game, liquipedia_url, page, status, region, location, created_date,
+            created_raw, disbanded_date, disbanded_raw, coaches, managers, captain, sponsors, updated_at
+          )
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, NOW())
           ON CONFLICT (liquipedia_id, game) 
           DO UPDATE SET 
             name = EXCLUDED.name,
             liquipedia_url = EXCLUDED.liquipedia_url,
+            page = COALESCE(EXCLUDED.page, teams.page),
+            status = COALESCE(EXCLUDED.status, teams.status),
+            region = COALESCE(EXCLUDED.region, teams.region),
+            location = COALESCE(EXCLUDED.location, teams.location),
+            created_date = COALESCE(EXCLUDED.created_date, teams.created_date),
+            created_raw = COALESCE(EXCLUDED.created_raw, teams.created_raw),
+            disbanded_date = COALESCE(EXCLUDED.disbanded_date, teams.disbanded_date),
+            disbanded_raw = COALESCE(EXCLUDED.disbanded_raw, teams.disbanded_raw),
+            coaches = COALESCE(EXCLUDED.coaches, teams.coaches),
+            managers = COALESCE(EXCLUDED.managers, teams.managers),
+            captain = COALESCE(EXCLUDED.captain, teams.captain),
+            sponsors = COALESCE(EXCLUDED.sponsors, teams.sponsors),
             updated_at = NOW()
-        `, [team.id, team.name, team.game, team.liquipedia_url]);
+        `, [
+          team.id,
+          team.name,
+          team.game,
+          team.liquipedia_url,
+          team.page || null,
+          team.status || null,
+          team.region || null,
+          team.location || null,
+          team.created || null,
+          team.created_raw || null,
+          team.disbanded || null,
+          team.disbanded_raw || null,
+          team.coaches ? JSON.stringify(team.coaches) : null,
+          team.managers ? JSON.stringify(team.managers) : null,
+          team.captain || null,
+          team.sponsors ? JSON.stringify(team.sponsors) : null
+        ]);
+
+        // Only teams whose page was parsed carry squad tables
+        if (Array.isArray(team.squad)) {
+          await this.writeTeamRoster(client, team.game, team.page || team.name, team.squad);
+        }
+        if (team.page && Array.isArray(team.aliases)) {
+          await this.writeEntityAliases(client, team.game, 'team', team.page, team.aliases, 'infobox');
+        }
         processed++;
       }
 
@@ -255,14 +552,50 @@ class DatabaseService {
 
       for (const player of players) {
         await client.query(`
-          INSERT INTO players (liquipedia_id, name, game, liquipedia_url, updated_at)
-          VALUES ($1, $2, $3, $4, NOW())
+          INSERT INTO players (
+            liquipedia_id, name, game, liquipedia_url, page, real_name, romanized_name, birth_date,
+            nationality, countries, current_team, role, status, signature, updated_at
+          )
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, NOW())
           ON CONFLICT (liquipedia_id, game) 
           DO UPDATE SET 
             name = EXCLUDED.name,
             liquipedia_url = EXCLUDED.liquipedia_url,
+            page = COALESCE(EXCLUDED.page, players.page),
+            real_name = COALESCE(EXCLUDED.real_name, players.real_name),
+            romanized_name = COALESCE(EXCLUDED.romanized_name, players.romanized_name),
+            birth_date = COALESCE(EXCLUDED.birth_date, players.birth_date),
+            nationality = COALESCE(EXCLUDED.nationality, players.nationality),
+            countries = COALESCE(EXCLUDED.countries, players.countries),
+            current_team = COALESCE(EXCLUDED.current_team, players.current_team),
+            role = COALESCE(EXCLUDED.role, players.role),
+            status = COALESCE(EXCLUDED.status, players.status),
+            signature = COALESCE(EXCLUDED.signature, players.signature),
             updated_at = NOW()
-        `, [player.id, player.name, player.game, player.liquipedia_url]);
+        `, [
+          player.id,
+          player.name,
+          player.game,
+          player.liquipedia_url,
+          player.page || null,
+          player.real_name || null,
+          player.romanized_name || null,
+          player.birth_date || null,
+          player.nationality || null,
+          player.countries ? JSON.stringify(player.countries) : null,
+          player.current_team || null,
+          player.role || null,
+          player.status || null,
+          player.signature ? JSON.stringify(player.signature) : null
+        ]);
+
+        // Only players whose page was parsed carry a team history
+        if (Array.isArray(player.team_history)) {
+          await this.writePlayerTeamHistory(client, player.game, player.page || player.name, player.team_history);
+        }
+        if (player.page && Array.isArray(player.aliases)) {
+          await this.writeEntityAliases(client, player.game, 'player', player.page, player.aliases, 'infobox');
+        }
         processed++;
       }
 
@@ -278,6 +611,217 @@ class DatabaseService {
     }
   }
 
+  // Replaces a team's squad rows; runs on the caller's transaction
+  async writeTeamRoster(client, game, teamPage, squad) {
+    await client.query('DELETE FROM team_roster WHERE game = $1 AND team_page = $2', [game, teamPage]);
+
+    for (const player of squad) {
+      await client.query(`
+        INSERT INTO team_roster (
+          game, team_page, entry_order, player_id, player_page, real_name, flag, position, status,
+          captain, join_date, leave_date, inactive_date, join_date_raw, leave_date_raw, new_team, updated_at
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, NOW())
+      `, [
+        game,
+        teamPage,
+        player.order,
+        player.id,
+        player.page,
+        player.name || null,
+        player.flag || null,
+        player.position || null,
+        player.status,
+        player.captain || false,
+        player.join_date || null,
+        player.leave_date || null,
+        player.inactive_date || null,
+        player.join_date_raw || null,
+        player.leave_date_raw || null,
+        player.new_team || null
+      ]);
+    }
+  }
+
+  // Replaces a player's team history; runs on the caller's transaction
+  async writePlayerTeamHistory(client, game, playerPage, history) {
+    await client.query('DELETE FROM player_team_history WHERE game = $1 AND player_page = $2', [game, playerPage]);
+
+    for (const entry of history) {
+      await client.query(`
+        INSERT INTO player_team_history (
+          game, player_page, entry_order, team_name, role, join_date, leave_date,
+          join_date_raw, leave_date_raw, is_current, updated_at
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, NOW())
+      `, [
+        game,
+        playerPage,
+        entry.order,
+        entry.team,
+        entry.role,
+        entry.join_date,
+        entry.leave_date,
+        entry.join_date_raw,
+        entry.leave_date_raw,
+        entry.is_current
+      ]);
+    }
+  }
+
+  // Maps names to the page they resolve to; runs on the caller's transaction.
+  // A name keeps the source it was first seen with unless it now points at another page.
+  async writeEntityAliases(client, game, entityType, canonicalPage, names, source) {
+    for (const name of new Set([canonicalPage, ...names])) {
+      const alias = normalizeName(name);
+      if (!alias) continue;
+
+      await client.query(`
+        INSERT INTO entity_aliases (game, entity_type, alias, name, canonical_page, source, updated_at)
+        VALUES ($1, $2, $3, $4, $5, $6, NOW())
+        ON CONFLICT (game, entity_type, alias)
+        DO UPDATE SET
+          name = EXCLUDED.name,
+          source = CASE WHEN entity_aliases.canonical_page = EXCLUDED.canonical_page
+            THEN entity_aliases.source ELSE EXCLUDED.source END,
+          canonical_page = EXCLUDED.canonical_page,
+          updated_at = NOW()
+      `, [game, entityType, alias, name, canonicalPage, name === canonicalPage ? 'page' : source]);
+    }
+  }
+
+  // entries: [{ name, canonical_page, source }]
+  async saveEntityAliases(game, entityType, entries) {
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      for (const entry of entries) {
+        await this.writeEntityAliases(client, game, entityType, entry.canonical_page, [entry.name], entry.source);
+      }
+      await client.query('COMMIT');
+      return entries.length;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error(`Failed to save ${entityType} aliases for ${game}`, error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Canonical pages of the names already resolved: { name: canonicalPage }.
+  // Names resolved from a page title or redirect older than revalidateAfterMs are left out.
+  async getEntityAliases(game, entityType, names, { revalidateAfterMs = null } = {}) {
+    const aliases = [...new Set(names.map(normalizeName).filter(alias => alias))];
+    if (aliases.length === 0) return {};
+
+    const result = await this.pool.query(`
+      SELECT alias, canonical_page FROM entity_aliases
+      WHERE game = $1 AND entity_type = $2 AND alias = ANY($3)
+        AND ($4::bigint IS NULL OR source NOT IN ('page', 'redirect')
+          OR updated_at > NOW() - $4::bigint * INTERVAL '1 millisecond')
+    `, [game, entityType, aliases, revalidateAfterMs]);
+    const pages = {};
+    result.rows.forEach(row => { pages[row.alias] = row.canonical_page; });
+
+    const resolved = {};
+    for (const name of names) {
+      if (pages[normalizeName(name)]) resolved[name] = pages[normalizeName(name)];
+    }
+    return resolved;
+  }
+
+  // Keys of every name that resolves to the same page as name (name's own key included)
+  async getAliasKeys(game, name) {
+    const alias = normalizeName(name);
+    const result = await this.pool.query(`
+      SELECT DISTINCT a.alias
+      FROM entity_aliases a
+      JOIN entity_aliases b
+        ON b.game = a.game AND b.entity_type = a.entity_type AND b.canonical_page = a.canonical_page
+      WHERE b.alias = $1 ${game ? 'AND b.game = $2' : ''}
+    `, game ? [alias, game] : [alias]);
+    return [...new Set([alias, ...result.rows.map(row => row.alias)])];
+  }
+
+  // Every stored name of a canonical page
+  async getAliasesForPage(game, entityType, canonicalPage) {
+    const result = await this.pool.query(`
+      SELECT name, source, updated_at
+      FROM entity_aliases
+      WHERE game = $1 AND entity_type = $2 AND canonical_page = $3
+      ORDER BY source, name
+    `, [game, entityType, canonicalPage]);
+    return result.rows;
+  }
+
+  // Team id of a team opponent, or player id of a solo opponent, when it is already stored.
+  // Shortnames and old names find the team through entity_aliases.
+  async findOpponentId(client, game, opponent) {
+    if (!opponent.name || !['team', 'solo'].includes(opponent.type)) return null;
+
+    const [table, entityType] = opponent.type === 'team' ? ['teams', 'team'] : ['players', 'player'];
+    const result = await client.query(`
+      SELECT id FROM ${table}
+      WHERE game = $1 AND (page = $2 OR name = $2 OR page = (
+        SELECT canonical_page FROM entity_aliases WHERE game = $1 AND entity_type = $3 AND alias = $4
+      ))
+      ORDER BY id LIMIT 1
+    `, [game, opponent.name, entityType, normalizeName(opponent.name)]);
+    return result.rows.length > 0 ? result.rows[0].id : null;
+  }
+
+  // Replaces a match's opponents and links team matches to teams(id); runs on the caller's transaction
+  async writeMatchOpponents(client, matchId, game, match) {
+    await client.query('DELETE FROM match_opponents WHERE match_id = $1', [matchId]);
+
+    const teamIds = [];
+    for (const [index, opponent] of match.opponents.entries()) {
+      const type = opponent.type === 'literal' ? 'team' : opponent.type;
+      const id = await this.findOpponentId(client, game, { ...opponent, type });
+      if (type === 'team') teamIds[index] = id;
+
+      await client.query(`
+        INSERT INTO match_opponents (
+          match_id, position, opponent_type, name, team_id, player_id, flag, race, players, score, is_winner, updated_at
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, NOW())
+      `, [
+        matchId,
+        index + 1,
+        type,
+        opponent.name,
+        type === 'team' ? id : null,
+        type === 'solo' ? id : null,
+        opponent.flag || null,
+        opponent.race || null,
+        JSON.stringify(opponent.players || []),
+        opponent.score === null || opponent.score === undefined ? null : String(opponent.score),
+        match.winner_index === index + 1
+      ]);
+    }
+
+    const scores = match.opponents.map(opponent => opponent.score);
+    await client.query(`
+      UPDATE matches SET
+        team1_id = $2,
+        team2_id = $3,
+        winner_id = $4,
+        score = $5,
+        status = COALESCE($6, status),
+        opponent_type = $7
+      WHERE id = $1
+    `, [
+      matchId,
+      teamIds[0] || null,
+      teamIds[1] || null,
+      match.winner_index ? (teamIds[match.winner_index - 1] || null) : null,
+      scores.every(score => score !== null && score !== undefined) ? scores.join('-') : null,
+      match.status || null,
+      match.opponents[0] ? (match.opponents[0].type === 'literal' ? 'team' : match.opponents[0].type) : null
+    ]);
+  }
+
   async upsertMatches(matches) {
     const client = await this.pool.connect();
     try {
@@ -285,7 +829,7 @@ class DatabaseService {
       let processed = 0;
 
       for (const match of matches) {
-        await client.query(`
+        const result = await client.query(`
           INSERT INTO matches (liquipedia_id, title, game, match_date, liquipedia_url, raw_data, updated_at)
           VALUES ($1, $2, $3, $4, $5, $6, NOW())
           ON CONFLICT (liquipedia_id, game) 
@@ -295,6 +839,7 @@ class DatabaseService {
             liquipedia_url = EXCLUDED.liquipedia_url,
             raw_data = EXCLUDED.raw_data,
             updated_at = NOW()
+          RETURNING id
         `, [
           match.id, 
           match.title, 
@@ -303,6 +848,11 @@ class DatabaseService {
           match.liquipedia_url,
           JSON.stringify(match)
         ]);
+
+        // Parsed matches carry their opponents (teams, players or parties)
+        if (Array.isArray(match.opponents)) {
+          await this.writeMatchOpponents(client, result.rows[0].id, match.game, match);
+        }
         processed++;
       }
 
@@ -318,6 +868,47 @@ class DatabaseService {
     }
   }
 
+  // Replaces the bracket matches parsed from a tournament page. They have no page of their
+  // own, so they are keyed by tournament page instead of liquipedia_id.
+  async replaceTournamentMatches(game, tournamentPage, matches, liquipediaUrl = null) {
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query(
+        'DELETE FROM matches WHERE game = $1 AND tournament = $2 AND liquipedia_id IS NULL',
+        [game, tournamentPage]
+      );
+
+      for (const match of matches) {
+        const names = match.opponents.map(opponent => opponent.name || 'TBD');
+        const result = await client.query(`
+          INSERT INTO matches (title, game, match_date, tournament, match_type, liquipedia_url, raw_data, updated_at)
+          VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())
+          RETURNING id
+        `, [
+          names.join(' vs '),
+          game,
+          match.date && match.date.timestamp ? new Date(match.date.timestamp) : null,
+          tournamentPage,
+          match.format,
+          liquipediaUrl,
+          JSON.stringify(match)
+        ]);
+        await this.writeMatchOpponents(client, result.rows[0].id, game, match);
+      }
+
+      await client.query('COMMIT');
+      logger.info(`Stored ${matches.length} matches for ${tournamentPage}`);
+      return matches.length;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error(`Failed to store matches for ${tournamentPage}`, error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
   async upsertTournaments(tournaments) {
     const client = await this.pool.connect();
     try {
@@ -325,9 +916,16 @@ class DatabaseService {
       let processed = 0;
 
       for (const tournament of tournaments) {
+        // Results syncs carry the parsed page under details instead of at the top level
+        const parsed = (tournament.details && tournament.details.parsed_data) || {};
+        const prize = tournament.prize || parsed.prize || {};
+        const dates = tournament.dates || parsed.dates || {};
         await client.query(`
-          INSERT INTO tournaments (liquipedia_id, name, game, category, status, liquipedia_url, raw_data, updated_at)
-          VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())
+          INSERT INTO tournaments (
+            liquipedia_id, name, game, category, status, liquipedia_url, raw_data, prize_pool,
+            prize_pool_amount, prize_pool_currency, prize_pool_usd, prize_pool_fx_rate, start_date, end_date, updated_at
+          )
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, NOW())
           ON CONFLICT (liquipedia_id, game) 
           DO UPDATE SET 
             name = EXCLUDED.name,
@@ -335,6 +933,13 @@ class DatabaseService {
             status = EXCLUDED.status,
             liquipedia_url = EXCLUDED.liquipedia_url,
             raw_data = EXCLUDED.raw_data,
+            prize_pool = COALESCE(EXCLUDED.prize_pool, tournaments.prize_pool),
+            prize_pool_amount = COALESCE(EXCLUDED.prize_pool_amount, tournaments.prize_pool_amount),
+            prize_pool_currency = COALESCE(EXCLUDED.prize_pool_currency, tournaments.prize_pool_currency),
+            prize_pool_usd = COALESCE(EXCLUDED.prize_pool_usd, tournaments.prize_pool_usd),
+            prize_pool_fx_rate = COALESCE(EXCLUDED.prize_pool_fx_rate, tournaments.prize_pool_fx_rate),
+            start_date = COALESCE(EXCLUDED.start_date, tournaments.start_date),
+            end_date = COALESCE(EXCLUDED.end_date, tournaments.end_date),
             updated_at = NOW()
         `, [
           tournament.id,
@@ -343,7 +948,14 @@ class DatabaseService {
           tournament.category || 'unknown',
           tournament.status || 'unknown',
           tournament.liquipedia_url,
-          JSON.stringify(tournament)
+          JSON.stringify(tournament),
+          prize.raw ? prize.raw.substring(0, 100) : null,
+          prize.amount ?? null,
+          prize.currency || null,
+          prize.amount_usd ?? null,
+          prize.fx_rate ?? null,
+          dates.start && dates.start.timestamp ? new Date(dates.start.timestamp) : null,
+          dates.end && dates.end.timestamp ? new Date(dates.end.timestamp) : null
         ]);
         processed++;
       }
@@ -360,6 +972,118 @@ class DatabaseService {
     }
   }
 
+  // Replace the placement rows of one tournament page (parsed from its prize pool table)
+  async replaceTournamentStandings(game, tournamentPage, standings) {
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query('DELETE FROM tournament_standings WHERE game = $1 AND tournament_page = $2', [game, tournamentPage]);
+
+      for (const row of standings) {
+        await client.query(`
+          INSERT INTO tournament_standings (
+            game, tournament_page, place, place_start, place_end, opponent_type, opponent_name,
+            opponent_flag, prize_usd, prize_local, local_currency, points, qualified, updated_at
+          )
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, NOW())
+        `, [
+          game,
+          tournamentPage,
+          row.place,
+          row.place_start,
+          row.place_end,
+          row.opponent_type,
+          row.opponent_name,
+          row.opponent_flag,
+          row.prize_usd,
+          row.prize_local,
+          row.local_currency,
+          row.points,
+          row.qualified
+        ]);
+      }
+
+      await client.query('COMMIT');
+      logger.info(`Stored ${standings.length} standings rows for ${tournamentPage}`);
+      return standings.length;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error(`Failed to store standings for ${tournamentPage}`, error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async replaceBattleRoyaleResults(game, tournamentPage, results) {
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query('DELETE FROM battle_royale_results WHERE game = $1 AND tournament_page = $2', [game, tournamentPage]);
+
+      for (const row of results) {
+        await client.query(`
+          INSERT INTO battle_royale_results (
+            game, tournament_page, bracket_id, match_id, header, day, lobby, game_number, map, opponent_type,
+            opponent_name, placement, kills, placement_points, kill_points, points, updated_at
+          )
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, NOW())
+        `, [
+          game,
+          tournamentPage,
+          row.bracket_id,
+          row.match_id,
+          row.header,
+          row.day,
+          row.lobby,
+          row.game_number,
+          row.map,
+          row.opponent_type,
+          row.opponent_name,
+          row.placement,
+          row.kills,
+          row.placement_points,
+          row.kill_points,
+          row.points
+        ]);
+      }
+
+      await client.query('COMMIT');
+      logger.info(`Stored ${results.length} battle royale results for ${tournamentPage}`);
+      return results.length;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error(`Failed to store battle royale results for ${tournamentPage}`, error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async getBattleRoyaleResults(game, tournamentPage) {
+    const result = await this.pool.query(`
+      SELECT bracket_id, match_id, header, day, lobby, game_number, map, opponent_type, opponent_name,
+        placement, kills, placement_points::float AS placement_points, kill_points::float AS kill_points,
+        points::float AS points
+      FROM battle_royale_results
+      WHERE game = $1 AND tournament_page = $2
+      ORDER BY id
+    `, [game, tournamentPage]);
+    return result.rows;
+  }
+
+  async getTournamentStandings(game, tournamentPage) {
+    const result = await this.pool.query(`
+      SELECT place, place_start, place_end, opponent_type, opponent_name, opponent_flag,
+        prize_usd::float AS prize_usd, prize_local::float AS prize_local, local_currency,
+        points::float AS points, qualified, updated_at
+      FROM tournament_standings
+      WHERE game = $1 AND tournament_page = $2
+      ORDER BY place_start NULLS LAST, id
+    `, [game, tournamentPage]);
+    return result.rows;
+  }
+
   async logSync(syncType, game, status, recordsProcessed = 0, errorMessage = null) {
     try {
       const result = await this.pool.query(`
@@ -374,10 +1098,164 @@ class DatabaseService {
     }
   }
 
+  // Cached Liquipedia API responses (see CacheService)
+  async getCachedResponse(cacheKey) {
+    const result = await this.pool.query(`
+      SELECT response, created_at, expires_at FROM api_cache
+      WHERE cache_key = $1 AND expires_at > NOW()
+    `, [cacheKey]);
+    return result.rows[0] || null;
+  }
+
+  async setCachedResponse({ cacheKey, wiki, action, operationType, params, response, ttlSeconds }) {
+    await this.pool.query(`
+      INSERT INTO api_cache (cache_key, wiki, action, operation_type, params, response, created_at, expires_at)
+      VALUES ($1, $2, $3, $4, $5, $6, NOW(), NOW() + make_interval(secs => $7))
+      ON CONFLICT (cache_key)
+      DO UPDATE SET
+        response = EXCLUDED.response,
+        created_at = NOW(),
+        expires_at = EXCLUDED.expires_at
+    `, [cacheKey, wiki, action, operationType, JSON.stringify(params), JSON.stringify(response), ttlSeconds]);
+  }
+
+  async purgeExpiredCache() {
+    const result = await this.pool.query('DELETE FROM api_cache WHERE expires_at <= NOW()');
+    return result.rowCount;
+  }
+
+  async getCacheSummary() {
+    const result = await this.pool.query(`
+      SELECT wiki, operation_type, COUNT(*) as entries,
+             COUNT(*) FILTER (WHERE expires_at > NOW()) as fresh_entries
+      FROM api_cache
+      GROUP BY wiki, operation_type
+      ORDER BY wiki, operation_type
+    `);
+    return result.rows.map(row => ({
+      wiki: row.wiki,
+      operation_type: row.operation_type,
+      entries: parseInt(row.entries),
+      fresh_entries: parseInt(row.fresh_entries)
+    }));
+  }
+
+  // Last parsed revision of a wiki page (see LiquipediaService.fetchParsedPage)
+  async getPageSnapshot(game, pageTitle, kind) {
+    const result = await this.pool.query(`
+      SELECT pageid, lastrevid, touched, parsed_data, parser_version, updated_at FROM page_snapshots
+      WHERE game = $1 AND page_title = $2 AND kind = $3
+    `, [game, pageTitle, kind]);
+    return result.rows[0] || null;
+  }
+
+  async savePageSnapshot({ game, pageTitle, kind, pageid, lastrevid, touched, parsedData, parserVersion = 0 }) {
+    await this.pool.query(`
+      INSERT INTO page_snapshots (game, page_title, kind, pageid, lastrevid, touched, parsed_data, parser_version, updated_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW())
+      ON CONFLICT (game, page_title, kind)
+      DO UPDATE SET
+        pageid = EXCLUDED.pageid,
+        lastrevid = EXCLUDED.lastrevid,
+        touched = EXCLUDED.touched,
+        parsed_data = EXCLUDED.parsed_data,
+        parser_version = EXCLUDED.parser_version,
+        updated_at = NOW()
+    `, [game, pageTitle, kind, pageid || null, lastrevid || null, touched ? new Date(touched) : null, JSON.stringify(parsedData), parserVersion]);
+  }
+
+  // Reserve the next request slot of a shared rate limit bucket (see SharedRateLimiter).
+  // The upsert locks the bucket row, so concurrent processes always get distinct slots.
+  // Returns how many milliseconds the caller has to wait before its slot starts.
+  async reserveRateLimitSlot(bucket, intervalMs) {
+    const result = await this.pool.query(`
+      INSERT INTO rate_limit_buckets (bucket, next_slot_at, updated_at)
+      VALUES ($1, clock_timestamp() + $2::int * INTERVAL '1 millisecond', NOW())
+      ON CONFLICT (bucket)
+      DO UPDATE SET
+        next_slot_at = GREATEST(rate_limit_buckets.next_slot_at, clock_timestamp()) + $2::int * INTERVAL '1 millisecond',
+        updated_at = NOW()
+      RETURNING EXTRACT(EPOCH FROM (next_slot_at - $2::int * INTERVAL '1 millisecond' - clock_timestamp())) * 1000 AS wait_ms
+    `, [bucket, intervalMs]);
+
+    return Math.max(0, Math.ceil(parseFloat(result.rows[0].wait_ms)));
+  }
+
+  // One row per HTTP request sent to Liquipedia
+  async logUpstreamRequest({ requestedAt, wiki, action, operationType, lane, caller, statusCode, bytes, latencyMs, error }) {
+    await this.pool.query(`
+      INSERT INTO request_audit_log (requested_at, wiki, action, operation_type, lane, caller, status_code, bytes, latency_ms, error)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+    `, [requestedAt, wiki, action, operationType, lane, caller, statusCode, bytes, latencyMs, error]);
+  }
+
+  // Hourly request counts per wiki and operation type, with the shortest gap between
+  // consecutive requests and how many gaps were shorter than minIntervals[operation_type]
+  async getRequestAuditSummary(hours, minIntervals) {
+    const result = await this.pool.query(`
+      WITH spaced AS (
+        SELECT requested_at, wiki, operation_type, status_code, bytes, latency_ms,
+               EXTRACT(EPOCH FROM requested_at - LAG(requested_at) OVER (
+                 PARTITION BY wiki, operation_type ORDER BY requested_at
+               )) * 1000 AS interval_ms
+        FROM request_audit_log
+        WHERE requested_at > NOW() - make_interval(hours => $1::int)
+      )
+      SELECT date_trunc('hour', requested_at) AS hour, wiki, operation_type,
+             COUNT(*) AS requests,
+             COUNT(*) FILTER (WHERE status_code = 429) AS rate_limited,
+             COUNT(*) FILTER (WHERE status_code IS NULL OR status_code >= 500) AS failed,
+             COALESCE(SUM(bytes), 0) AS bytes,
+             ROUND(AVG(latency_ms)) AS avg_latency_ms,
+             ROUND(MIN(interval_ms)) AS min_interval_ms,
+             COUNT(*) FILTER (WHERE interval_ms < ($2::jsonb ->> operation_type)::numeric) AS short_intervals
+      FROM spaced
+      GROUP BY 1, 2, 3
+      ORDER BY 1 DESC, 2, 3
+    `, [hours, JSON.stringify(minIntervals)]);
+
+    return result.rows.map(row => ({
+      hour: row.hour,
+      wiki: row.wiki,
+      operation_type: row.operation_type,
+      requests: parseInt(row.requests),
+      rate_limited: parseInt(row.rate_limited),
+      failed: parseInt(row.failed),
+      bytes: parseInt(row.bytes),
+      avg_latency_ms: row.avg_latency_ms === null ? null : parseInt(row.avg_latency_ms),
+      min_interval_ms: row.min_interval_ms === null ? null : parseInt(row.min_interval_ms),
+      short_intervals: parseInt(row.short_intervals)
+    }));
+  }
+
   async getTeams(game = null, limit = 100) {
-    const query = game 
-      ? 'SELECT * FROM teams WHERE game = $1 ORDER BY updated_at DESC LIMIT $2'
-      : 'SELECT * FROM teams ORDER BY updated_at DESC LIMIT $1';
+    // Squad rows are attached as an array in page order (active, inactive, then former)
+    const query = `
+      SELECT t.*, COALESCE(squad.roster, '[]'::json) AS roster
+      FROM teams t
+      LEFT JOIN LATERAL (
+        SELECT json_agg(json_build_object(
+          'id', r.player_id,
+          'page', r.player_page,
+          'name', r.real_name,
+          'flag', r.flag,
+          'position', r.position,
+          'status', r.status,
+          'captain', r.captain,
+          'join_date', to_char(r.join_date, 'YYYY-MM-DD'),
+          'leave_date', to_char(r.leave_date, 'YYYY-MM-DD'),
+          'inactive_date', to_char(r.inactive_date, 'YYYY-MM-DD'),
+          'join_date_raw', r.join_date_raw,
+          'leave_date_raw', r.leave_date_raw,
+          'new_team', r.new_team
+        ) ORDER BY r.entry_order) AS roster
+        FROM team_roster r
+        WHERE r.game = t.game AND r.team_page = COALESCE(t.page, t.name)
+      ) squad ON true
+      ${game ? 'WHERE t.game = $1' : ''}
+      ORDER BY t.updated_at DESC
+      LIMIT ${game ? '$2' : '$1'}
+    `;
     
     const params = game ? [game, limit] : [limit];
     const result = await this.pool.query(query, params);
@@ -385,32 +1263,122 @@ class DatabaseService {
   }
 
   async getPlayers(game = null, limit = 100) {
-    const query = game 
-      ? 'SELECT * FROM players WHERE game = $1 ORDER BY updated_at DESC LIMIT $2'
-      : 'SELECT * FROM players ORDER BY updated_at DESC LIMIT $1';
+    // Team history rows are attached as an array, oldest first
+    const query = `
+      SELECT p.*, COALESCE(history.team_history, '[]'::json) AS team_history
+      FROM players p
+      LEFT JOIN LATERAL (
+        SELECT json_agg(json_build_object(
+          'team', h.team_name,
+          'role', h.role,
+          'join_date', to_char(h.join_date, 'YYYY-MM-DD'),
+          'leave_date', to_char(h.leave_date, 'YYYY-MM-DD'),
+          'join_date_raw', h.join_date_raw,
+          'leave_date_raw', h.leave_date_raw,
+          'is_current', h.is_current
+        ) ORDER BY h.entry_order) AS team_history
+        FROM player_team_history h
+        WHERE h.game = p.game AND h.player_page = COALESCE(p.page, p.name)
+      ) history ON true
+      ${game ? 'WHERE p.game = $1' : ''}
+      ORDER BY p.updated_at DESC
+      LIMIT ${game ? '$2' : '$1'}
+    `;
     
     const params = game ? [game, limit] : [limit];
     const result = await this.pool.query(query, params);
     return result.rows;
   }
 
-  async getMatches(game = null, limit = 100) {
-    const query = game 
-      ? 'SELECT * FROM matches WHERE game = $1 ORDER BY match_date DESC, updated_at DESC LIMIT $2'
-      : 'SELECT * FROM matches ORDER BY match_date DESC, updated_at DESC LIMIT $1';
-    
-    const params = game ? [game, limit] : [limit];
-    const result = await this.pool.query(query, params);
+  // filters: { opponentType: 'team' | 'solo' | 'party', opponent (team or player name), tournament }
+  async getMatches(game = null, limit = 100, filters = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (game) {
+      params.push(game);
+      conditions.push(`m.game = $${params.length}`);
+    }
+    if (filters.opponentType) {
+      params.push(filters.opponentType);
+      conditions.push(`m.opponent_type = $${params.length}`);
+    }
+    if (filters.tournament) {
+      params.push(filters.tournament);
+      conditions.push(`m.tournament = $${params.length}`);
+    }
+    if (filters.opponent) {
+      // Party members count as well as the opponent itself, and so do its other names
+      params.push(await this.getAliasKeys(game, filters.opponent));
+      conditions.push(`EXISTS (
+        SELECT 1 FROM match_opponents f
+        WHERE f.match_id = m.id AND (
+          ${aliasKeySql('f.name')} = ANY($${params.length}) OR
+          EXISTS (SELECT 1 FROM jsonb_array_elements(f.players) p WHERE ${aliasKeySql("p->>'name'")} = ANY($${params.length}))
+        )
+      )`);
+    }
+
+    params.push(limit);
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const result = await this.pool.query(`
+      SELECT m.*, COALESCE(opponents.opponents, '[]'::json) AS opponents
+      FROM matches m
+      LEFT JOIN LATERAL (
+        SELECT json_agg(json_build_object(
+          'type', o.opponent_type,
+          'name', o.name,
+          'team_id', o.team_id,
+          'player_id', o.player_id,
+          'flag', o.flag,
+          'race', o.race,
+          'players', o.players,
+          'score', o.score,
+          'is_winner', o.is_winner
+        ) ORDER BY o.position) AS opponents
+        FROM match_opponents o
+        WHERE o.match_id = m.id
+      ) opponents ON true
+      ${where}
+      ORDER BY m.match_date DESC, m.updated_at DESC
+      LIMIT $${params.length}
+    `, params);
     return result.rows;
   }
 
-  async getTournaments(game = null, limit = 100) {
-    const query = game 
-      ? 'SELECT * FROM tournaments WHERE game = $1 ORDER BY start_date DESC, updated_at DESC LIMIT $2'
-      : 'SELECT * FROM tournaments ORDER BY start_date DESC, updated_at DESC LIMIT $1';
-    
-    const params = game ? [game, limit] : [limit];
-    const result = await this.pool.query(query, params);
+  // filters: { minPrizeUsd, maxPrizeUsd, currency, sort: 'start_date' | 'prize_usd', order: 'asc' | 'desc' }
+  async getTournaments(game = null, limit = 100, filters = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (game) {
+      params.push(game);
+      conditions.push(`game = $${params.length}`);
+    }
+    if (filters.minPrizeUsd !== undefined && filters.minPrizeUsd !== null) {
+      params.push(filters.minPrizeUsd);
+      conditions.push(`prize_pool_usd >= $${params.length}`);
+    }
+    if (filters.maxPrizeUsd !== undefined && filters.maxPrizeUsd !== null) {
+      params.push(filters.maxPrizeUsd);
+      conditions.push(`prize_pool_usd <= $${params.length}`);
+    }
+    if (filters.currency) {
+      params.push(filters.currency.toUpperCase());
+      conditions.push(`prize_pool_currency = $${params.length}`);
+    }
+
+    const direction = filters.order === 'asc' ? 'ASC' : 'DESC';
+    const orderBy = filters.sort === 'prize_usd'
+      ? `prize_pool_usd ${direction} NULLS LAST, updated_at DESC`
+      : `start_date ${direction}, updated_at DESC`;
+
+    params.push(limit);
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const result = await this.pool.query(
+      `SELECT * FROM tournaments ${where} ORDER BY ${orderBy} LIMIT $${params.length}`,
+      params
+    );
     return result.rows;
   }
 
@@ -0,0 +1,106 @@
+const fs = require('fs');
+const path = require('path');
+const winston = require('winston');
+
+const { FixtureNotFoundError } = require('../errors');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({ filename: 'logs/combined.log' }),
+    new winston.transports.Console({
+      format: winston.format.simple()
+    })
+  ]
+});
+
+const MODES = ['live', 'record', 'replay'];
+
+// Record/replay of Liquipedia HTTP traffic as JSON fixtures.
+// record: every upstream response is written to <fixturesDir>/<wiki>/<action>-<key>.json
+// replay: responses are served from those files, no network and no rate limiting
+class HttpRecorder {
+  constructor(cacheService, options = {}) {
+    // Fixtures share the response cache's key so equivalent params map to one file
+    this.cacheService = cacheService;
+    const mode = options.mode || process.env.LIQUIPEDIA_HTTP_MODE || 'live';
+    this.mode = MODES.includes(mode) ? mode : 'live';
+    this.fixturesDir = options.fixturesDir || process.env.LIQUIPEDIA_FIXTURES_DIR ||
+      path.join(process.cwd(), 'fixtures', 'liquipedia');
+  }
+
+  isRecording() {
+    return this.mode === 'record';
+  }
+
+  isReplaying() {
+    return this.mode === 'replay';
+  }
+
+  getFixturePath(url, params) {
+    const { key, wiki, action } = this.cacheService.buildKey(url, params);
+    return path.join(this.fixturesDir, wiki, `${action}-${key.slice(0, 16)}.json`);
+  }
+
+  // Store a response (or an HTTP error response) for the request
+  async record(url, params, operationType, response) {
+    const fixturePath = this.getFixturePath(url, params);
+    const { wiki, action, normalizedParams } = this.cacheService.buildKey(url, params);
+
+    const fixture = {
+      request: {
+        wiki,
+        action,
+        operation_type: operationType,
+        params: normalizedParams
+      },
+      response: {
+        status: response.status,
+        headers: response.headers && response.headers['retry-after']
+          ? { 'retry-after': response.headers['retry-after'] }
+          : {},
+        data: response.data
+      },
+      recorded_at: new Date().toISOString()
+    };
+
+    try {
+      await fs.promises.mkdir(path.dirname(fixturePath), { recursive: true });
+      await fs.promises.writeFile(fixturePath, JSON.stringify(fixture, null, 2));
+      logger.info(`Recorded ${wiki} ${action} fixture to ${fixturePath}`);
+    } catch (error) {
+      logger.warn(`Failed to record fixture ${fixturePath}: ${error.message}`);
+    }
+  }
+
+  // Returns the recorded body; recorded HTTP errors are rethrown in axios' error shape
+  async replay(url, params) {
+    const fixturePath = this.getFixturePath(url, params);
+
+    let fixture;
+    try {
+      fixture = JSON.parse(await fs.promises.readFile(fixturePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new FixtureNotFoundError(fixturePath, this.cacheService.buildKey(url, params).normalizedParams);
+      }
+      throw error;
+    }
+
+    const { status, headers, data } = fixture.response;
+    if (status >= 400) {
+      const error = new Error(`Request failed with status code ${status}`);
+      error.response = { status, headers: headers || {}, data };
+      throw error;
+    }
+
+    return data;
+  }
+}
+
+module.exports = HttpRecorder;
@@ -1,7 +1,40 @@
+const { AsyncLocalStorage } = require('async_hooks');
 const axios = require('axios');
 const Bottleneck = require('bottleneck');
 const winston = require('winston');
 
+const DatabaseService = require('./databaseService');
+const CacheService = require('./cacheService');
+const SharedRateLimiter = require('./sharedRateLimiter');
+const CircuitBreaker = require('./circuitBreaker');
+const HttpRecorder = require('./httpRecorder');
+const { UpstreamUnavailableError } = require('../errors');
+const {
+  parseWikitext,
+  normalizeName,
+  nodesToText,
+  findTemplates,
+  findTemplate,
+  getParam,
+  getParamText,
+  getFirstParamText,
+  findParamText,
+  extractEntityName,
+  extractLinkLabels,
+  getSection
+} = require('../parsers/wikitextParser');
+const { createMatch, createOpponent } = require('../parsers/matchParser');
+const { parseDate, getEventStatus } = require('../parsers/dateParser');
+const { parsePrizePool } = require('../parsers/prizePoolParser');
+const { parseGroupTables } = require('../parsers/groupTableParser');
+const { parseSwissStages } = require('../parsers/swissParser');
+const { parseBattleRoyale, summarizeBattleRoyale } = require('../parsers/battleRoyaleParser');
+const { parseMoney } = require('../parsers/moneyParser');
+const { parsePlayerInfobox, parseTeamInfobox } = require('../parsers/infoboxParser');
+const { rankTitles } = require('../parsers/titleMatcher');
+const { parseRenderedPage, mergeRenderedData } = require('../parsers/htmlParser');
+const { getProfiles, getProfile } = require('../profiles');
+
 // Production-grade logger
 const logger = winston.createLogger({
   level: 'info',
@@ -21,174 +54,299 @@ const logger = winston.createLogger({
 
 // OFFICIAL Liquipedia API compliance rate limiters
 // Based on official API terms: https://liquipedia.net/api-terms-of-use
+const RATE_LIMIT_INTERVALS = {
+  standard: 2000,
+  intensive: 30000,
+  lpdb: 60000
+};
 
 // Standard MediaWiki API: 1 request per 2 seconds
 const standardRateLimiter = new Bottleneck({
   maxConcurrent: 1,
-  minTime: 2000 // 2 seconds between requests
+  minTime: RATE_LIMIT_INTERVALS.standard // 2 seconds between requests
 });
 
 // Resource-intensive operations (action=parse): 1 request per 30 seconds  
 const intensiveRateLimiter = new Bottleneck({
   maxConcurrent: 1,
-  minTime: 30000 // 30 seconds between requests
+  minTime: RATE_LIMIT_INTERVALS.intensive // 30 seconds between requests
 });
 
 // LiquipediaDB API: 60 requests per hour (1 per minute)
 const lpdbRateLimiter = new Bottleneck({
   maxConcurrent: 1,
-  minTime: 60000 // 60 seconds between requests
+  minTime: RATE_LIMIT_INTERVALS.lpdb // 60 seconds between requests
+});
+
+const LIQUIPEDIA_BASE_URL = 'https://liquipedia.net';
+
+// Priority lanes shared by all limiters - Bottleneck runs lower numbers first
+const PRIORITY_LANES = {
+  interactive: 1, // API requests a client is waiting on
+  scheduled: 5,   // Scheduled and manual syncs
+  backfill: 8     // Historical crawls that can wait
+};
+
+// Queued jobs per operation type, lane and caller (jobs leave the queue when they start)
+const queueState = {};
+for (const operationType of Object.keys(RATE_LIMIT_INTERVALS)) {
+  queueState[operationType] = {
+    running: 0,
+    lanes: Object.fromEntries(Object.keys(PRIORITY_LANES).map(lane => [lane, 0])),
+    callers: new Map()
+  };
+}
+
+// Per-wiki circuit breaker shared by every service instance in this process
+const circuitBreaker = new CircuitBreaker({
+  failureThreshold: parseInt(process.env.LIQUIPEDIA_BREAKER_THRESHOLD) || 5,
+  cooldownMs: parseInt(process.env.LIQUIPEDIA_BREAKER_COOLDOWN_MS) || 60000
 });
 
+// Network-level failures that are retried like 5xx responses
+const TRANSIENT_ERROR_CODES = ['ECONNABORTED', 'ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'EPIPE', 'EAI_AGAIN'];
+
+// In-flight upstream requests and tournament lookups, shared so identical concurrent calls coalesce
+const inFlightRequests = new Map();
+const inFlightTournaments = new Map();
+const coalescingStats = {
+  requests: 0,
+  tournaments: 0
+};
+
+// Version of the parsed page format. Bump it whenever parser output changes so stored
+// page snapshots are re-parsed instead of being reused until the page is edited.
+const PARSER_VERSION = 23;
+
+// Safety cap on continuation requests for one batched query
+const MAX_CONTINUATIONS = 50;
+
+// A search hit is only used when it scores at least this (see titleMatcher) and beats the
+// runner-up by the margin; otherwise the candidates are offered as "did you mean"
+const RESOLVE_MIN_CONFIDENCE = 0.9;
+const RESOLVE_MIN_MARGIN = 0.05;
+
+// Templates that name a team as their first positional param
+const TEAM_NAME_TEMPLATES = ['team', 'teamshort', 'teampart', 'team2', 'team2short', 'teambracket'];
+
+// Templates that name a player as their first positional param
+const PLAYER_NAME_TEMPLATES = ['player', 'playersp'];
+
+// Infobox params that other templates set too ({{Match|date=}}, {{Cite web|date=}}), so they
+// are only read from the infobox itself
+const INFOBOX_ONLY_PARAMS = ['date'];
+
+// Team template pages ({{team|navi}} -> Template:Team/navi) link to the team's page
+const TEAM_TEMPLATE_PREFIX = 'Template:Team/';
+
+function trackQueued(operationType, lane, caller, delta) {
+  const state = queueState[operationType];
+  state.lanes[lane] += delta;
+
+  const count = (state.callers.get(caller) || 0) + delta;
+  if (count > 0) {
+    state.callers.set(caller, count);
+  } else {
+    state.callers.delete(caller);
+  }
+}
+
 class LiquipediaService {
-  constructor() {
+  constructor(options = {}) {
+    // Shared DB access for the persistent response cache
+    this.databaseService = options.databaseService || new DatabaseService();
+    this.cache = new CacheService(this.databaseService);
+    // Record/replay of upstream traffic (LIQUIPEDIA_HTTP_MODE=record|replay)
+    this.recorder = new HttpRecorder(this.cache, options.recorder);
+    // Rate limit slots shared with every other process using the same database
+    this.sharedRateLimiter = new SharedRateLimiter(this.databaseService);
+    // Per-call request options (e.g. bypassCache) for everything run inside runWithRequestOptions
+    this.requestContext = new AsyncLocalStorage();
+    // Recent prop=info results so a batched pre-check serves the per-page checks that follow
+    this.revisionMemo = new Map();
+    this.revisionMemoTtl = 60000;
+    // Resolved tournament names, so a "did you mean" answer reuses the search that failed
+    this.resolutionMemo = new Map();
+    // Aliases resolved from a page title or redirect are looked up again after this long
+    this.aliasRevalidateMs = 7 * 24 * 60 * 60 * 1000;
+
+    // API host is configurable (e.g. the bundled stub wiki); page links always point at liquipedia.net
+    this.apiBaseUrl = (options.apiBaseUrl || process.env.LIQUIPEDIA_API_BASE_URL || LIQUIPEDIA_BASE_URL).replace(/\/+$/, '');
+
     // Official compliant User-Agent as per Liquipedia guidelines
     this.userAgent = 'LiquipediaDataExtractor/1.0 (https://github.com/your-project; contact@yourdomain.com)';
     this.baseDelay = 2000;
-    // EXPANDED: Support for ALL major esports games on Liquipedia
-    this.games = {
-      'dota2': {
-        name: 'dota2',
-        categories: {
-          teams: ['Category:Teams', 'Category:Active_Teams', 'Category:Inactive_Teams'],
-          players: ['Category:Players', 'Category:Active_Players', 'Category:Retired_Players'],
-          tournaments: ['Category:Tournaments', 'Category:Premier_Tournaments', 'Category:Major_Tournaments'],
-          matches: ['Category:Matches']
-        }
-      },
-      'counterstrike': {
-        name: 'counterstrike',
-        categories: {
-          teams: ['Category:Teams', 'Category:Active_Teams', 'Category:Inactive_Teams'],
-          players: ['Category:Players', 'Category:Active_Players', 'Category:Retired_Players'],
-          tournaments: ['Category:Tournaments', 'Category:S-Tier_Tournaments', 'Category:A-Tier_Tournaments'],
-          matches: ['Category:Matches']
-        }
-      },
-      'leagueoflegends': {
-        name: 'leagueoflegends',
-        categories: {
-          teams: ['Category:Teams', 'Category:Active_Teams', 'Category:Inactive_Teams'],
-          players: ['Category:Players', 'Category:Active_Players', 'Category:Retired_Players'],
-          tournaments: ['Category:Tournaments', 'Category:Premier_Tournaments'],
-          matches: ['Category:Matches']
-        }
-      },
-      'valorant': {
-        name: 'valorant',
-        categories: {
-          teams: ['Category:Teams', 'Category:Active_Teams', 'Category:Inactive_Teams'],
-          players: ['Category:Players', 'Category:Active_Players', 'Category:Retired_Players'],
-          tournaments: ['Category:Tournaments', 'Category:Premier_Tournaments', 'Category:VCT_Tournaments'],
-          matches: ['Category:Matches']
-        }
-      },
-      'overwatch': {
-        name: 'overwatch',
-        categories: {
-          teams: ['Category:Teams', 'Category:Active_Teams', 'Category:Inactive_Teams'],
-          players: ['Category:Players', 'Category:Active_Players', 'Category:Retired_Players'],
-          tournaments: ['Category:Tournaments', 'Category:Premier_Tournaments', 'Category:Overwatch_League'],
-          matches: ['Category:Matches']
-        }
-      },
-      'rocketleague': {
-        name: 'rocketleague',
-        categories: {
-          teams: ['Category:Teams', 'Category:Active_Teams', 'Category:Inactive_Teams'],
-          players: ['Category:Players', 'Category:Active_Players', 'Category:Retired_Players'],
-          tournaments: ['Category:Tournaments', 'Category:Premier_Tournaments', 'Category:RLCS'],
-          matches: ['Category:Matches']
-        }
-      },
-      'apexlegends': {
-        name: 'apexlegends',
-        categories: {
-          teams: ['Category:Teams', 'Category:Active_Teams', 'Category:Inactive_Teams'],
-          players: ['Category:Players', 'Category:Active_Players', 'Category:Retired_Players'],
-          tournaments: ['Category:Tournaments', 'Category:Premier_Tournaments', 'Category:ALGS'],
-          matches: ['Category:Matches']
-        }
-      },
-      'starcraft2': {
-        name: 'starcraft2',
-        categories: {
-          teams: ['Category:Teams', 'Category:Active_Teams', 'Category:Inactive_Teams'],
-          players: ['Category:Players', 'Category:Active_Players', 'Category:Retired_Players'],
-          tournaments: ['Category:Tournaments', 'Category:Premier_Tournaments', 'Category:GSL'],
-          matches: ['Category:Matches']
-        }
-      },
-      'rainbowsix': {
-        name: 'rainbowsix',
-        categories: {
-          teams: ['Category:Teams', 'Category:Active_Teams', 'Category:Inactive_Teams'],
-          players: ['Category:Players', 'Category:Active_Players', 'Category:Retired_Players'],
-          tournaments: ['Category:Tournaments', 'Category:Premier_Tournaments', 'Category:Six_Invitational'],
-          matches: ['Category:Matches']
-        }
-      },
-      'mobilelegends': {
-        name: 'mobilelegends',
-        categories: {
-          teams: ['Category:Teams', 'Category:Active_Teams', 'Category:Inactive_Teams'],
-          players: ['Category:Players', 'Category:Active_Players', 'Category:Retired_Players'],
-          tournaments: ['Category:Tournaments', 'Category:Premier_Tournaments', 'Category:M_World_Championship'],
-          matches: ['Category:Matches']
-        }
-      },
-      'pubgmobile': {
-        name: 'pubgmobile',
-        categories: {
-          teams: ['Category:Teams', 'Category:Active_Teams', 'Category:Inactive_Teams'],
-          players: ['Category:Players', 'Category:Active_Players', 'Category:Retired_Players'],
-          tournaments: ['Category:Tournaments', 'Category:Premier_Tournaments', 'Category:PMGC'],
-          matches: ['Category:Matches']
-        }
-      },
-      'freefire': {
-        name: 'freefire',
-        categories: {
-          teams: ['Category:Teams', 'Category:Active_Teams', 'Category:Inactive_Teams'],
-          players: ['Category:Players', 'Category:Active_Players', 'Category:Retired_Players'],
-          tournaments: ['Category:Tournaments', 'Category:Premier_Tournaments', 'Category:FFWS'],
-          matches: ['Category:Matches']
-        }
-      }
+    this.maxRetries = 3;
+    this.maxRetryDelay = 120000;
+    // Supported wikis and how each is parsed (see src/profiles)
+    this.games = getProfiles();
+  }
+
+  getProfile(game) {
+    return this.games[game] || getProfile(game);
+  }
+
+  getApiUrl(game) {
+    return `${this.apiBaseUrl}/${game}/api.php`;
+  }
+
+  getPageUrl(game, pageTitle) {
+    return `${LIQUIPEDIA_BASE_URL}/${game}/${encodeURIComponent(pageTitle.replace(/ /g, '_'))}`;
+  }
+
+  // Run fn with request options applied to every makeRequest call it triggers
+  runWithRequestOptions(options, fn) {
+    const parent = this.requestContext.getStore() || {};
+    return this.requestContext.run({ ...parent, ...options }, fn);
+  }
+
+  getCacheStats() {
+    return this.cache.getStats();
+  }
+
+  getCoalescingStats() {
+    return {
+      joined_requests: coalescingStats.requests,
+      joined_tournament_fetches: coalescingStats.tournaments,
+      in_flight_requests: inFlightRequests.size,
+      in_flight_tournament_fetches: inFlightTournaments.size
     };
   }
 
+  // Queue depth and a wait estimate for a new request in the given lane (optionally for one caller)
+  getQueueStatus(lane = 'interactive', caller = null) {
+    const priority = PRIORITY_LANES[lane] !== undefined ? PRIORITY_LANES[lane] : PRIORITY_LANES.scheduled;
+    const status = {};
+
+    for (const [operationType, state] of Object.entries(queueState)) {
+      // Jobs in lanes with the same or higher priority run before a new request
+      const ahead = state.running + Object.entries(state.lanes)
+        .filter(([queuedLane]) => PRIORITY_LANES[queuedLane] <= priority)
+        .reduce((sum, [, count]) => sum + count, 0);
+
+      status[operationType] = {
+        min_interval_ms: RATE_LIMIT_INTERVALS[operationType],
+        running: state.running,
+        queued: { ...state.lanes },
+        ahead_of_new_request: ahead,
+        estimated_wait_ms: ahead * RATE_LIMIT_INTERVALS[operationType]
+      };
+
+      if (caller) {
+        status[operationType].caller_queued = state.callers.get(caller) || 0;
+      }
+    }
+
+    return { lane, caller, operations: status };
+  }
+
+  // Queued jobs per caller across all operation types
+  getQueueCallers() {
+    const callers = {};
+
+    for (const [operationType, state] of Object.entries(queueState)) {
+      for (const [caller, count] of state.callers) {
+        callers[caller] = callers[caller] || {};
+        callers[caller][operationType] = count;
+      }
+    }
+
+    return callers;
+  }
+
   // Rate-limited HTTP client with proper compliance
-  async makeRequest(url, params = {}, retryCount = 0, operationType = 'standard') {
+  async makeRequest(url, params = {}, retryCount = 0, operationType = 'standard', options = {}) {
+    const requestOptions = { ...this.requestContext.getStore(), ...options };
+
+    // Replay mode serves recorded fixtures offline - no cache, limiters or retries
+    if (this.recorder.isReplaying()) {
+      return this.recorder.replay(url, params);
+    }
+
+    // Serve repeated lookups from the persistent cache (retries always go upstream).
+    // Record mode always goes upstream so every request ends up in a fixture.
+    if (retryCount === 0) {
+      if (requestOptions.bypassCache || this.recorder.isRecording()) {
+        this.cache.recordBypass();
+      } else {
+        const cached = await this.cache.get(url, params, operationType);
+        if (cached !== null) {
+          return cached;
+        }
+      }
+    }
+
+    if (!queueState[operationType]) operationType = 'standard';
+
+    // Concurrent identical requests share one upstream call
+    const inFlightKey = `${operationType}|${url}|${this.cache.buildKey(url, params).key}`;
+    if (inFlightRequests.has(inFlightKey)) {
+      coalescingStats.requests++;
+      logger.info(`Joining in-flight ${operationType} request for ${this.cache.getWikiFromUrl(url)} ${params.action}`);
+      return inFlightRequests.get(inFlightKey);
+    }
+
+    const request = this.requestUpstream(url, params, retryCount, operationType, requestOptions);
+    inFlightRequests.set(inFlightKey, request);
+    try {
+      return await request;
+    } finally {
+      if (inFlightRequests.get(inFlightKey) === request) {
+        inFlightRequests.delete(inFlightKey);
+      }
+    }
+  }
+
+  // Upstream call with retries. Callers joining an in-flight request wait in the lane it was queued in.
+  async requestUpstream(url, params, retryCount, operationType, requestOptions) {
     // Choose appropriate rate limiter based on operation type
     const limiter = operationType === 'intensive' ? intensiveRateLimiter :
                    operationType === 'lpdb' ? lpdbRateLimiter : 
                    standardRateLimiter;
     
-    return limiter.schedule(async () => {
+    // Higher-priority lanes (interactive lookups) jump ahead of background syncs
+    const lane = PRIORITY_LANES[requestOptions.lane] !== undefined ? requestOptions.lane : 'scheduled';
+    const caller = requestOptions.caller || 'anonymous';
+    const wiki = this.cache.getWikiFromUrl(url);
+
+    // Fail fast instead of queueing behind a wiki that is down.
+    // trial is set while this request is the circuit's half-open trial.
+    const circuit = { trial: circuitBreaker.assertAvailable(wiki) };
+
+    // Retries wait outside the limiter so they never block the queue they re-enter
+    for (let attempt = retryCount; ; attempt++) {
       try {
-        const response = await axios.get(url, {
-          params,
-          headers: {
-            'User-Agent': this.userAgent,
-            'Accept': 'application/json',
-            'Accept-Language': 'en-US,en;q=0.9'
-          },
-          timeout: 20000
-        });
-        return response.data;
+        const data = await this.scheduleRequest(limiter, url, params, operationType, lane, caller, wiki, circuit);
+        circuitBreaker.recordSuccess(wiki);
+        await this.cache.set(url, params, operationType, data);
+        return data;
       } catch (error) {
-        // Handle rate limiting specifically
-        if (error.response && error.response.status === 429) {
-          if (retryCount < 3) {
-            const delay = this.baseDelay * Math.pow(2, retryCount); // Exponential backoff
-            logger.warn(`Rate limited, retrying in ${delay}ms (attempt ${retryCount + 1}/3)`);
-            await new Promise(resolve => setTimeout(resolve, delay));
-            return this.makeRequest(url, params, retryCount + 1, operationType);
-          } else {
-            logger.error('Max retry attempts reached for rate limiting');
-            throw new Error('Rate limited - max retries exceeded');
-          }
+        if (error instanceof UpstreamUnavailableError) throw error;
+
+        const status = error.response ? error.response.status : null;
+        const transient = this.isTransientError(error);
+
+        // 429 means Liquipedia is up but we are too fast; only outages count against the circuit,
+        // once per request after its retries are used up
+        if (!transient || status === 429) {
+          circuitBreaker.recordSuccess(wiki);
+        }
+
+        if (transient && attempt < this.maxRetries) {
+          const delay = this.getRetryDelay(error, attempt);
+          logger.warn(`Transient error (${status || error.code || error.message}) for ${wiki}, retrying in ${delay}ms (attempt ${attempt + 1}/${this.maxRetries})`);
+          await new Promise(resolve => setTimeout(resolve, delay));
+          circuit.trial = circuitBreaker.assertNotOpen(wiki, circuit.trial);
+          continue;
+        }
+
+        if (transient && status !== 429) {
+          circuitBreaker.recordFailure(wiki);
+        }
+
+        if (status === 429) {
+          logger.error('Max retry attempts reached for rate limiting');
+          throw new Error('Rate limited - max retries exceeded');
         }
         
         logger.error('Request failed', { url, params, error: error.message });
@@ -198,9 +356,436 @@ class LiquipediaService {
         }
         throw error;
       }
+    }
+  }
+
+  // One HTTP attempt, run inside the operation type's limiter
+  scheduleRequest(limiter, url, params, operationType, lane, caller, wiki, circuit) {
+    trackQueued(operationType, lane, caller, 1);
+    
+    return limiter.schedule({ priority: PRIORITY_LANES[lane] }, async () => {
+      trackQueued(operationType, lane, caller, -1);
+      queueState[operationType].running++;
+      try {
+        // Requests queued before the circuit opened must not hit the wiki either
+        circuit.trial = circuitBreaker.assertNotOpen(wiki, circuit.trial);
+
+        await this.sharedRateLimiter.acquire(operationType, wiki, RATE_LIMIT_INTERVALS[operationType]);
+
+        const requestedAt = new Date();
+        let response;
+        try {
+          response = await axios.get(url, {
+            params,
+            headers: {
+              'User-Agent': this.userAgent,
+              'Accept': 'application/json',
+              'Accept-Language': 'en-US,en;q=0.9'
+            },
+            timeout: 20000
+          });
+        } catch (error) {
+          this.auditRequest({ requestedAt, wiki, params, operationType, lane, caller, response: error.response, error });
+          if (error.response && this.recorder.isRecording()) {
+            await this.recorder.record(url, params, operationType, error.response);
+          }
+          throw error;
+        }
+
+        this.auditRequest({ requestedAt, wiki, params, operationType, lane, caller, response });
+
+        if (this.recorder.isRecording()) {
+          await this.recorder.record(url, params, operationType, response);
+        }
+        return response.data;
+      } finally {
+        queueState[operationType].running--;
+      }
     });
   }
 
+  // Persist what was actually sent to Liquipedia (fire-and-forget, never fails the request)
+  auditRequest({ requestedAt, wiki, params, operationType, lane, caller, response, error = null }) {
+    let bytes = null;
+    if (response) {
+      const contentLength = response.headers && parseInt(response.headers['content-length']);
+      bytes = Number.isFinite(contentLength)
+        ? contentLength
+        : Buffer.byteLength(typeof response.data === 'string' ? response.data : JSON.stringify(response.data || ''));
+    }
+
+    this.databaseService.logUpstreamRequest({
+      requestedAt,
+      wiki,
+      action: params.action || null,
+      operationType,
+      lane,
+      caller,
+      statusCode: response ? response.status : null,
+      bytes,
+      latencyMs: Date.now() - requestedAt.getTime(),
+      error: error ? (error.code || error.message) : null
+    }).catch(auditError => {
+      logger.warn(`Failed to write request audit log: ${auditError.message}`);
+    });
+  }
+
+  // Per-hour request rates from the audit log checked against the documented API limits
+  async getComplianceReport(hours = 24) {
+    // Allow for timer jitter when comparing gaps between requests
+    const toleranceMs = 250;
+    const minIntervals = Object.fromEntries(
+      Object.entries(RATE_LIMIT_INTERVALS).map(([operationType, interval]) => [operationType, interval - toleranceMs])
+    );
+
+    const windows = (await this.databaseService.getRequestAuditSummary(hours, minIntervals)).map(window => {
+      const maxPerHour = Math.floor(3600000 / RATE_LIMIT_INTERVALS[window.operation_type]);
+      const violations = [];
+
+      if (window.requests > maxPerHour) {
+        violations.push(`${window.requests} requests exceeds ${maxPerHour}/hour`);
+      }
+      if (window.short_intervals > 0) {
+        violations.push(`${window.short_intervals} requests sent less than ${RATE_LIMIT_INTERVALS[window.operation_type]}ms after the previous one`);
+      }
+      if (window.rate_limited > 0) {
+        violations.push(`${window.rate_limited} requests answered with HTTP 429`);
+      }
+
+      return {
+        ...window,
+        max_per_hour: maxPerHour,
+        compliant: violations.length === 0,
+        violations
+      };
+    });
+
+    return {
+      period_hours: hours,
+      limits: Object.fromEntries(Object.entries(RATE_LIMIT_INTERVALS).map(([operationType, interval]) => [
+        operationType,
+        { min_interval_ms: interval, max_per_hour: Math.floor(3600000 / interval) }
+      ])),
+      total_requests: windows.reduce((sum, window) => sum + window.requests, 0),
+      compliant: windows.every(window => window.compliant),
+      flagged_windows: windows.filter(window => !window.compliant),
+      windows,
+      generated_at: new Date().toISOString()
+    };
+  }
+
+  // Rate limiting, server errors, timeouts and dropped connections are worth retrying
+  isTransientError(error) {
+    if (error.response) {
+      return error.response.status === 429 || error.response.status >= 500;
+    }
+    return TRANSIENT_ERROR_CODES.includes(error.code);
+  }
+
+  // Honor Retry-After when Liquipedia sends it, otherwise use jittered exponential backoff
+  getRetryDelay(error, attempt) {
+    const retryAfter = error.response && error.response.headers
+      ? error.response.headers['retry-after']
+      : null;
+
+    if (retryAfter) {
+      const seconds = Number(retryAfter);
+      const retryAfterMs = Number.isFinite(seconds)
+        ? seconds * 1000
+        : new Date(retryAfter).getTime() - Date.now();
+      if (Number.isFinite(retryAfterMs) && retryAfterMs >= 0) {
+        return Math.min(retryAfterMs, this.maxRetryDelay);
+      }
+    }
+
+    const backoff = Math.min(this.baseDelay * Math.pow(2, attempt), this.maxRetryDelay);
+    return Math.round(backoff / 2 + Math.random() * backoff / 2);
+  }
+
+  getCircuitStatus() {
+    return circuitBreaker.getStatus();
+  }
+
+  // Courtesy delay between page fetches (skipped when replaying fixtures)
+  pause(ms) {
+    if (this.recorder.isReplaying()) return Promise.resolve();
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  // Cheap batched revision lookup (action=query&prop=info, 50 titles per standard request)
+  async getPageRevisions(titles, game) {
+    const revisions = {};
+    const pending = [];
+    const now = Date.now();
+
+    if (this.revisionMemo.size > 5000) {
+      for (const [key, memo] of this.revisionMemo) {
+        if (now - memo.checkedAt >= this.revisionMemoTtl) this.revisionMemo.delete(key);
+      }
+    }
+
+    for (const title of new Set(titles.filter(Boolean))) {
+      const memo = this.revisionMemo.get(`${game}|${title}`);
+      if (memo && now - memo.checkedAt < this.revisionMemoTtl) {
+        revisions[title] = memo.info;
+      } else {
+        pending.push(title);
+      }
+    }
+
+    for (let i = 0; i < pending.length; i += 50) {
+      const batch = pending.slice(i, i + 50);
+
+      try {
+        // Revision checks must always see the live state of the wiki
+        const data = await this.makeRequest(this.getApiUrl(game), {
+          action: 'query',
+          format: 'json',
+          prop: 'info',
+          titles: batch.join('|'),
+          redirects: 1
+        }, 0, 'standard', { bypassCache: true });
+
+        const query = data.query || {};
+        const aliases = {};
+        for (const entry of [...(query.normalized || []), ...(query.redirects || [])]) {
+          aliases[entry.from] = entry.to;
+        }
+
+        const pagesByTitle = {};
+        for (const page of Object.values(query.pages || {})) {
+          pagesByTitle[page.title] = page;
+        }
+
+        for (const title of batch) {
+          let resolved = title;
+          const seen = new Set();
+          while (aliases[resolved] && !seen.has(resolved)) {
+            seen.add(resolved);
+            resolved = aliases[resolved];
+          }
+
+          const page = pagesByTitle[resolved];
+          const info = page ? {
+            title: page.title,
+            pageid: page.pageid || null,
+            lastrevid: page.lastrevid || null,
+            touched: page.touched || null,
+            missing: page.missing !== undefined || page.invalid !== undefined
+          } : null;
+
+          revisions[title] = info;
+          this.revisionMemo.set(`${game}|${title}`, { info, checkedAt: now });
+        }
+      } catch (error) {
+        logger.warn(`Revision check failed for ${batch.length} pages in ${game}: ${error.message}`);
+      }
+    }
+
+    return revisions;
+  }
+
+  // Fetch a page with action=parse only when its revision changed since the last parse.
+  // parser(parseResult) turns the API "parse" object into the value stored and returned.
+  async fetchParsedPage(pageTitle, game, kind, prop, parser) {
+    const revisions = await this.getPageRevisions([pageTitle], game);
+    const revision = revisions[pageTitle];
+
+    if (revision && revision.missing) {
+      logger.info(`Page ${pageTitle} does not exist in ${game}, skipping parse`);
+      return null;
+    }
+
+    let snapshot = null;
+    try {
+      snapshot = await this.databaseService.getPageSnapshot(game, pageTitle, kind);
+    } catch (error) {
+      logger.warn(`Failed to load page snapshot for ${pageTitle}: ${error.message}`);
+    }
+
+    if (snapshot && revision && revision.lastrevid && snapshot.parser_version === PARSER_VERSION &&
+        String(snapshot.lastrevid) === String(revision.lastrevid)) {
+      logger.info(`Page ${pageTitle} unchanged (rev ${revision.lastrevid}), reusing parsed ${kind}`);
+      return snapshot.parsed_data;
+    }
+
+    // Follow redirects like the revision check does, so revid is the resolved page's
+    const params = {
+      action: 'parse',
+      format: 'json',
+      page: pageTitle,
+      prop,
+      redirects: 1
+    };
+
+    let data = await this.makeRequest(this.getApiUrl(game), params, 0, 'intensive');
+
+    // A cached parse older than the current revision has to be refetched
+    if (data.parse && revision && revision.lastrevid && data.parse.revid &&
+        String(data.parse.revid) !== String(revision.lastrevid)) {
+      data = await this.makeRequest(this.getApiUrl(game), params, 0, 'intensive', { bypassCache: true });
+    }
+
+    if (!data.parse) return null;
+
+    const parsed = parser(data.parse);
+
+    if (parsed) {
+      try {
+        await this.databaseService.savePageSnapshot({
+          game,
+          pageTitle,
+          kind,
+          pageid: data.parse.pageid || (revision && revision.pageid),
+          lastrevid: data.parse.revid || (revision && revision.lastrevid),
+          touched: revision && revision.touched,
+          parsedData: parsed,
+          parserVersion: PARSER_VERSION
+        });
+      } catch (error) {
+        logger.warn(`Failed to save page snapshot for ${pageTitle}: ${error.message}`);
+      }
+    }
+
+    return parsed;
+  }
+
+  // Raw wikitext for many pages at once (action=query&prop=revisions, 50 titles per standard request).
+  // Returns { requestedTitle: { title, pageid, lastrevid, wikitext, categories } | null }.
+  async fetchWikitextBatch(titles, game) {
+    const pages = {};
+    // Titles containing "|" cannot be batched - MediaWiki uses it as the separator
+    const unique = [...new Set(titles.filter(title => title && !title.includes('|')))];
+
+    for (let i = 0; i < unique.length; i += 50) {
+      const batch = unique.slice(i, i + 50);
+
+      try {
+        const params = {
+          action: 'query',
+          format: 'json',
+          prop: 'revisions|categories',
+          rvprop: 'content|ids',
+          rvslots: 'main',
+          cllimit: 'max',
+          titles: batch.join('|'),
+          redirects: 1
+        };
+
+        const aliases = {};
+        const pagesByTitle = {};
+        let continueParams = null;
+
+        // Revisions and category lists can be split over several responses
+        for (let page = 0; ; page++) {
+          if (page === MAX_CONTINUATIONS) {
+            logger.warn(`Batched wikitext fetch for ${batch.length} pages in ${game} stopped after ${page} continuations, results may be incomplete`);
+            break;
+          }
+
+          const data = await this.makeRequest(this.getApiUrl(game), { ...params, ...continueParams });
+          const query = data.query || {};
+
+          for (const entry of [...(query.normalized || []), ...(query.redirects || [])]) {
+            aliases[entry.from] = entry.to;
+          }
+
+          for (const result of Object.values(query.pages || {})) {
+            const existing = pagesByTitle[result.title];
+            const categories = (result.categories || []).map(cat => ({ '*': cat.title.replace(/^Category:/, '') }));
+            const revision = result.revisions && result.revisions[0];
+
+            if (existing) {
+              existing.categories.push(...categories);
+              // Revisions delivered after an rvcontinue
+              if (revision && existing.wikitext === null) {
+                existing.lastrevid = revision.revid;
+                existing.wikitext = revision.slots?.main?.['*'] ?? revision['*'] ?? null;
+              }
+              continue;
+            }
+
+            pagesByTitle[result.title] = {
+              title: result.title,
+              pageid: result.pageid || null,
+              lastrevid: revision ? revision.revid : null,
+              wikitext: revision ? (revision.slots?.main?.['*'] ?? revision['*'] ?? null) : null,
+              categories,
+              missing: result.missing !== undefined || result.invalid !== undefined
+            };
+          }
+
+          if (!data.continue) break;
+          continueParams = data.continue;
+        }
+
+        const checkedAt = Date.now();
+        for (const title of batch) {
+          let resolved = title;
+          const seen = new Set();
+          while (aliases[resolved] && !seen.has(resolved)) {
+            seen.add(resolved);
+            resolved = aliases[resolved];
+          }
+
+          const page = pagesByTitle[resolved];
+          pages[title] = page && !page.missing ? page : null;
+
+          // The batch already tells us the current revision of every page
+          this.revisionMemo.set(`${game}|${title}`, {
+            info: page ? {
+              title: page.title,
+              pageid: page.pageid,
+              lastrevid: page.lastrevid,
+              touched: null,
+              missing: page.missing
+            } : null,
+            checkedAt
+          });
+        }
+
+        logger.info(`Fetched wikitext for ${batch.length} pages in ${game} with one request`);
+      } catch (error) {
+        logger.warn(`Batched wikitext fetch failed for ${batch.length} pages in ${game}: ${error.message}`);
+      }
+    }
+
+    return pages;
+  }
+
+  // Fan a batched wikitext fetch out to a per-entity builder, storing each result as a page snapshot
+  async fetchDetailsBatch(names, game, kind, builder) {
+    const pages = await this.fetchWikitextBatch(names, game);
+    const details = {};
+
+    for (const name of names) {
+      const page = pages[name];
+      if (!page || page.wikitext === null) {
+        details[name] = null;
+        continue;
+      }
+
+      details[name] = builder(name, page.wikitext, page.categories, page.pageid);
+
+      try {
+        await this.databaseService.savePageSnapshot({
+          game,
+          pageTitle: name,
+          kind,
+          pageid: page.pageid,
+          lastrevid: page.lastrevid,
+          touched: null,
+          parsedData: details[name],
+          parserVersion: PARSER_VERSION
+        });
+      } catch (error) {
+        logger.warn(`Failed to save page snapshot for ${name}: ${error.message}`);
+      }
+    }
+
+    return details;
+  }
+
   // OFFICIAL LiquipediaDB API approach (preferred method)
   async fetchFromLPDB(game, dataType, limit = 20) {
     logger.info(`Fetching ${dataType} from LiquipediaDB for ${game} (OFFICIAL API)`);
@@ -240,7 +825,7 @@ class LiquipediaService {
           throw new Error(`Unsupported data type: ${dataType}`);
       }
 
-      const data = await this.makeRequest(`https://liquipedia.net/${game}/api.php`, params, 0, 'lpdb');
+      const data = await this.makeRequest(this.getApiUrl(game), params, 0, 'lpdb');
       
       if (data.cargoquery && data.cargoquery.length > 0) {
         const items = data.cargoquery.map(item => {
@@ -250,7 +835,7 @@ class LiquipediaService {
             name: title.name || title.page || title.pagename,
             game: game,
             data: title,
-            liquipedia_url: `https://liquipedia.net/${game}/${encodeURIComponent((title.page || title.pagename || '').replace(/ /g, '_'))}`
+            liquipedia_url: this.getPageUrl(game, title.page || title.pagename || '')
           };
         });
         
@@ -281,7 +866,7 @@ class LiquipediaService {
         cmnamespace: 0
       };
 
-      const data = await this.makeRequest(`https://liquipedia.net/${game}/api.php`, params, 0, 'standard');
+      const data = await this.makeRequest(this.getApiUrl(game), params, 0, 'standard');
       
       if (data.query && data.query.categorymembers) {
         const items = data.query.categorymembers.map(item => ({
@@ -289,7 +874,7 @@ class LiquipediaService {
           name: item.title,
           game: game,
           category: primaryCategory,
-          liquipedia_url: `https://liquipedia.net/${game}/${encodeURIComponent(item.title.replace(/ /g, '_'))}`
+          liquipedia_url: this.getPageUrl(game, item.title)
         }));
         
         logger.info(`Fallback fetched ${items.length} ${type} from ${primaryCategory} for ${game}`);
@@ -361,27 +946,92 @@ class LiquipediaService {
   async enhanceTeamData(teams, game) {
     logger.info(`Enhancing team data for ${teams.length} teams in ${game}`);
     
-    // For now, return teams as-is, but this can be enhanced to fetch detailed team info
-    // In the future, we can fetch team pages to get more details like roster, achievements, etc.
-    return teams.map(team => ({
-      ...team,
-      status: team.category.includes('Active') ? 'active' : 
-              team.category.includes('Inactive') ? 'inactive' : 'unknown',
-      enhanced_at: new Date().toISOString()
-    }));
+    // LPDB rows carry the page name in data.page, category members use their title as name.
+    // Renamed teams are fetched (and stored) under their current page.
+    const listedNames = teams.map(team => (team.data && team.data.page) || team.name);
+    let details = {};
+    let pageNames = listedNames;
+    try {
+      const canonical = await this.resolveEntityNames(listedNames, game, 'team');
+      pageNames = listedNames.map(name => canonical[name] || name);
+      details = await this.fetchTeamDetailsBatch([...new Set(pageNames)], game);
+    } catch (error) {
+      logger.warn(`Failed to fetch team pages for ${game}: ${error.message}`);
+    }
+
+    return teams.map((team, index) => {
+      const profile = details[pageNames[index]];
+      const category = team.category || '';
+      const categoryStatus = category.includes('Active') ? 'active' :
+        category.includes('Inactive') ? 'inactive' : 'unknown';
+
+      if (!profile) {
+        return {
+          ...team,
+          status: categoryStatus,
+          enhanced_at: new Date().toISOString()
+        };
+      }
+
+      return {
+        ...team,
+        ...profile,
+        // teams.liquipedia_id is the numeric page id, LPDB only gives the page name
+        id: profile.pageid || team.id,
+        name: team.name,
+        page: pageNames[index],
+        aliases: this.collectAliases(pageNames[index], [team.name, listedNames[index], ...(profile.aliases || [])]),
+        liquipedia_url: team.liquipedia_url,
+        status: profile.status !== 'unknown' ? profile.status : categoryStatus,
+        enhanced_at: new Date().toISOString()
+      };
+    });
   }
 
   // Enhanced player data fetching
   async enhancePlayerData(players, game) {
     logger.info(`Enhancing player data for ${players.length} players in ${game}`);
     
-    // For now, return players as-is, but this can be enhanced to fetch detailed player info
-    return players.map(player => ({
-      ...player,
-      status: player.category.includes('Active') ? 'active' : 
-              player.category.includes('Retired') ? 'retired' : 'unknown',
-      enhanced_at: new Date().toISOString()
-    }));
+    // LPDB rows carry the page name in data.page, category members use their title as name.
+    // Players who changed ID are fetched (and stored) under their current page.
+    const listedNames = players.map(player => (player.data && player.data.page) || player.name);
+    let details = {};
+    let pageNames = listedNames;
+    try {
+      const canonical = await this.resolveEntityNames(listedNames, game, 'player');
+      pageNames = listedNames.map(name => canonical[name] || name);
+      details = await this.fetchPlayerDetailsBatch([...new Set(pageNames)], game);
+    } catch (error) {
+      logger.warn(`Failed to fetch player pages for ${game}: ${error.message}`);
+    }
+
+    return players.map((player, index) => {
+      const profile = details[pageNames[index]];
+      const category = player.category || '';
+      const categoryStatus = category.includes('Active') ? 'active' :
+        category.includes('Retired') ? 'retired' : 'unknown';
+
+      if (!profile) {
+        return {
+          ...player,
+          status: categoryStatus,
+          enhanced_at: new Date().toISOString()
+        };
+      }
+
+      return {
+        ...player,
+        ...profile,
+        // players.liquipedia_id is the numeric page id, LPDB only gives the page name
+        id: profile.pageid || player.id,
+        name: player.name,
+        page: pageNames[index],
+        aliases: this.collectAliases(pageNames[index], [player.name, listedNames[index], ...(profile.aliases || [])]),
+        liquipedia_url: player.liquipedia_url,
+        status: profile.status !== 'unknown' ? profile.status : categoryStatus,
+        enhanced_at: new Date().toISOString()
+      };
+    });
   }
 
   // Fetch tournaments using OFFICIAL LiquipediaDB API
@@ -389,8 +1039,19 @@ class LiquipediaService {
     logger.info(`Fetching tournaments for ${game} using official API`);
     
     try {
-      // Try official LiquipediaDB API first
-      let tournaments = await this.fetchFromLPDB(game, 'tournaments', limit);
+      // Try official LiquipediaDB API first (LPDB prize pools are in USD)
+      let tournaments = (await this.fetchFromLPDB(game, 'tournaments', limit)).map(tournament => {
+        const dates = {
+          start: parseDate(tournament.data.startdate),
+          end: parseDate(tournament.data.enddate)
+        };
+        return {
+          ...tournament,
+          prize: parseMoney(tournament.data.prizepool, { currency: 'USD' }),
+          dates,
+          status: this.getTournamentStatus(dates)
+        };
+      });
       
       // Fallback to category method if LPDB fails
       if (tournaments.length === 0) {
@@ -432,7 +1093,7 @@ class LiquipediaService {
   // Fetch recent match changes
   async fetchRecentMatchChanges(game, limit) {
     try {
-      const data = await this.makeRequest(`https://liquipedia.net/${game}/api.php`, {
+      const data = await this.makeRequest(this.getApiUrl(game), {
         action: 'query',
         format: 'json',
         list: 'recentchanges',
@@ -461,7 +1122,7 @@ class LiquipediaService {
         game: game,
         timestamp: match.timestamp,
         type: 'recent_change',
-        liquipedia_url: `https://liquipedia.net/${game}/${encodeURIComponent(match.title.replace(/ /g, '_'))}`
+        liquipedia_url: this.getPageUrl(game, match.title)
       }));
     } catch (error) {
       logger.error(`Failed to fetch recent match changes for ${game}`, error);
@@ -473,7 +1134,7 @@ class LiquipediaService {
   async fetchTournamentMatches(game, limit) {
     try {
       // Get recent tournament pages
-      const data = await this.makeRequest(`https://liquipedia.net/${game}/api.php`, {
+      const data = await this.makeRequest(this.getApiUrl(game), {
         action: 'query',
         format: 'json',
         list: 'search',
@@ -490,7 +1151,7 @@ class LiquipediaService {
         game: game,
         timestamp: new Date().toISOString(), // Current timestamp as fallback
         type: 'tournament',
-        liquipedia_url: `https://liquipedia.net/${game}/${encodeURIComponent(tournament.title.replace(/ /g, '_'))}`
+        liquipedia_url: this.getPageUrl(game, tournament.title)
       }));
     } catch (error) {
       logger.error(`Failed to fetch tournament matches for ${game}`, error);
@@ -503,18 +1164,12 @@ class LiquipediaService {
     logger.info(`Fetching match details for ${pageTitle} (30s rate limit)`);
     
     try {
-      const data = await this.makeRequest(`https://liquipedia.net/${game}/api.php`, {
-        action: 'parse',
-        format: 'json',
-        page: pageTitle,
-        prop: 'wikitext'
-      }, 0, 'intensive'); // Use intensive rate limiter (30 seconds)
-
-      const wikitext = data.parse?.wikitext?.['*'];
-      if (!wikitext) return null;
-
-      // Parse match data from wikitext (simplified example)
-      const matchData = this.parseMatchWikitext(wikitext, game);
+      const matchData = await this.fetchParsedPage(pageTitle, game, 'match', 'wikitext', parse => {
+        const wikitext = parse.wikitext?.['*'];
+        // Parse match data from wikitext (simplified example)
+        return wikitext ? this.parseMatchWikitext(wikitext, game) : null;
+      });
+      if (!matchData) return null;
       
       logger.info(`Parsed match details for ${pageTitle}`);
       return matchData;
@@ -526,34 +1181,38 @@ class LiquipediaService {
 
   // Parse match information from wikitext
   parseMatchWikitext(wikitext, game) {
-    // This is a simplified parser - in production, you'd need more robust parsing
+    const nodes = parseWikitext(wikitext);
     const matchData = {
       teams: [],
       score: null,
       date: null,
       tournament: null,
-      game: game
+      game: game,
+      matches: this.parseGameMatches(nodes, game),
+      groups: [],
+      swiss: []
     };
 
-    // Extract team names (look for team templates)
-    const teamMatches = wikitext.match(/\{\{team\|([^}]+)\}\}/gi);
-    if (teamMatches) {
-      matchData.teams = teamMatches.map(match => 
-        match.replace(/\{\{team\|([^}]+)\}\}/i, '$1').trim()
-      );
-    }
+    // Group stage / league standings and Swiss stages, computed from the page's matches where needed
+    matchData.groups = parseGroupTables(nodes, matchData.matches);
+    matchData.swiss = parseSwissStages(nodes, matchData.matches);
 
-    // Extract scores (look for score templates)
-    const scoreMatch = wikitext.match(/\{\{score\|([^}]+)\}\}/i);
-    if (scoreMatch) {
-      matchData.score = scoreMatch[1];
+    // Extract team names (look for team templates)
+    matchData.teams = findTemplates(nodes, TEAM_NAME_TEMPLATES)
+      .map(template => getParamText(template, 1))
+      .filter(team => team);
+
+    // Extract scores from {{score|2|1}}
+    const scoreTemplate = findTemplate(nodes, 'score');
+    if (scoreTemplate) {
+      const scores = scoreTemplate.params
+        .filter(param => param.index !== null)
+        .map(param => nodesToText(param.value).trim());
+      matchData.score = scores.join('-') || null;
     }
 
-    // Extract date
-    const dateMatch = wikitext.match(/\|\s*date\s*=\s*([^\n|]+)/i);
-    if (dateMatch) {
-      matchData.date = dateMatch[1].trim();
-    }
+    // Extract date (timezone templates are kept as their abbreviation)
+    matchData.date = parseDate(findParamText(nodes, ['date']));
 
     return matchData;
   }
@@ -590,7 +1249,7 @@ class LiquipediaService {
         logger.info(`Completed data fetch for ${game}: ${teams.length} teams, ${players.length} players, ${matches.length} matches, ${tournaments.length} tournaments`);
         
         // Add small delay between games to be respectful
-        await new Promise(resolve => setTimeout(resolve, 1000));
+        await this.pause(1000);
         
       } catch (error) {
         logger.error(`Failed to fetch data for ${game}`, error);
@@ -645,7 +1304,7 @@ class LiquipediaService {
         parameters: `limit=${limit}|offset=0|sort=date|order=desc`
       };
 
-      const data = await this.makeRequest(`https://liquipedia.net/${game}/api.php`, params);
+      const data = await this.makeRequest(this.getApiUrl(game), params);
       
       if (data && data.query && data.query.results) {
         const results = Object.values(data.query.results).map(item => ({
@@ -653,7 +1312,7 @@ class LiquipediaService {
           name: item.fulltext || item.pagename,
           game: game,
           data: item.printouts || {},
-          liquipedia_url: `https://liquipedia.net/${game}/${encodeURIComponent((item.fulltext || item.pagename).replace(/ /g, '_'))}`
+          liquipedia_url: this.getPageUrl(game, item.fulltext || item.pagename)
         }));
         
         logger.info(`Fetched ${results.length} items from LPDB ${table} for ${game}`);
@@ -678,6 +1337,7 @@ class LiquipediaService {
       
       // Enhance with match details
       const detailedMatches = [];
+      await this.getPageRevisions(matches.slice(0, 5).map(match => match.name), game);
       for (const match of matches.slice(0, 5)) { // Limit to 5 to avoid rate limiting
         try {
           const details = await this.fetchMatchDetails(match.name, game);
@@ -688,7 +1348,7 @@ class LiquipediaService {
           });
           
           // Wait between requests
-          await new Promise(resolve => setTimeout(resolve, 3000));
+          await this.pause(3000);
         } catch (error) {
           logger.warn(`Failed to fetch details for match ${match.name}`, error);
           detailedMatches.push(match);
@@ -723,7 +1383,7 @@ class LiquipediaService {
           });
           
           // Longer wait between tournament requests
-          await new Promise(resolve => setTimeout(resolve, 5000));
+          await this.pause(5000);
         } catch (error) {
           logger.warn(`Failed to fetch details for tournament ${tournament.name}`, error);
           detailedTournaments.push(tournament);
@@ -743,189 +1403,265 @@ class LiquipediaService {
     logger.info(`Fetching tournament details for ${tournamentName} (30s rate limit)`);
     
     try {
-      // Try different tournament name variations
-      const tournamentVariations = [
-        tournamentName,
-        tournamentName.replace(/Season \d+/, '').trim(),
-        tournamentName.replace(/Series \d+/, '').trim(),
-        tournamentName.replace(/\d+/, '').trim(),
-        tournamentName.split(' ').slice(0, -2).join(' '), // Remove last 2 words
-        tournamentName.split(' ').slice(0, -1).join(' ')  // Remove last word
-      ];
-
-      for (const variation of tournamentVariations) {
-        if (!variation) continue;
-        
-        logger.info(`Trying tournament variation: ${variation}`);
-        
-        // Get both wikitext AND HTML content for better parsing
-        const [wikitextData, htmlData] = await Promise.all([
-          this.makeRequest(`https://liquipedia.net/${game}/api.php`, {
-            action: 'parse',
-            format: 'json',
-            page: variation,
-            prop: 'wikitext|categories'
-          }, 0, 'intensive'),
-          this.makeRequest(`https://liquipedia.net/${game}/api.php`, {
-            action: 'parse',
-            format: 'json',
-            page: variation,
-            prop: 'text|categories'
-          }, 0, 'intensive')
-        ]);
-
-        if (wikitextData.parse && wikitextData.parse.wikitext) {
-          const wikitext = wikitextData.parse.wikitext['*'];
-          const htmlContent = htmlData.parse ? htmlData.parse.text['*'] : null;
-          const categories = wikitextData.parse.categories || [];
-          
-          logger.info(`Found tournament with variation: ${variation}`);
-          
-          // Parse both wikitext and HTML for comprehensive data
-          const parsedData = this.parseTournamentWikitext(wikitext, game);
-          
-          // If HTML is available, extract additional bracket data
-          if (htmlContent) {
-            this.extractDataFromHTML(htmlContent, parsedData);
-          }
-          
-          return {
-            found_name: variation,
-            original_name: tournamentName,
-            wikitext: wikitext.substring(0, 2000), // Increased for more data
-            html_snippet: htmlContent ? htmlContent.substring(0, 1000) : null,
-            categories: categories.map(cat => cat['*']),
-            parsed_data: parsedData,
-            fetched_at: new Date().toISOString()
-          };
-        }
-        
-        // Small delay between attempts
-        await new Promise(resolve => setTimeout(resolve, 1000));
+      // Only the resolved page is parsed; a name that matches nothing confidently costs no parse calls
+      const resolution = await this.resolveTournamentPage(tournamentName, game);
+      if (!resolution.title) {
+        const suggestion = resolution.candidates[0];
+        logger.warn(`No tournament page found for ${tournamentName}${suggestion ? `, did you mean ${suggestion.title}?` : ''}`);
+        return null;
       }
-      
-      // If no variations worked, try searching
-      logger.info(`No direct match found, trying search for: ${tournamentName}`);
-      return await this.searchForTournament(tournamentName, game);
+
+      logger.info(`Resolved ${tournamentName} to ${resolution.title} (confidence ${resolution.confidence})`);
+      const revisions = await this.getPageRevisions([resolution.title], game);
+      const details = await this.fetchTournamentVariation(resolution.title, tournamentName, game, revisions[resolution.title]);
+      return details ? { ...details, resolution } : null;
       
     } catch (error) {
+      // An outage is not the same as "not found" - let callers report it
+      if (error instanceof UpstreamUnavailableError) throw error;
       logger.error(`Failed to fetch tournament details for ${tournamentName}`, error);
       return null;
     }
   }
 
-  // NEW: Extract additional data from HTML content
-  extractDataFromHTML(htmlContent, parsedData) {
-    try {
-      // Extract team names from HTML table cells and spans
-      const teamRegex = /<(?:td|span)[^>]*class="[^"]*team[^"]*"[^>]*>([^<]+)</gi;
-      let teamMatch;
-      const htmlTeams = [];
-      
-      while ((teamMatch = teamRegex.exec(htmlContent)) !== null) {
-        const teamName = teamMatch[1].trim();
-        if (teamName && teamName !== 'TBD' && teamName.length > 1) {
-          htmlTeams.push(teamName);
-        }
+  // Page a tournament name refers to: the page itself (following redirects), otherwise the
+  // best opensearch, prefixsearch or full-text search hit by token similarity.
+  // Returns { query, title, confidence, redirected_from, candidates: [{ title, score }] };
+  // title is null when no candidate is confident enough, candidates are the "did you mean" list.
+  async resolveTournamentPage(tournamentName, game) {
+    const query = tournamentName.trim().replace(/_/g, ' ');
+    const key = `${game}|${query.toLowerCase()}`;
+    const now = Date.now();
+
+    if (this.resolutionMemo.size > 1000) {
+      for (const [memoKey, memo] of this.resolutionMemo) {
+        if (now - memo.checkedAt >= this.revisionMemoTtl) this.resolutionMemo.delete(memoKey);
       }
-      
-      // Add HTML-extracted teams to participants
-      if (htmlTeams.length > 0) {
-        parsedData.participants.push(...htmlTeams);
-        parsedData.participants = [...new Set(parsedData.participants)]; // Remove duplicates
-        logger.info(`Extracted ${htmlTeams.length} additional teams from HTML`);
+    }
+
+    const memo = this.resolutionMemo.get(key);
+    if (memo && now - memo.checkedAt < this.revisionMemoTtl) {
+      return memo.resolution;
+    }
+
+    const resolution = await this.findTournamentPage(query, game);
+    this.resolutionMemo.set(key, { resolution, checkedAt: now });
+    return resolution;
+  }
+
+  async findTournamentPage(query, game) {
+    const resolution = { query, title: null, confidence: 0, redirected_from: null, candidates: [] };
+
+    // 1. The name itself, or a redirect to the real page
+    const direct = (await this.getPageRevisions([query], game))[query];
+    if (direct && !direct.missing) {
+      const requested = query.charAt(0).toUpperCase() + query.slice(1);
+      return {
+        ...resolution,
+        title: direct.title,
+        confidence: 1,
+        redirected_from: direct.title !== requested ? query : null,
+        candidates: [{ title: direct.title, score: 1 }]
+      };
+    }
+
+    // 2. Search, cheapest first, until one candidate is clearly the page
+    const searches = [
+      () => this.searchPageTitles('opensearch', query, game),
+      () => this.searchPageTitles('prefixsearch', query.split(/\s+/).slice(0, 2).join(' '), game),
+      () => this.searchPageTitles('search', query, game)
+    ];
+
+    let candidates = [];
+    for (const search of searches) {
+      const titles = await search();
+      candidates = rankTitles(query, [...candidates.map(candidate => candidate.title), ...titles]);
+      if (this.pickCandidate(candidates)) break;
+    }
+
+    // Search hits can be redirects: each page keeps the best score of the titles leading to it
+    const top = candidates.slice(0, 10);
+    const revisions = await this.getPageRevisions(top.map(candidate => candidate.title), game);
+    const pages = new Map();
+    for (const candidate of top) {
+      const info = revisions[candidate.title];
+      if (!info || info.missing) continue;
+      const existing = pages.get(info.title);
+      if (!existing || candidate.score > existing.score) {
+        pages.set(info.title, { title: info.title, score: candidate.score, via: candidate.title });
+      }
+    }
+
+    const ranked = [...pages.values()].sort((a, b) => b.score - a.score);
+    resolution.candidates = ranked.slice(0, 5).map(({ title, score }) => ({ title, score }));
+
+    const best = this.pickCandidate(ranked);
+    if (!best) return resolution;
+
+    return {
+      ...resolution,
+      title: best.title,
+      confidence: best.score,
+      redirected_from: best.via !== best.title ? best.via : null
+    };
+  }
+
+  // The top candidate when it is confident and not too close to the next one
+  pickCandidate(candidates) {
+    const [best, second] = candidates;
+    if (!best || best.score < RESOLVE_MIN_CONFIDENCE) return null;
+    if (best.score < 1 && second && best.score - second.score < RESOLVE_MIN_MARGIN) return null;
+    return best;
+  }
+
+  // Main namespace titles from opensearch, prefixsearch or full-text search
+  async searchPageTitles(method, text, game) {
+    if (!text) return [];
+
+    const params = {
+      opensearch: { action: 'opensearch', format: 'json', search: text, namespace: 0, limit: 10, redirects: 'resolve' },
+      prefixsearch: { action: 'query', format: 'json', list: 'prefixsearch', pssearch: text, psnamespace: 0, pslimit: 10 },
+      search: { action: 'query', format: 'json', list: 'search', srsearch: text, srnamespace: 0, srlimit: 10, srwhat: 'title' }
+    }[method];
+
+    try {
+      const data = await this.makeRequest(this.getApiUrl(game), params);
+      if (method === 'opensearch') {
+        return Array.isArray(data) && Array.isArray(data[1]) ? data[1] : [];
       }
+      return (data.query?.[method] || []).map(result => result.title);
+    } catch (error) {
+      // An outage is not the same as "not found" - let callers report it
+      if (error instanceof UpstreamUnavailableError) throw error;
+      logger.warn(`Page ${method} failed for ${text}: ${error.message}`);
+      return [];
+    }
+  }
+
+  // Parse one tournament page (wikitext + HTML), reusing the stored result while its revision is unchanged
+  async fetchTournamentVariation(variation, tournamentName, game, revision) {
+    let snapshot = null;
+    try {
+      snapshot = await this.databaseService.getPageSnapshot(game, variation, 'tournament');
+    } catch (error) {
+      logger.warn(`Failed to load page snapshot for ${variation}: ${error.message}`);
+    }
+
+    if (snapshot && revision && revision.lastrevid && snapshot.parser_version === PARSER_VERSION &&
+        String(snapshot.lastrevid) === String(revision.lastrevid)) {
+      logger.info(`Tournament page ${variation} unchanged (rev ${revision.lastrevid}), reusing parsed data`);
+      return { ...snapshot.parsed_data, original_name: tournamentName };
+    }
+
+    const revisionChanged = !!(snapshot && revision && revision.lastrevid);
+
+    // Get both wikitext AND HTML content for better parsing
+    const [wikitextData, htmlData] = await Promise.all([
+      this.makeRequest(this.getApiUrl(game), {
+        action: 'parse',
+        format: 'json',
+        page: variation,
+        prop: 'wikitext|categories',
+        redirects: 1
+      }, 0, 'intensive', { bypassCache: revisionChanged }),
+      this.makeRequest(this.getApiUrl(game), {
+        action: 'parse',
+        format: 'json',
+        page: variation,
+        prop: 'text|categories',
+        redirects: 1
+      }, 0, 'intensive', { bypassCache: revisionChanged })
+    ]);
+
+    if (!wikitextData.parse || !wikitextData.parse.wikitext) {
+      return null;
+    }
+
+    const wikitext = wikitextData.parse.wikitext['*'];
+    const htmlContent = htmlData.parse ? htmlData.parse.text['*'] : null;
+    const categories = wikitextData.parse.categories || [];
+    
+    logger.info(`Found tournament with variation: ${variation}`);
+    
+    // Parse both wikitext and HTML for comprehensive data
+    const parsedData = this.parseTournamentWikitext(wikitext, game);
+    
+    // If HTML is available, add what only the rendered page shows (see htmlParser)
+    if (htmlContent) {
+      await this.extractDataFromHTML(htmlContent, parsedData, game);
+    }
+    
+    const details = {
+      found_name: variation,
+      original_name: tournamentName,
+      wikitext: wikitext.substring(0, 2000), // Increased for more data
+      html_snippet: htmlContent ? htmlContent.substring(0, 1000) : null,
+      categories: categories.map(cat => cat['*']),
+      parsed_data: parsedData,
+      fetched_at: new Date().toISOString()
+    };
+
+    try {
+      await this.databaseService.savePageSnapshot({
+        game,
+        pageTitle: variation,
+        kind: 'tournament',
+        pageid: wikitextData.parse.pageid || (revision && revision.pageid),
+        lastrevid: wikitextData.parse.revid || (revision && revision.lastrevid),
+        touched: revision && revision.touched,
+        parsedData: details,
+        parserVersion: PARSER_VERSION
+      });
+    } catch (error) {
+      logger.warn(`Failed to save page snapshot for ${variation}: ${error.message}`);
+    }
+
+    try {
+      await this.databaseService.replaceTournamentStandings(game, variation, parsedData.results);
+    } catch (error) {
+      logger.warn(`Failed to save standings for ${variation}: ${error.message}`);
+    }
 
-      // Extract match scores from HTML
-      const scoreRegex = /<(?:td|span)[^>]*class="[^"]*score[^"]*"[^>]*>(\d+-\d+)</gi;
-      let scoreMatch;
-      const htmlScores = [];
-      
-      while ((scoreMatch = scoreRegex.exec(htmlContent)) !== null) {
-        htmlScores.push(scoreMatch[1]);
-      }
-      
-      if (htmlScores.length > 0) {
-        logger.info(`Extracted ${htmlScores.length} match scores from HTML`);
-        // Add scores to existing matches or create new match entries
-        htmlScores.forEach((score, index) => {
-          if (parsedData.matches[index]) {
-            parsedData.matches[index].html_score = score;
-          } else {
-            parsedData.matches.push({
-              match_id: index + 1,
-              score: score,
-              source: 'html',
-              status: 'completed'
-            });
-          }
-        });
+    // Bracket matches, between teams or players (StarCraft II)
+    const pageMatches = (parsedData.matches || []).filter(match => match.opponents.some(opponent => opponent.name));
+    if (pageMatches.length > 0) {
+      try {
+        await this.databaseService.replaceTournamentMatches(game, variation, pageMatches, this.getPageUrl(game, variation));
+      } catch (error) {
+        logger.warn(`Failed to save matches for ${variation}: ${error.message}`);
       }
+    }
 
-    } catch (error) {
-      logger.warn('Error extracting data from HTML', error);
+    if (parsedData.battle_royale) {
+      try {
+        await this.databaseService.replaceBattleRoyaleResults(game, variation, parsedData.battle_royale.results);
+      } catch (error) {
+        logger.warn(`Failed to save battle royale results for ${variation}: ${error.message}`);
+      }
     }
+
+    return details;
   }
 
-  // NEW: Search for tournament if direct lookup fails
-  async searchForTournament(tournamentName, game) {
+  // Brackets, group tables and prize pool of the rendered page, merged into the wikitext parse.
+  // Team names are compared by canonical page, so {{team|tc}} in the wikitext and a rendered
+  // "Team Charlie" are the same opponent.
+  async extractDataFromHTML(htmlContent, parsedData, game) {
     try {
-      const searchTerms = tournamentName.split(' ').filter(term => term.length > 2);
-      const searchQuery = searchTerms.join(' ');
-      
-      logger.info(`Searching for tournament with query: ${searchQuery}`);
-      
-      const data = await this.makeRequest(`https://liquipedia.net/${game}/api.php`, {
-        action: 'query',
-        format: 'json',
-        list: 'search',
-        srsearch: searchQuery,
-        srnamespace: 0,
-        srlimit: 10
-      });
-
-      const searchResults = data.query?.search || [];
-      
-      // Look for tournament-like pages
-      for (const result of searchResults) {
-        const title = result.title.toLowerCase();
-        const originalLower = tournamentName.toLowerCase();
-        
-        // Check if this looks like our tournament
-        if (title.includes('cct') && title.includes('oceania') && originalLower.includes('cct') && originalLower.includes('oceania')) {
-          logger.info(`Found potential match: ${result.title}`);
-          
-          // Try to fetch this tournament
-          const tournamentData = await this.makeRequest(`https://liquipedia.net/${game}/api.php`, {
-            action: 'parse',
-            format: 'json',
-            page: result.title,
-            prop: 'wikitext|categories'
-          }, 0, 'intensive');
+      const rendered = parseRenderedPage(htmlContent);
+      const names = [
+        ...parsedData.participants,
+        ...rendered.participants,
+        ...parsedData.matches.flatMap(match => match.opponents
+          .filter(opponent => ['team', 'literal'].includes(opponent.type))
+          .map(opponent => opponent.name))
+      ];
+      const aliases = await this.resolveEntityNames(names, game, 'team');
 
-          if (tournamentData.parse && tournamentData.parse.wikitext) {
-            const wikitext = tournamentData.parse.wikitext['*'];
-            const categories = tournamentData.parse.categories || [];
-            
-            return {
-              found_name: result.title,
-              original_name: tournamentName,
-              search_match: true,
-              wikitext: wikitext.substring(0, 1000),
-              categories: categories.map(cat => cat['*']),
-              parsed_data: this.parseTournamentWikitext(wikitext, game),
-              fetched_at: new Date().toISOString()
-            };
-          }
-        }
-      }
-      
-      logger.warn(`No tournament found for search query: ${searchQuery}`);
-      return null;
-      
+      Object.assign(parsedData, mergeRenderedData(parsedData, rendered, { aliases }));
+      logger.info(`Rendered page has ${rendered.matches.length} matches, ${rendered.groups.length} group tables and ${rendered.results.length} placements`);
     } catch (error) {
-      logger.error(`Failed to search for tournament ${tournamentName}`, error);
-      return null;
+      logger.warn('Error extracting data from HTML', error);
     }
   }
 
@@ -933,9 +1669,13 @@ class LiquipediaService {
   parseTournamentWikitext(wikitext, game) {
     const tournamentData = {
       prize_pool: null,
+      prize: null,
       participants: [],
       results: [],
       matches: [],
+      groups: [],
+      swiss: [],
+      battle_royale: null,
       brackets: {
         upper_bracket: [],
         lower_bracket: [],
@@ -954,71 +1694,64 @@ class LiquipediaService {
     };
 
     try {
-      // Extract prize pool (multiple formats)
-      const prizeMatch = wikitext.match(/\|\s*prizepool\s*=\s*([^\n|]+)/i);
-      if (prizeMatch) {
-        tournamentData.prize_pool = prizeMatch[1].trim();
+      const nodes = parseWikitext(wikitext);
+      const profile = this.getProfile(game);
+      const fields = profile.infobox.tournament;
+
+      tournamentData.prize_pool = this.getInfoboxField(nodes, fields.prize_pool);
+      const localCurrency = this.getInfoboxField(nodes, fields.local_currency);
+      tournamentData.prize = parseMoney(tournamentData.prize_pool, {
+        currency: localCurrency,
+        usd: this.getInfoboxField(nodes, fields.prize_pool_usd)
+      });
+      tournamentData.dates.start = parseDate(this.getInfoboxField(nodes, fields.start_date));
+      tournamentData.dates.end = parseDate(this.getInfoboxField(nodes, fields.end_date));
+      tournamentData.location = this.getInfoboxField(nodes, fields.location);
+      tournamentData.organizer = this.getInfoboxField(nodes, fields.organizer);
+      tournamentData.tier = this.getInfoboxField(nodes, fields.tier);
+
+      const teamNumber = parseInt(this.getInfoboxField(nodes, fields.team_number));
+      if (!isNaN(teamNumber)) {
+        tournamentData.team_number = teamNumber;
       }
 
-      // Extract dates
-      const startDateMatch = wikitext.match(/\|\s*sdate\s*=\s*([^\n|]+)/i);
-      const endDateMatch = wikitext.match(/\|\s*edate\s*=\s*([^\n|]+)/i);
-      if (startDateMatch) tournamentData.dates.start = startDateMatch[1].trim();
-      if (endDateMatch) tournamentData.dates.end = endDateMatch[1].trim();
-
-      // Extract location/country
-      const locationMatch = wikitext.match(/\|\s*country\s*=\s*([^\n|]+)/i);
-      if (locationMatch) {
-        tournamentData.location = locationMatch[1].trim();
+      // Sponsors are usually external links: [https://example.com Sponsor Name]
+      const infobox = this.findInfobox(nodes);
+      const sponsorNodes = fields.sponsors.map(key => getParam(infobox, key)).find(value => value);
+      if (sponsorNodes) {
+        tournamentData.sponsors = extractLinkLabels(sponsorNodes);
       }
 
-      // Extract organizer
-      const organizerMatch = wikitext.match(/\|\s*organizer\s*=\s*([^\n|]+)/i);
-      if (organizerMatch) {
-        tournamentData.organizer = organizerMatch[1].trim();
-      }
+      // Final placements from the prize pool table
+      tournamentData.results = parsePrizePool(nodes, {
+        defaultCurrency: localCurrency,
+        fxRate: tournamentData.prize ? tournamentData.prize.fx_rate : null
+      });
 
-      // Extract tier
-      const tierMatch = wikitext.match(/\|\s*liquipediatier\s*=\s*([^\n|]+)/i);
-      if (tierMatch) {
-        tournamentData.tier = tierMatch[1].trim();
-      }
+      // NEW: Extract teams from bracket templates
+      this.extractTeamsFromBrackets(nodes, tournamentData);
 
-      // Extract team number
-      const teamNumMatch = wikitext.match(/\|\s*team_number\s*=\s*([^\n|]+)/i);
-      if (teamNumMatch) {
-        tournamentData.team_number = parseInt(teamNumMatch[1].trim());
-      }
+      // NEW: Extract match results from bracket templates
+      this.extractMatchesFromBrackets(nodes, tournamentData);
 
-      // Extract sponsors
-      const sponsorMatch = wikitext.match(/\|\s*sponsor\s*=\s*([^\n|]+)/i);
-      if (sponsorMatch) {
-        const sponsorText = sponsorMatch[1].trim();
-        // Parse sponsor links
-        const sponsorLinks = sponsorText.match(/\[https?:\/\/[^\s\]]+\s+([^\]]+)\]/g);
-        if (sponsorLinks) {
-          tournamentData.sponsors = sponsorLinks.map(link => 
-            link.replace(/\[https?:\/\/[^\s\]]+\s+([^\]]+)\]/, '$1')
-          );
-        }
-      }
+      // Group stage, league and Swiss tables
+      tournamentData.groups = parseGroupTables(nodes, tournamentData.matches);
+      tournamentData.swiss = parseSwissStages(nodes, tournamentData.matches);
 
-      // NEW: Extract teams from bracket templates
-      this.extractTeamsFromBrackets(wikitext, tournamentData);
+      // Battle royale lobbies (FFA matches) and points standings
+      tournamentData.battle_royale = parseBattleRoyale(nodes, { scoring: profile.scoring });
 
-      // NEW: Extract match results from bracket templates
-      this.extractMatchesFromBrackets(wikitext, tournamentData);
+      // Player tournaments (StarCraft II): the players of solo and party opponents
+      if (tournamentData.participants.length === 0) {
+        tournamentData.participants = [...new Set(tournamentData.matches
+          .flatMap(match => match.opponents)
+          .filter(opponent => opponent.type === 'solo' || opponent.type === 'party')
+          .flatMap(opponent => opponent.players.map(player => player.name)))];
+      }
 
       // Fallback: Look for team templates in the wikitext
-      const teamMatches = wikitext.match(/\{\{team\|([^}]+)\}\}/gi);
-      if (teamMatches && tournamentData.participants.length === 0) {
-        tournamentData.participants = teamMatches
-          .map(match => {
-            const teamName = match.replace(/\{\{team\|([^}|]+).*?\}\}/i, '$1').trim();
-            return teamName;
-          })
-          .filter((team, index, arr) => arr.indexOf(team) === index) // Remove duplicates
-          .slice(0, 20); // Limit participants
+      if (tournamentData.participants.length === 0) {
+        tournamentData.participants = this.extractTeamTemplateNames(nodes).slice(0, 20); // Limit participants
       }
 
     } catch (error) {
@@ -1028,114 +1761,228 @@ class LiquipediaService {
     return tournamentData;
   }
 
+  // Matches on a page, parsed the way the game's profile says
+  parseGameMatches(nodes, game) {
+    const profile = this.getProfile(game);
+    return profile.parseMatches(nodes, profile);
+  }
+
+  // Extractors accept raw wikitext or an already-parsed node list
+  toWikitextNodes(wikitext) {
+    return Array.isArray(wikitext) ? wikitext : parseWikitext(wikitext);
+  }
+
+  findInfobox(nodes) {
+    return findTemplate(nodes, name => name.startsWith('infobox'));
+  }
+
+  // Infobox params first, then the first template on the page that sets them
+  getInfoboxField(wikitext, keys) {
+    const nodes = this.toWikitextNodes(wikitext);
+    return getFirstParamText(this.findInfobox(nodes), keys) ||
+      findParamText(nodes, keys.filter(key => !INFOBOX_ONLY_PARAMS.includes(key)));
+  }
+
+  // Unique names from {{team|...}} style templates, in page order
+  extractTeamTemplateNames(wikitext) {
+    const names = findTemplates(this.toWikitextNodes(wikitext), TEAM_NAME_TEMPLATES)
+      .map(template => getParamText(template, 1))
+      .filter(name => name && !this.isPlaceholderName(name));
+
+    return [...new Set(names)];
+  }
+
+  isPlaceholderName(name) {
+    return /^(tbd|tba|bye|definitions)?$/i.test(String(name || '').trim());
+  }
+
+  // Canonical page of every team or player name as written on the wiki: { name: page | null }.
+  // Names already in entity_aliases are answered from the database; the rest are looked up as
+  // page titles (renamed teams and players keep their old title as a redirect) and, for teams,
+  // as {{team|...}} shortnames. Every resolved name is stored, unresolved ones are retried later.
+  async resolveEntityNames(names, game, entityType = 'team') {
+    const unique = [...new Set(names.filter(name => name && !this.isPlaceholderName(name)))];
+    const resolved = Object.fromEntries(unique.map(name => [name, null]));
+    if (unique.length === 0) return resolved;
+
+    try {
+      Object.assign(resolved, await this.databaseService.getEntityAliases(game, entityType, unique, {
+        revalidateAfterMs: this.aliasRevalidateMs
+      }));
+    } catch (error) {
+      logger.warn(`Failed to read ${entityType} aliases for ${game}: ${error.message}`);
+    }
+
+    const found = [];
+    let pending = unique.filter(name => !resolved[name]);
+
+    // A {{team|xyz}} shortname wins over an unrelated page that happens to be titled "Xyz"
+    if (entityType === 'team' && pending.length > 0) {
+      found.push(...await this.resolveTeamTemplates(pending, game));
+      found.forEach(entry => { resolved[entry.name] = entry.canonical_page; });
+      pending = pending.filter(name => !resolved[name]);
+    }
+
+    const revisions = pending.length > 0 ? await this.getPageRevisions(pending, game) : {};
+    for (const name of pending) {
+      const info = revisions[name];
+      if (info && !info.missing) {
+        resolved[name] = info.title;
+        found.push({
+          name,
+          canonical_page: info.title,
+          source: normalizeName(info.title) === normalizeName(name) ? 'page' : 'redirect'
+        });
+      }
+    }
+
+    if (found.length > 0) {
+      try {
+        await this.databaseService.saveEntityAliases(game, entityType, found);
+      } catch (error) {
+        logger.warn(`Failed to store ${found.length} ${entityType} aliases for ${game}: ${error.message}`);
+      }
+    }
+
+    return resolved;
+  }
+
+  // {{team|navi}} shortnames via their Template:Team/navi page: [{ name, canonical_page, source }]
+  async resolveTeamTemplates(names, game) {
+    const templateTitle = name => `${TEAM_TEMPLATE_PREFIX}${name.toLowerCase()}`;
+    const templates = await this.fetchWikitextBatch(names.map(templateTitle), game);
+
+    const targets = {};
+    for (const name of names) {
+      const template = templates[templateTitle(name)];
+      const target = template && this.extractTeamTemplatePage(template.wikitext);
+      if (target) targets[name] = target;
+    }
+
+    // The template may still link to a team's old name
+    const revisions = await this.getPageRevisions(Object.values(targets), game);
+    return Object.entries(targets)
+      .filter(([, target]) => revisions[target] && !revisions[target].missing)
+      .map(([name, target]) => ({ name, canonical_page: revisions[target].title, source: 'template' }));
+  }
+
+  // Team page a team template points at: its page= param or its first wiki link
+  extractTeamTemplatePage(wikitext) {
+    const nodes = this.toWikitextNodes(wikitext);
+    const page = findParamText(nodes, ['page', 'link']);
+    if (page) return page;
+
+    const link = nodes.find(node => node.type === 'link' && !/^(file|image|category|template):/i.test(node.target));
+    return link ? extractEntityName([link]) : null;
+  }
+
+  // Other names of a page, without repeats (case and spacing ignored) or the page itself
+  collectAliases(page, names) {
+    const seen = new Set([normalizeName(page)]);
+    return names.filter(name => {
+      const key = normalizeName(name);
+      if (!key || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+
   // NEW: Extract teams from bracket templates
   extractTeamsFromBrackets(wikitext, tournamentData) {
     try {
-      // Look for bracket templates like {{Bracket/8U4L2DSL1D
-      const bracketMatch = wikitext.match(/\{\{Bracket\/[^}]+\}\}/gs);
-      if (bracketMatch) {
-        const bracketText = bracketMatch[0];
-        
-        // Extract team names from bracket parameters
-        const teamParams = bracketText.match(/\|R\d+D\d+team\d*=([^|\n}]+)/g);
-        if (teamParams) {
-          const teams = teamParams
-            .map(param => param.replace(/\|R\d+D\d+team\d*=/, '').trim())
-            .filter(team => team && !team.includes('{{') && team !== 'TBD')
-            .map(team => team.replace(/\[\[([^|\]]+).*?\]\]/, '$1')) // Remove wiki links
-            .filter((team, index, arr) => arr.indexOf(team) === index); // Remove duplicates
-          
-          tournamentData.participants.push(...teams);
+      const nodes = this.toWikitextNodes(wikitext);
+      const teams = [];
+
+      // Legacy bracket templates like {{Bracket/8U4L2DSL1D|R1D1team=...}}
+      for (const bracket of findTemplates(nodes, name => name.startsWith('bracket/'))) {
+        for (const param of bracket.params) {
+          if (param.name && /^R\d+[DW]\d+team\d*$/i.test(param.name)) {
+            teams.push(extractEntityName(param.value));
+          }
         }
       }
 
-      // Also look for MatchList templates
-      const matchListMatch = wikitext.match(/\{\{MatchList[^}]*\|([^}]+)\}\}/gs);
-      if (matchListMatch) {
-        matchListMatch.forEach(match => {
-          const teamParams = match.match(/\|team\d*=([^|\n}]+)/g);
-          if (teamParams) {
-            const teams = teamParams
-              .map(param => param.replace(/\|team\d*=/, '').trim())
-              .filter(team => team && !team.includes('{{') && team !== 'TBD');
-            
-            tournamentData.participants.push(...teams);
+      // Match2 opponents: {{Match|opponent1={{TeamOpponent|...}}}}
+      for (const opponent of findTemplates(nodes, 'TeamOpponent')) {
+        teams.push(getParamText(opponent, 1) || getParamText(opponent, 'template'));
+      }
+
+      // Also look for MatchList templates and the MatchMaps nested in them
+      for (const matchList of findTemplates(nodes, ['MatchList', 'MatchMaps'])) {
+        for (const param of matchList.params) {
+          if (param.name && /^team\d*$/i.test(param.name)) {
+            teams.push(extractEntityName(param.value));
           }
-        });
+        }
+      }
+
+      // Group table rows: {{GroupTableSlot|{{team|...}}|place=1}}
+      for (const slot of findTemplates(nodes, 'GroupTableSlot')) {
+        teams.push(extractEntityName(getParam(slot, 1)));
       }
 
-      // Remove duplicates
-      tournamentData.participants = [...new Set(tournamentData.participants)];
+      // Remove placeholders and duplicates
+      tournamentData.participants = [...new Set([
+        ...tournamentData.participants,
+        ...teams.filter(team => team && !this.isPlaceholderName(team))
+      ])];
       
     } catch (error) {
       logger.warn('Error extracting teams from brackets', error);
     }
   }
 
-  // NEW: Extract matches from bracket templates
+  // NEW: Extract matches from bracket templates (Match2, legacy brackets and MatchMaps)
   extractMatchesFromBrackets(wikitext, tournamentData) {
     try {
-      // Look for match results in bracket templates
-      const bracketMatch = wikitext.match(/\{\{Bracket\/[^}]+\}\}/gs);
-      if (bracketMatch) {
-        const bracketText = bracketMatch[0];
-        
-        // Extract match scores and details
-        const scoreParams = bracketText.match(/\|R\d+D\d+score\d*=([^|\n}]+)/g);
-        const winnerParams = bracketText.match(/\|R\d+D\d+win\d*=([^|\n}]+)/g);
-        
-        if (scoreParams && winnerParams) {
-          for (let i = 0; i < Math.min(scoreParams.length, winnerParams.length); i++) {
-            const score = scoreParams[i].replace(/\|R\d+D\d+score\d*=/, '').trim();
-            const winner = winnerParams[i].replace(/\|R\d+D\d+win\d*=/, '').trim();
-            
-            if (score && winner) {
-              tournamentData.matches.push({
-                round: `Round ${Math.floor(i / 2) + 1}`,
-                match_id: i + 1,
-                score: score,
-                winner: winner,
-                status: 'completed'
-              });
-            }
-          }
-        }
-      }
-
-      // Look for MatchMaps templates for detailed match info
-      const matchMapsRegex = /\{\{MatchMaps[^}]*\|([^}]+)\}\}/gs;
-      let matchMapMatch;
-      while ((matchMapMatch = matchMapsRegex.exec(wikitext)) !== null) {
-        const matchContent = matchMapMatch[1];
-        
-        // Extract team names and scores
-        const team1Match = matchContent.match(/\|team1=([^|\n}]+)/);
-        const team2Match = matchContent.match(/\|team2=([^|\n}]+)/);
-        const score1Match = matchContent.match(/\|score1=([^|\n}]+)/);
-        const score2Match = matchContent.match(/\|score2=([^|\n}]+)/);
-        const dateMatch = matchContent.match(/\|date=([^|\n}]+)/);
-        
-        if (team1Match && team2Match) {
-          const matchData = {
-            team1: team1Match[1].trim(),
-            team2: team2Match[1].trim(),
-            score1: score1Match ? score1Match[1].trim() : null,
-            score2: score2Match ? score2Match[1].trim() : null,
-            date: dateMatch ? dateMatch[1].trim() : null,
-            status: (score1Match && score2Match) ? 'completed' : 'scheduled'
-          };
-          
-          tournamentData.matches.push(matchData);
-        }
-      }
-      
+      tournamentData.matches.push(...this.parseGameMatches(this.toWikitextNodes(wikitext), tournamentData.game));
     } catch (error) {
       logger.warn('Error extracting matches from brackets', error);
     }
   }
 
+  // Tournament match entry: the shared match shape plus the page it was found on
+  // Status from the tournament's normalized start and end dates (see getEventStatus)
+  getTournamentStatus(dates, now = new Date()) {
+    return dates ? getEventStatus(dates.start, dates.end, now) : 'unknown';
+  }
+
+  toTournamentMatch(match, { id, page, game, tournament, type }) {
+    return {
+      id,
+      title: page,
+      game: game,
+      tournament: tournament,
+      type: type,
+      ...match,
+      liquipedia_url: page ? this.getPageUrl(game, page) : null
+    };
+  }
+
   // NEW: Comprehensive tournament data fetching by tournament name
   async fetchTournamentByName(tournamentName, game = 'counterstrike') {
+    // Concurrent lookups of the same tournament share one run (a refresh never joins a cached run)
+    const requestOptions = this.requestContext.getStore() || {};
+    const key = `${this.apiBaseUrl}|${game}|${tournamentName.trim().replace(/_/g, ' ').toLowerCase()}|${requestOptions.bypassCache ? 'fresh' : 'cached'}`;
+
+    if (inFlightTournaments.has(key)) {
+      coalescingStats.tournaments++;
+      logger.info(`Joining in-flight tournament fetch for ${tournamentName} in ${game}`);
+      return inFlightTournaments.get(key);
+    }
+
+    const run = this.loadTournamentByName(tournamentName, game);
+    inFlightTournaments.set(key, run);
+    try {
+      return await run;
+    } finally {
+      if (inFlightTournaments.get(key) === run) {
+        inFlightTournaments.delete(key);
+      }
+    }
+  }
+
+  async loadTournamentByName(tournamentName, game) {
     logger.info(`Fetching comprehensive tournament data for: ${tournamentName} in ${game}`);
     
     try {
@@ -1145,8 +1992,13 @@ class LiquipediaService {
         players: [],
         matches: [],
         brackets: null,
+        groups: [],
+        swiss: [],
+        battle_royale: null,
         results: null,
         status: 'unknown',
+        resolution: null,
+        did_you_mean: [],
         fetched_at: new Date().toISOString()
       };
 
@@ -1155,32 +2007,54 @@ class LiquipediaService {
       
       if (!tournamentData.tournament) {
         logger.warn(`Tournament ${tournamentName} not found in ${game}`);
+        // The failed resolution is memoized, so this makes no new requests
+        tournamentData.did_you_mean = (await this.resolveTournamentPage(tournamentName, game)).candidates;
         return tournamentData;
       }
+      tournamentData.resolution = tournamentData.tournament.resolution || null;
 
-      // 2. Determine tournament status (ongoing/concluded)
-      const currentDate = new Date();
+      // 2. Determine tournament status (upcoming/ongoing/concluded)
       const tournamentInfo = tournamentData.tournament.parsed_data;
-      
-      if (tournamentInfo.dates.end) {
-        const endDate = new Date(tournamentInfo.dates.end);
-        tournamentData.status = endDate < currentDate ? 'concluded' : 'ongoing';
-      } else if (tournamentInfo.dates.start) {
-        const startDate = new Date(tournamentInfo.dates.start);
-        tournamentData.status = startDate > currentDate ? 'upcoming' : 'ongoing';
-      }
+      tournamentData.status = this.getTournamentStatus(tournamentInfo.dates);
+
+      // Later lookups use the resolved page title, not the requested name
+      const mainPage = tournamentData.tournament.found_name;
 
       // 3. Fetch participating teams using multiple methods
-      tournamentData.teams = await this.fetchTournamentTeamsImproved(tournamentName, game, tournamentInfo.participants);
+      tournamentData.teams = await this.fetchTournamentTeamsImproved(mainPage, game, tournamentInfo.participants);
 
-      // 4. Fetch tournament matches
-      tournamentData.matches = await this.fetchTournamentMatchesDetailed(tournamentName, game);
+      // 4. Fetch tournament matches (main page brackets first, then subpages)
+      const pageMatches = (tournamentInfo.matches || []).map((match, index) => this.toTournamentMatch(match, {
+        id: `${mainPage}#${this.getMatchKey(match, index)}`,
+        page: mainPage,
+        game,
+        tournament: tournamentName,
+        type: 'tournament_page'
+      }));
+      // The LPDB and search fallbacks would only find the main page's matches again
+      tournamentData.matches = [...pageMatches, ...await this.fetchTournamentMatchesDetailed(mainPage, game, {
+        subpagesOnly: pageMatches.length > 0
+      })];
 
       // 5. Fetch brackets and results based on status
       if (tournamentData.status === 'concluded') {
-        tournamentData.results = await this.fetchTournamentFinalResults(tournamentName, game);
+        tournamentData.results = await this.fetchTournamentFinalResults(tournamentData.tournament, game);
       } else {
-        tournamentData.brackets = await this.fetchTournamentBrackets(tournamentName, game);
+        tournamentData.brackets = await this.fetchTournamentBrackets(mainPage, game);
+      }
+
+      // Points-based lobbies and standings for battle royale events
+      if (tournamentInfo.battle_royale) {
+        tournamentData.battle_royale = await this.fetchBattleRoyaleStandings(tournamentData.tournament, game);
+      }
+
+      // Group and Swiss tables of the main page and of the bracket subpages
+      tournamentData.groups = (tournamentInfo.groups || []).map(group => ({ ...group, page: mainPage }));
+      tournamentData.swiss = (tournamentInfo.swiss || []).map(stage => ({ ...stage, page: mainPage }));
+      for (const bracket of tournamentData.brackets || []) {
+        if (bracket.title === mainPage) continue;
+        tournamentData.groups.push(...(bracket.data.groups || []).map(group => ({ ...group, page: bracket.title })));
+        tournamentData.swiss.push(...(bracket.data.swiss || []).map(stage => ({ ...stage, page: bracket.title })));
       }
 
       // 6. Fetch players from participating teams
@@ -1205,7 +2079,7 @@ class LiquipediaService {
     
     try {
       // Method 1: Try LPDB to get tournament participants
-      const lpdbData = await this.makeRequest(`https://liquipedia.net/${game}/api.php`, {
+      const lpdbData = await this.makeRequest(this.getApiUrl(game), {
         action: 'cargoquery',
         format: 'json',
         tables: 'Tournaments',
@@ -1225,7 +2099,7 @@ class LiquipediaService {
       }
 
       // Method 2: Try to get teams from tournament subpages
-      const subpageData = await this.makeRequest(`https://liquipedia.net/${game}/api.php`, {
+      const subpageData = await this.makeRequest(this.getApiUrl(game), {
         action: 'query',
         format: 'json',
         list: 'allpages',
@@ -1245,71 +2119,70 @@ class LiquipediaService {
                title.includes('group');
       });
 
-      // Extract teams from these pages
-      for (const teamPage of teamPages.slice(0, 3)) {
-        try {
-          const pageData = await this.makeRequest(`https://liquipedia.net/${game}/api.php`, {
-            action: 'parse',
-            format: 'json',
-            page: teamPage.title,
-            prop: 'wikitext'
-          }, 0, 'intensive');
-
-          if (pageData.parse && pageData.parse.wikitext) {
-            const wikitext = pageData.parse.wikitext['*'];
-            
-            // Extract team names from wikitext
-            const teamMatches = wikitext.match(/\{\{team\|([^}|]+)/gi);
-            if (teamMatches) {
-              const pageTeams = teamMatches.map(match => 
-                match.replace(/\{\{team\|([^}|]+).*/, '$1').trim()
-              );
-              participantNames.push(...pageTeams);
-            }
+      // Extract teams from these pages (one batched request instead of a parse per page)
+      const teamPageContents = await this.fetchWikitextBatch(teamPages.slice(0, 10).map(page => page.title), game);
 
-            // Also look for TeamCard templates
-            const teamCardMatches = wikitext.match(/\{\{TeamCard[^}]*\|([^}|]+)/gi);
-            if (teamCardMatches) {
-              const cardTeams = teamCardMatches.map(match => 
-                match.replace(/\{\{TeamCard[^}]*\|([^}|]+).*/, '$1').trim()
-              );
-              participantNames.push(...cardTeams);
-            }
-          }
+      for (const teamPage of Object.values(teamPageContents)) {
+        if (!teamPage || !teamPage.wikitext) continue;
 
-          await new Promise(resolve => setTimeout(resolve, 2000));
-        } catch (error) {
-          logger.warn(`Failed to fetch team page ${teamPage.title}`, error);
-        }
+        const nodes = parseWikitext(teamPage.wikitext);
+        
+        // Extract team names from team templates and brackets
+        participantNames.push(...this.extractTeamTemplateNames(nodes));
+        const bracketData = { participants: [] };
+        this.extractTeamsFromBrackets(nodes, bracketData);
+        participantNames.push(...bracketData.participants);
+
+        // Also look for TeamCard templates
+        const cardTeams = findTemplates(nodes, 'TeamCard')
+          .map(template => getParamText(template, 'team') || getParamText(template, 1));
+        participantNames.push(...cardTeams);
       }
 
       // Remove duplicates and clean up team names
-      const uniqueTeams = [...new Set(participantNames)]
-        .filter(team => team && team.length > 1 && !team.includes('{{'))
-        .slice(0, 16);
+      const teamNames = [...new Set(participantNames)]
+        .filter(team => team && team.length > 1 && !team.includes('{{'));
+
+      // Shortnames, redirects and old names of one organisation collapse into a single team
+      const canonical = await this.resolveEntityNames(teamNames, game, 'team');
+      const namesByPage = new Map();
+      for (const teamName of teamNames) {
+        const page = canonical[teamName] || teamName;
+        namesByPage.set(page, [...(namesByPage.get(page) || []), teamName]);
+      }
+      const uniqueTeams = [...namesByPage.keys()].slice(0, 16);
 
       logger.info(`Found ${uniqueTeams.length} unique teams: ${uniqueTeams.join(', ')}`);
 
-      // Method 3: Fetch basic team info for each team
+      // Method 3: Fetch team pages in one batch for roster, country and status
+      const teamDetails = await this.fetchTeamDetailsBatch(uniqueTeams, game);
+
       for (const teamName of uniqueTeams) {
-        try {
-          // Create basic team object without full details to avoid rate limiting
-          const basicTeam = {
-            id: teamName.replace(/[^a-zA-Z0-9]/g, '_'),
-            name: teamName,
-            game: game,
-            status: 'unknown',
-            roster: [],
-            country: null,
-            tournament_participant: true,
-            liquipedia_url: `https://liquipedia.net/${game}/${encodeURIComponent(teamName.replace(/ /g, '_'))}`
-          };
+        const aliases = this.collectAliases(teamName, namesByPage.get(teamName));
 
-          teams.push(basicTeam);
-          
-        } catch (error) {
-          logger.warn(`Failed to create team object for ${teamName}`, error);
+        if (teamDetails[teamName]) {
+          teams.push({
+            ...teamDetails[teamName],
+            id: teamName.replace(/[^a-zA-Z0-9]/g, '_'),
+            page: teamName,
+            aliases: this.collectAliases(teamName, [...aliases, ...(teamDetails[teamName].aliases || [])]),
+            tournament_participant: true
+          });
+          continue;
         }
+
+        // Fall back to a basic team object when the team has no page
+        teams.push({
+          id: teamName.replace(/[^a-zA-Z0-9]/g, '_'),
+          name: teamName,
+          aliases,
+          game: game,
+          status: 'unknown',
+          roster: [],
+          country: null,
+          tournament_participant: true,
+          liquipedia_url: this.getPageUrl(game, teamName)
+        });
       }
 
       logger.info(`Returning ${teams.length} teams for tournament ${tournamentName}`);
@@ -1325,84 +2198,88 @@ class LiquipediaService {
   async fetchTournamentTeams(participantNames, game) {
     logger.info(`Fetching ${participantNames.length} tournament teams for ${game}`);
     
-    const teams = [];
-    
-    for (const teamName of participantNames.slice(0, 16)) { // Limit to 16 teams
-      try {
-        const teamData = await this.fetchTeamDetails(teamName, game);
-        if (teamData) {
-          teams.push(teamData);
-        }
-        
-        // Rate limiting delay
-        await new Promise(resolve => setTimeout(resolve, 3000));
-      } catch (error) {
-        logger.warn(`Failed to fetch team details for ${teamName}`, error);
-      }
-    }
+    const teamNames = participantNames.slice(0, 16); // Limit to 16 teams
+    const teamDetails = await this.fetchTeamDetailsBatch(teamNames, game);
     
-    return teams;
+    return teamNames.map(teamName => teamDetails[teamName]).filter(team => team);
   }
 
   // Fetch team details by name
   async fetchTeamDetails(teamName, game) {
     try {
-      const data = await this.makeRequest(`https://liquipedia.net/${game}/api.php`, {
-        action: 'parse',
-        format: 'json',
-        page: teamName,
-        prop: 'wikitext|categories'
-      }, 0, 'intensive');
-
-      if (data.parse && data.parse.wikitext) {
-        const wikitext = data.parse.wikitext['*'];
-        const categories = data.parse.categories || [];
-        
-        return {
-          id: teamName.replace(/ /g, '_'),
-          name: teamName,
-          game: game,
-          status: this.determineTeamStatus(categories),
-          roster: this.extractTeamRoster(wikitext),
-          country: this.extractTeamCountry(wikitext),
-          liquipedia_url: `https://liquipedia.net/${game}/${encodeURIComponent(teamName.replace(/ /g, '_'))}`
-        };
-      }
-      
-      return null;
+      return await this.fetchParsedPage(teamName, game, 'team', 'wikitext|categories', parse => {
+        if (!parse.wikitext) return null;
+        return this.buildTeamDetails(teamName, game, parse.wikitext['*'], parse.categories || [], parse.pageid);
+      });
     } catch (error) {
       logger.error(`Failed to fetch team details for ${teamName}`, error);
       return null;
     }
   }
 
+  // Fetch details for many teams with a single batched wikitext request
+  async fetchTeamDetailsBatch(teamNames, game) {
+    return this.fetchDetailsBatch(teamNames, game, 'team', (teamName, wikitext, categories, pageid) =>
+      this.buildTeamDetails(teamName, game, wikitext, categories, pageid)
+    );
+  }
+
+  buildTeamDetails(teamName, game, wikitext, categories, pageid = null) {
+    const nodes = parseWikitext(wikitext);
+    const infobox = parseTeamInfobox(nodes, { fields: this.getProfile(game).infobox.team });
+    // Pages without squad tables list the roster as player templates in a Roster section
+    const squad = infobox.squad.length > 0
+      ? infobox.squad
+      : this.extractTeamRoster(wikitext).map((player, index) => ({ order: index + 1, id: player, page: player, status: 'active' }));
+    return {
+      id: teamName.replace(/ /g, '_'),
+      pageid: pageid || null,
+      name: teamName,
+      game: game,
+      status: infobox.disbanded_raw ? 'disbanded' : this.determineTeamStatus(categories),
+      roster: squad.filter(player => player.status === 'active').map(player => player.page),
+      squad,
+      country: this.extractTeamCountry(nodes),
+      region: infobox.region,
+      location: infobox.location,
+      created: infobox.created,
+      created_raw: infobox.created_raw,
+      disbanded: infobox.disbanded,
+      disbanded_raw: infobox.disbanded_raw,
+      coaches: infobox.coaches,
+      managers: infobox.managers,
+      captain: infobox.captain,
+      sponsors: infobox.sponsors,
+      game_fields: infobox.game_fields,
+      aliases: this.collectAliases(teamName, [infobox.display_name]),
+      liquipedia_url: this.getPageUrl(game, teamName)
+    };
+  }
+
   // Extract team roster from wikitext
   extractTeamRoster(wikitext) {
     const roster = [];
     
     try {
       // Look for player templates in roster section
-      const rosterSection = wikitext.match(/==\s*roster\s*==(.*?)(?===|$)/is);
+      const rosterSection = getSection(wikitext, 'Roster');
       if (rosterSection) {
-        const playerMatches = rosterSection[1].match(/\{\{player\|([^}]+)\}\}/gi);
-        if (playerMatches) {
-          roster.push(...playerMatches.map(match => 
-            match.replace(/\{\{player\|([^}|]+).*?\}\}/i, '$1').trim()
-          ));
-        }
+        const players = findTemplates(parseWikitext(rosterSection), PLAYER_NAME_TEMPLATES)
+          .map(template => getParamText(template, 1))
+          .filter(player => player);
+        roster.push(...new Set(players));
       }
     } catch (error) {
       logger.warn('Error extracting team roster', error);
     }
     
-    return roster.slice(0, 10); // Limit to 10 players
+    return roster;
   }
 
   // Extract team country from wikitext
   extractTeamCountry(wikitext) {
     try {
-      const countryMatch = wikitext.match(/\|\s*country\s*=\s*([^\n|]+)/i);
-      return countryMatch ? countryMatch[1].trim() : null;
+      return this.getInfoboxField(wikitext, ['country', 'location']);
     } catch (error) {
       return null;
     }
@@ -1420,14 +2297,15 @@ class LiquipediaService {
   }
 
   // Fetch tournament matches with details - IMPROVED
-  async fetchTournamentMatchesDetailed(tournamentName, game) {
+  // subpagesOnly skips the LPDB and search fallbacks (used when the main page has matches)
+  async fetchTournamentMatchesDetailed(tournamentName, game, { subpagesOnly = false } = {}) {
     logger.info(`Fetching detailed matches for tournament: ${tournamentName}`);
     
     try {
       const matches = [];
       
       // Method 1: Try to get matches from tournament subpages
-      const subpageData = await this.makeRequest(`https://liquipedia.net/${game}/api.php`, {
+      const subpageData = await this.makeRequest(this.getApiUrl(game), {
         action: 'query',
         format: 'json',
         list: 'allpages',
@@ -1453,34 +2331,33 @@ class LiquipediaService {
       });
 
       // Fetch details for relevant subpages
+      await this.getPageRevisions(matchSubpages.slice(0, 10).map(page => page.title), game);
       for (const subpage of matchSubpages.slice(0, 10)) {
         try {
           const matchDetails = await this.fetchMatchDetails(subpage.title, game);
           if (matchDetails) {
-            matches.push({
-              id: subpage.pageid,
-              title: subpage.title,
-              game: game,
+            matches.push(...this.toPageMatches(matchDetails, {
+              pageid: subpage.pageid,
+              page: subpage.title,
+              game,
               tournament: tournamentName,
-              details: matchDetails,
-              type: 'tournament_subpage',
-              liquipedia_url: `https://liquipedia.net/${game}/${encodeURIComponent(subpage.title.replace(/ /g, '_'))}`
-            });
+              type: 'tournament_subpage'
+            }));
           }
           
           // Rate limiting delay
-          await new Promise(resolve => setTimeout(resolve, 3000));
+          await this.pause(3000);
         } catch (error) {
           logger.warn(`Failed to fetch match details for ${subpage.title}`, error);
         }
       }
 
       // Method 2: If no matches found, try LPDB query for matches
-      if (matches.length === 0) {
+      if (matches.length === 0 && !subpagesOnly) {
         logger.info(`No matches found in subpages, trying LPDB query for ${tournamentName}`);
         
         try {
-          const lpdbData = await this.makeRequest(`https://liquipedia.net/${game}/api.php`, {
+          const lpdbData = await this.makeRequest(this.getApiUrl(game), {
             action: 'cargoquery',
             format: 'json',
             tables: 'Matches2',
@@ -1493,21 +2370,25 @@ class LiquipediaService {
           if (lpdbData.cargoquery && lpdbData.cargoquery.length > 0) {
             const lpdbMatches = lpdbData.cargoquery.map(item => {
               const match = item.title;
+              const winnerIndex = ['1', '2'].includes(String(match.winner)) ? parseInt(match.winner) : null;
               return {
-                id: Math.random().toString(36).substr(2, 9),
-                title: match.pagename || `${match.opponent1} vs ${match.opponent2}`,
-                game: game,
-                tournament: tournamentName,
-                details: {
-                  teams: [match.opponent1, match.opponent2].filter(t => t),
-                  score: match.score1 && match.score2 ? `${match.score1}-${match.score2}` : null,
-                  date: match.date,
-                  winner: match.winner,
+                ...this.toTournamentMatch(createMatch({
+                  format: 'lpdb',
+                  opponents: [
+                    createOpponent({ name: match.opponent1 || null, score: this.toMatchScore(match.score1) }),
+                    createOpponent({ name: match.opponent2 || null, score: this.toMatchScore(match.score2) })
+                  ],
+                  winner_index: winnerIndex,
+                  finished: winnerIndex !== null,
+                  date: parseDate(match.date)
+                }), {
+                  id: Math.random().toString(36).substr(2, 9),
+                  page: match.pagename || null,
+                  game,
                   tournament: tournamentName,
-                  game: game
-                },
-                type: 'lpdb_match',
-                liquipedia_url: match.pagename ? `https://liquipedia.net/${game}/${encodeURIComponent(match.pagename.replace(/ /g, '_'))}` : null
+                  type: 'lpdb_match'
+                }),
+                title: match.pagename || `${match.opponent1} vs ${match.opponent2}`
               };
             });
             
@@ -1519,10 +2400,10 @@ class LiquipediaService {
         }
       }
 
-      // Method 3: If still no matches, search for match-like pages
-      if (matches.length === 0) {
+      // Method 3: If still no matches, search for match-like pages other than the tournament page itself
+      if (matches.length === 0 && !subpagesOnly) {
         const searchTerms = tournamentName.split('/').pop(); // Get last part of tournament name
-        const searchData = await this.makeRequest(`https://liquipedia.net/${game}/api.php`, {
+        const searchData = await this.makeRequest(this.getApiUrl(game), {
           action: 'query',
           format: 'json',
           list: 'search',
@@ -1531,25 +2412,24 @@ class LiquipediaService {
           srlimit: 10
         });
 
-        const searchResults = searchData.query?.search || [];
+        const searchResults = (searchData.query?.search || []).filter(result => result.title !== tournamentName);
+        await this.getPageRevisions(searchResults.slice(0, 5).map(result => result.title), game);
         
         for (const result of searchResults.slice(0, 5)) {
           if (result.title.toLowerCase().includes(searchTerms.toLowerCase())) {
             try {
               const matchDetails = await this.fetchMatchDetails(result.title, game);
               if (matchDetails) {
-                matches.push({
-                  id: result.pageid,
-                  title: result.title,
-                  game: game,
+                matches.push(...this.toPageMatches(matchDetails, {
+                  pageid: result.pageid,
+                  page: result.title,
+                  game,
                   tournament: tournamentName,
-                  details: matchDetails,
-                  type: 'search_result',
-                  liquipedia_url: `https://liquipedia.net/${game}/${encodeURIComponent(result.title.replace(/ /g, '_'))}`
-                });
+                  type: 'search_result'
+                }));
               }
               
-              await new Promise(resolve => setTimeout(resolve, 3000));
+              await this.pause(3000);
             } catch (error) {
               logger.warn(`Failed to fetch search result details for ${result.title}`, error);
             }
@@ -1566,13 +2446,51 @@ class LiquipediaService {
     }
   }
 
+  // Position of a match on its page: match keys (M1, R1M2) restart in every bracket and matchlist
+  getMatchKey(match, index) {
+    if (!match.match_id) return String(index + 1);
+    return match.bracket_id ? `${match.bracket_id}-${match.match_id}` : match.match_id;
+  }
+
+  // Matches found on a match or subpage. Pages without match templates become one
+  // entry built from their team templates and {{score}}.
+  toPageMatches(matchDetails, { pageid, page, game, tournament, type }) {
+    const source = { page, game, tournament, type };
+
+    if (matchDetails.matches && matchDetails.matches.length > 0) {
+      return matchDetails.matches.map((match, index) => this.toTournamentMatch(match, {
+        ...source,
+        id: `${pageid}-${this.getMatchKey(match, index)}`
+      }));
+    }
+
+    const scores = (matchDetails.score || '').split('-');
+    const pageMatch = createMatch({
+      format: 'page',
+      opponents: matchDetails.teams.slice(0, 2).map((name, index) => createOpponent({
+        name,
+        score: scores.length === 2 ? this.toMatchScore(scores[index]) : null
+      })),
+      finished: scores.length === 2,
+      date: matchDetails.date
+    });
+
+    return [this.toTournamentMatch(pageMatch, { ...source, id: pageid })];
+  }
+
+  toMatchScore(value) {
+    const text = String(value === undefined || value === null ? '' : value).trim();
+    if (!text) return null;
+    return /^-?\d+$/.test(text) ? parseInt(text) : text;
+  }
+
   // Fetch tournament brackets (for ongoing tournaments)
   async fetchTournamentBrackets(tournamentName, game) {
     logger.info(`Fetching brackets for ongoing tournament: ${tournamentName}`);
     
     try {
       // Look for bracket subpages
-      const data = await this.makeRequest(`https://liquipedia.net/${game}/api.php`, {
+      const data = await this.makeRequest(this.getApiUrl(game), {
         action: 'query',
         format: 'json',
         list: 'search',
@@ -1583,6 +2501,7 @@ class LiquipediaService {
 
       const bracketPages = data.query?.search || [];
       const brackets = [];
+      await this.getPageRevisions(bracketPages.slice(0, 3).map(page => page.title), game);
       
       for (const bracketPage of bracketPages.slice(0, 3)) {
         try {
@@ -1595,7 +2514,7 @@ class LiquipediaService {
             });
           }
           
-          await new Promise(resolve => setTimeout(resolve, 3000));
+          await this.pause(3000);
         } catch (error) {
           logger.warn(`Failed to fetch bracket ${bracketPage.title}`, error);
         }
@@ -1608,46 +2527,38 @@ class LiquipediaService {
     }
   }
 
-  // Fetch tournament final results (for concluded tournaments)
-  async fetchTournamentFinalResults(tournamentName, game) {
-    logger.info(`Fetching final results for concluded tournament: ${tournamentName}`);
+  // Fetch tournament final results (for concluded tournaments): the placement rows
+  // stored from the tournament page's prize pool table
+  async fetchTournamentFinalResults(tournament, game) {
+    logger.info(`Fetching final results for concluded tournament: ${tournament.found_name}`);
     
     try {
-      // Look for results/standings pages
-      const data = await this.makeRequest(`https://liquipedia.net/${game}/api.php`, {
-        action: 'query',
-        format: 'json',
-        list: 'search',
-        srsearch: `"${tournamentName}" AND (results OR standings OR final OR winner)`,
-        srnamespace: 0,
-        srlimit: 10
-      });
+      const standings = await this.databaseService.getTournamentStandings(game, tournament.found_name);
+      if (standings.length > 0) {
+        return standings;
+      }
+    } catch (error) {
+      logger.warn(`Failed to load standings for ${tournament.found_name}: ${error.message}`);
+    }
 
-      const resultPages = data.query?.search || [];
-      const results = [];
-      
-      for (const resultPage of resultPages.slice(0, 3)) {
-        try {
-          const resultData = await this.fetchMatchDetails(resultPage.title, game);
-          if (resultData) {
-            results.push({
-              title: resultPage.title,
-              data: resultData,
-              type: 'final_results'
-            });
-          }
-          
-          await new Promise(resolve => setTimeout(resolve, 3000));
-        } catch (error) {
-          logger.warn(`Failed to fetch results ${resultPage.title}`, error);
-        }
+    return tournament.parsed_data.results || [];
+  }
+
+  // Battle royale lobbies and cumulative standings, from the stored result rows when available
+  async fetchBattleRoyaleStandings(tournament, game) {
+    logger.info(`Fetching battle royale standings for ${tournament.found_name}`);
+
+    try {
+      const results = await this.databaseService.getBattleRoyaleResults(game, tournament.found_name);
+      if (results.length > 0) {
+        return summarizeBattleRoyale(results);
       }
-      
-      return results;
     } catch (error) {
-      logger.error(`Failed to fetch tournament results for ${tournamentName}`, error);
-      return [];
+      logger.warn(`Failed to load battle royale results for ${tournament.found_name}: ${error.message}`);
     }
+
+    const parsed = tournament.parsed_data.battle_royale;
+    return parsed ? summarizeBattleRoyale(parsed.results) : null;
   }
 
   // Fetch players from tournament teams
@@ -1655,23 +2566,22 @@ class LiquipediaService {
     logger.info(`Fetching players from ${teams.length} tournament teams`);
     
     const players = [];
+    const rosters = teams.slice(0, 8) // Limit teams to prevent rate limiting
+      .filter(team => team.roster && team.roster.length > 0)
+      .map(team => ({ team, playerNames: team.roster.slice(0, 5) })); // Limit players per team
+
+    // All roster pages come back in one or two batched requests
+    const playerDetails = await this.fetchPlayerDetailsBatch(rosters.flatMap(entry => entry.playerNames), game);
     
-    for (const team of teams.slice(0, 8)) { // Limit teams to prevent rate limiting
-      if (team.roster && team.roster.length > 0) {
-        for (const playerName of team.roster.slice(0, 5)) { // Limit players per team
-          try {
-            const playerData = await this.fetchPlayerDetails(playerName, game);
-            if (playerData) {
-              players.push({
-                ...playerData,
-                current_team: team.name
-              });
-            }
-            
-            await new Promise(resolve => setTimeout(resolve, 2000));
-          } catch (error) {
-            logger.warn(`Failed to fetch player details for ${playerName}`, error);
-          }
+    for (const { team, playerNames } of rosters) {
+      for (const playerName of playerNames) {
+        if (playerDetails[playerName]) {
+          players.push({
+            ...playerDetails[playerName],
+            current_team: team.name
+          });
+        } else {
+          logger.warn(`No player page found for ${playerName}`);
         }
       }
     }
@@ -1682,40 +2592,55 @@ class LiquipediaService {
   // Fetch player details by name
   async fetchPlayerDetails(playerName, game) {
     try {
-      const data = await this.makeRequest(`https://liquipedia.net/${game}/api.php`, {
-        action: 'parse',
-        format: 'json',
-        page: playerName,
-        prop: 'wikitext|categories'
-      }, 0, 'intensive');
-
-      if (data.parse && data.parse.wikitext) {
-        const wikitext = data.parse.wikitext['*'];
-        const categories = data.parse.categories || [];
-        
-        return {
-          id: playerName.replace(/ /g, '_'),
-          name: playerName,
-          game: game,
-          status: this.determinePlayerStatus(categories),
-          nationality: this.extractPlayerNationality(wikitext),
-          role: this.extractPlayerRole(wikitext),
-          liquipedia_url: `https://liquipedia.net/${game}/${encodeURIComponent(playerName.replace(/ /g, '_'))}`
-        };
-      }
-      
-      return null;
+      return await this.fetchParsedPage(playerName, game, 'player', 'wikitext|categories', parse => {
+        if (!parse.wikitext) return null;
+        return this.buildPlayerDetails(playerName, game, parse.wikitext['*'], parse.categories || [], parse.pageid);
+      });
     } catch (error) {
       logger.error(`Failed to fetch player details for ${playerName}`, error);
       return null;
     }
   }
 
+  // Fetch details for many players with a single batched wikitext request
+  async fetchPlayerDetailsBatch(playerNames, game) {
+    return this.fetchDetailsBatch(playerNames, game, 'player', (playerName, wikitext, categories, pageid) =>
+      this.buildPlayerDetails(playerName, game, wikitext, categories, pageid)
+    );
+  }
+
+  buildPlayerDetails(playerName, game, wikitext, categories, pageid = null) {
+    const nodes = parseWikitext(wikitext);
+    const profile = this.getProfile(game);
+    const infobox = profile.transformPlayer(parsePlayerInfobox(nodes, {
+      fields: profile.infobox.player,
+      signature: profile.signature
+    }));
+    return {
+      id: playerName.replace(/ /g, '_'),
+      pageid: pageid || null,
+      name: playerName,
+      game: game,
+      status: infobox.status ? infobox.status.toLowerCase() : this.determinePlayerStatus(categories),
+      nationality: this.extractPlayerNationality(nodes),
+      role: this.extractPlayerRole(nodes),
+      real_name: infobox.real_name,
+      romanized_name: infobox.romanized_name,
+      birth_date: infobox.birth_date,
+      countries: infobox.countries,
+      current_team: infobox.current_team,
+      signature: infobox.signature,
+      team_history: infobox.team_history,
+      game_fields: infobox.game_fields,
+      aliases: this.collectAliases(playerName, [infobox.handle, ...infobox.alternate_ids]),
+      liquipedia_url: this.getPageUrl(game, playerName)
+    };
+  }
+
   // Extract player nationality from wikitext
   extractPlayerNationality(wikitext) {
     try {
-      const nationalityMatch = wikitext.match(/\|\s*nationality\s*=\s*([^\n|]+)/i);
-      return nationalityMatch ? nationalityMatch[1].trim() : null;
+      return this.getInfoboxField(wikitext, ['nationality', 'country']);
     } catch (error) {
       return null;
     }
@@ -1724,8 +2649,7 @@ class LiquipediaService {
   // Extract player role from wikitext
   extractPlayerRole(wikitext) {
     try {
-      const roleMatch = wikitext.match(/\|\s*role\s*=\s*([^\n|]+)/i);
-      return roleMatch ? roleMatch[1].trim() : null;
+      return this.getInfoboxField(wikitext, ['role', 'position']);
     } catch (error) {
       return null;
     }
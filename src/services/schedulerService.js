@@ -16,9 +16,9 @@ const logger = winston.createLogger({
 });
 
 class SchedulerService {
-  constructor() {
-    this.liquipediaService = new LiquipediaService();
-    this.databaseService = new DatabaseService();
+  constructor(options = {}) {
+    this.databaseService = options.databaseService || new DatabaseService();
+    this.liquipediaService = new LiquipediaService({ databaseService: this.databaseService });
     this.isRunning = {
       teams: false,
       players: false,
@@ -30,6 +30,11 @@ class SchedulerService {
     };
   }
 
+  // Run Liquipedia calls in a priority lane so interactive API lookups are served first
+  runInLane(lane, syncType, fn) {
+    return this.liquipediaService.runWithRequestOptions({ lane, caller: `scheduler:${syncType}` }, fn);
+  }
+
   // Sync teams data
   async syncTeams() {
     if (this.isRunning.teams) {
@@ -45,7 +50,7 @@ class SchedulerService {
       let totalProcessed = 0;
 
       for (const game of games) {
-        const teams = await this.liquipediaService.fetchTeams(game);
+        const teams = await this.runInLane('scheduled', 'teams', () => this.liquipediaService.fetchTeams(game));
         if (teams.length > 0) {
           const processed = await this.databaseService.upsertTeams(teams);
           totalProcessed += processed;
@@ -77,7 +82,7 @@ class SchedulerService {
       let totalProcessed = 0;
 
       for (const game of games) {
-        const players = await this.liquipediaService.fetchPlayers(game);
+        const players = await this.runInLane('scheduled', 'players', () => this.liquipediaService.fetchPlayers(game));
         if (players.length > 0) {
           const processed = await this.databaseService.upsertPlayers(players);
           totalProcessed += processed;
@@ -109,7 +114,7 @@ class SchedulerService {
       let totalProcessed = 0;
 
       for (const game of games) {
-        const matches = await this.liquipediaService.fetchRecentMatches(game, 200); // Increased limit
+        const matches = await this.runInLane('scheduled', 'matches', () => this.liquipediaService.fetchRecentMatches(game, 200)); // Increased limit
         if (matches.length > 0) {
           const processed = await this.databaseService.upsertMatches(matches);
           totalProcessed += processed;
@@ -141,7 +146,7 @@ class SchedulerService {
       let totalProcessed = 0;
 
       for (const game of games) {
-        const tournaments = await this.liquipediaService.fetchTournaments(game);
+        const tournaments = await this.runInLane('scheduled', 'tournaments', () => this.liquipediaService.fetchTournaments(game));
         if (tournaments.length > 0) {
           const processed = await this.databaseService.upsertTournaments(tournaments);
           totalProcessed += processed;
@@ -173,7 +178,7 @@ class SchedulerService {
       let totalProcessed = 0;
 
       for (const game of games) {
-        const matches = await this.liquipediaService.fetchRecentMatchesDetailed(game, 5);
+        const matches = await this.runInLane('backfill', 'detailedMatches', () => this.liquipediaService.fetchRecentMatchesDetailed(game, 5));
         if (matches.length > 0) {
           const processed = await this.databaseService.upsertMatches(matches);
           totalProcessed += processed;
@@ -207,7 +212,7 @@ class SchedulerService {
       let totalProcessed = 0;
 
       for (const game of games) {
-        const tournaments = await this.liquipediaService.fetchTournamentResults(game, 3);
+        const tournaments = await this.runInLane('backfill', 'tournamentResults', () => this.liquipediaService.fetchTournamentResults(game, 3));
         if (tournaments.length > 0) {
           const processed = await this.databaseService.upsertTournaments(tournaments);
           totalProcessed += processed;
@@ -0,0 +1,52 @@
+const winston = require('winston');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({ filename: 'logs/combined.log' }),
+    new winston.transports.Console({
+      format: winston.format.simple()
+    })
+  ]
+});
+
+// Cross-process rate limiting: every process reserves its next request slot in the
+// rate_limit_buckets table, so replicas and workers together respect Liquipedia's limits.
+// The in-process Bottleneck limiters still serialize requests within one process.
+class SharedRateLimiter {
+  constructor(databaseService) {
+    this.databaseService = databaseService;
+    this.enabled = process.env.LIQUIPEDIA_SHARED_RATE_LIMIT !== 'false';
+    this.lastFailureLoggedAt = 0;
+  }
+
+  // Wait until this process owns the next slot of the operation type's bucket for the wiki
+  async acquire(operationType, wiki, intervalMs) {
+    if (!this.enabled) return 0;
+
+    const bucket = `${operationType}:${wiki}`;
+
+    try {
+      const waitMs = await this.databaseService.reserveRateLimitSlot(bucket, intervalMs);
+      if (waitMs > 0) {
+        logger.info(`Waiting ${waitMs}ms for shared ${bucket} rate limit slot`);
+        await new Promise(resolve => setTimeout(resolve, waitMs));
+      }
+      return waitMs;
+    } catch (error) {
+      // Fall back to the local limiter alone rather than blocking all traffic
+      if (Date.now() - this.lastFailureLoggedAt > 60000) {
+        logger.warn(`Shared rate limit unavailable, using local limiter only: ${error.message}`);
+        this.lastFailureLoggedAt = Date.now();
+      }
+      return 0;
+    }
+  }
+}
+
+module.exports = SharedRateLimiter;
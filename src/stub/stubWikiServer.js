@@ -0,0 +1,315 @@
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const winston = require('winston');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console()
+  ]
+});
+
+// Local stand-in for liquipedia.net: serves the subset of the MediaWiki/Cargo API the
+// service uses from canned JSON (one file per wiki in ./data). Point the service at it with
+// LIQUIPEDIA_API_BASE_URL=http://localhost:4000
+const DEFAULT_DATA_DIR = path.join(__dirname, 'data');
+
+function loadWikiData(dataDir) {
+  const wikis = {};
+
+  for (const file of fs.readdirSync(dataDir)) {
+    if (!file.endsWith('.json')) continue;
+    const wiki = path.basename(file, '.json');
+    const data = JSON.parse(fs.readFileSync(path.join(dataDir, file), 'utf8'));
+    wikis[wiki] = {
+      pages: data.pages || {},
+      redirects: data.redirects || {},
+      recentchanges: data.recentchanges || [],
+      cargo: data.cargo || {}
+    };
+  }
+
+  return wikis;
+}
+
+function normalizeTitle(title) {
+  const text = String(title).replace(/_/g, ' ').trim();
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+function apiError(code, info) {
+  return { error: { code, info } };
+}
+
+// Resolve requested titles the way MediaWiki does: normalization, then redirects
+function resolveTitles(wikiData, titles, followRedirects) {
+  const normalized = [];
+  const redirects = [];
+  const resolved = [];
+
+  for (const title of titles) {
+    let current = normalizeTitle(title);
+    if (current !== title) normalized.push({ from: title, to: current });
+
+    if (followRedirects && wikiData.redirects[current]) {
+      redirects.push({ from: current, to: wikiData.redirects[current] });
+      current = wikiData.redirects[current];
+    }
+
+    resolved.push(current);
+  }
+
+  return { normalized, redirects, resolved };
+}
+
+function handleParse(wikiData, params) {
+  let title = normalizeTitle(params.page || '');
+  if (params.redirects && wikiData.redirects[title]) {
+    title = wikiData.redirects[title];
+  }
+
+  const page = wikiData.pages[title];
+  if (!page) {
+    return apiError('missingtitle', "The page you specified doesn't exist.");
+  }
+
+  const props = String(params.prop || 'text').split('|');
+  const parse = { title, pageid: page.pageid, revid: page.revid };
+
+  if (props.includes('wikitext')) parse.wikitext = { '*': page.wikitext || '' };
+  if (props.includes('text')) parse.text = { '*': page.html || '' };
+  if (props.includes('categories')) {
+    parse.categories = (page.categories || []).map(category => ({ sortkey: '', '*': category.replace(/ /g, '_') }));
+  }
+
+  return { parse };
+}
+
+function handleQueryProps(wikiData, params) {
+  const titles = String(params.titles || '').split('|').filter(title => title);
+  const { normalized, redirects, resolved } = resolveTitles(wikiData, titles, !!params.redirects);
+  const props = String(params.prop || '').split('|');
+  const pages = {};
+  let missingId = -1;
+
+  for (const title of new Set(resolved)) {
+    const page = wikiData.pages[title];
+    if (!page) {
+      pages[missingId] = { ns: 0, title, missing: '' };
+      missingId--;
+      continue;
+    }
+
+    const result = { pageid: page.pageid, ns: 0, title };
+
+    if (props.includes('info')) {
+      result.lastrevid = page.revid;
+      result.touched = page.touched;
+      result.length = (page.wikitext || '').length;
+    }
+    if (props.includes('revisions')) {
+      result.revisions = [{
+        revid: page.revid,
+        slots: { main: { contentmodel: 'wikitext', contentformat: 'text/x-wiki', '*': page.wikitext || '' } }
+      }];
+    }
+    if (props.includes('categories') && page.categories) {
+      result.categories = page.categories.map(category => ({ ns: 14, title: `Category:${category}` }));
+    }
+
+    pages[page.pageid] = result;
+  }
+
+  const query = { pages };
+  if (normalized.length > 0) query.normalized = normalized;
+  if (redirects.length > 0) query.redirects = redirects;
+  return { batchcomplete: '', query };
+}
+
+function handleQueryLists(wikiData, params) {
+  const limit = parseInt(params.aplimit || params.srlimit || params.rclimit || params.cmlimit) || 10;
+  const entries = Object.entries(wikiData.pages);
+
+  switch (params.list) {
+    case 'allpages': {
+      const prefix = normalizeTitle(params.apprefix || '');
+      const allpages = entries
+        .filter(([title]) => title.startsWith(prefix))
+        .sort(([a], [b]) => a.localeCompare(b))
+        .slice(0, limit)
+        .map(([title, page]) => ({ pageid: page.pageid, ns: 0, title }));
+      return { batchcomplete: '', query: { allpages } };
+    }
+    case 'search': {
+      // Titles sharing any word with the search text, ranked by how many they share
+      const terms = String(params.srsearch || '')
+        .toLowerCase()
+        .replace(/[^a-z0-9 ]/g, ' ')
+        .split(/\s+/)
+        .filter(term => term.length > 2 && !['and', 'or'].includes(term));
+      const search = entries
+        .map(([title, page]) => ({
+          title,
+          page,
+          score: terms.filter(term => title.toLowerCase().includes(term)).length
+        }))
+        .filter(result => result.score > 0)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit)
+        .map(({ title, page }) => ({ ns: 0, title, pageid: page.pageid, snippet: '' }));
+      return { batchcomplete: '', query: { searchinfo: { totalhits: search.length }, search } };
+    }
+    case 'prefixsearch': {
+      // Case-insensitive title prefix, redirects included (as MediaWiki does)
+      const prefix = String(params.pssearch || '').toLowerCase();
+      const limitPrefix = parseInt(params.pslimit) || 10;
+      const prefixsearch = [...Object.keys(wikiData.pages), ...Object.keys(wikiData.redirects)]
+        .filter(title => title.toLowerCase().startsWith(prefix))
+        .sort((a, b) => a.localeCompare(b))
+        .slice(0, limitPrefix)
+        .map(title => ({ ns: 0, title, pageid: (wikiData.pages[title] || {}).pageid || 0 }));
+      return { batchcomplete: '', query: { prefixsearch } };
+    }
+    case 'recentchanges':
+      return { batchcomplete: '', query: { recentchanges: wikiData.recentchanges.slice(0, limit) } };
+    case 'categorymembers': {
+      const category = String(params.cmtitle || '').replace(/^Category:/, '').replace(/_/g, ' ');
+      const categorymembers = entries
+        .filter(([, page]) => (page.categories || []).includes(category))
+        .slice(0, limit)
+        .map(([title, page]) => ({ pageid: page.pageid, ns: 0, title }));
+      return { batchcomplete: '', query: { categorymembers } };
+    }
+    default:
+      return apiError('badvalue', `Unrecognized value for parameter "list": ${params.list}`);
+  }
+}
+
+// OpenSearch: [search, titles, descriptions, urls] for titles starting with the search text;
+// redirects=resolve returns their targets instead
+function handleOpenSearch(wikiData, params) {
+  const search = String(params.search || '');
+  const limit = parseInt(params.limit) || 10;
+  const resolve = params.redirects === 'resolve';
+
+  const titles = [...Object.keys(wikiData.pages), ...Object.keys(wikiData.redirects)]
+    .filter(title => title.toLowerCase().startsWith(search.toLowerCase()))
+    .map(title => (resolve && wikiData.redirects[title]) || title)
+    .filter((title, index, all) => all.indexOf(title) === index)
+    .sort((a, b) => a.localeCompare(b))
+    .slice(0, limit);
+
+  return [search, titles, titles.map(() => ''), titles.map(title => `https://liquipedia.net/${encodeURIComponent(title.replace(/ /g, '_'))}`)];
+}
+
+// Minimal Cargo: equality, IS NOT NULL and AND-ed conditions, ORDER BY one field
+function handleCargoQuery(wikiData, params) {
+  const table = params.tables;
+  const rows = wikiData.cargo[table];
+  if (!rows) {
+    return apiError('internal_api_error_MWException', `Table "${table}" does not exist.`);
+  }
+
+  const fields = String(params.fields || '')
+    .split(',')
+    .map(field => field.trim().replace(`${table}.`, ''))
+    .filter(field => field);
+
+  const conditions = String(params.where || '')
+    .split(/\s+AND\s+/i)
+    .map(condition => condition.trim())
+    .filter(condition => condition);
+
+  let matches = rows.filter(row => conditions.every(condition => {
+    const notNull = condition.match(/^(?:\w+\.)?(\w+)\s+IS NOT NULL$/i);
+    if (notNull) return row[notNull[1]] !== undefined && row[notNull[1]] !== null;
+
+    const equals = condition.match(/^(?:\w+\.)?(\w+)\s*=\s*["'](.*)["']$/);
+    if (equals) return String(row[equals[1]]) === equals[2].replace(/''/g, "'");
+
+    return true;
+  }));
+
+  if (params.order_by) {
+    const [field, direction] = params.order_by.replace(`${table}.`, '').split(/\s+/);
+    matches = [...matches].sort((a, b) => String(a[field]).localeCompare(String(b[field])));
+    if (direction && direction.toUpperCase() === 'DESC') matches.reverse();
+  }
+
+  const limit = parseInt(params.limit) || 50;
+  const cargoquery = matches.slice(0, limit).map(row => ({
+    title: Object.fromEntries(fields.map(field => [field, row[field]]))
+  }));
+
+  return { cargoquery };
+}
+
+// Semantic MediaWiki askargs: only [[Category:X]] conditions are understood
+function handleAskArgs(wikiData, params) {
+  const categories = [...String(params.conditions || '').matchAll(/\[\[Category:([^\]]+)\]\]/g)]
+    .map(match => match[1].replace(/_/g, ' '));
+  const limitMatch = String(params.parameters || '').match(/limit=(\d+)/);
+  const limit = limitMatch ? parseInt(limitMatch[1]) : 50;
+
+  const results = {};
+  for (const [title, page] of Object.entries(wikiData.pages)) {
+    if (Object.keys(results).length >= limit) break;
+    if (categories.every(category => (page.categories || []).includes(category))) {
+      results[title] = { printouts: {}, fulltext: title, fullurl: '', namespace: 0, exists: '1' };
+    }
+  }
+
+  return { query: { printrequests: [], results, meta: { count: Object.keys(results).length } } };
+}
+
+function createStubWikiServer(dataDir = DEFAULT_DATA_DIR) {
+  const wikis = loadWikiData(dataDir);
+  const app = express();
+
+  app.get('/:wiki/api.php', (req, res) => {
+    const wikiData = wikis[req.params.wiki];
+    if (!wikiData) {
+      res.status(404).json(apiError('nosuchwiki', `No stub data for wiki ${req.params.wiki}`));
+      return;
+    }
+
+    const params = req.query;
+    logger.info(`Stub wiki ${req.params.wiki}: action=${params.action}`);
+
+    switch (params.action) {
+      case 'parse':
+        res.json(handleParse(wikiData, params));
+        break;
+      case 'query':
+        res.json(params.list ? handleQueryLists(wikiData, params) : handleQueryProps(wikiData, params));
+        break;
+      case 'opensearch':
+        res.json(handleOpenSearch(wikiData, params));
+        break;
+      case 'cargoquery':
+        res.json(handleCargoQuery(wikiData, params));
+        break;
+      case 'askargs':
+        res.json(handleAskArgs(wikiData, params));
+        break;
+      default:
+        res.json(apiError('badvalue', `Unrecognized value for parameter "action": ${params.action}`));
+    }
+  });
+
+  return app;
+}
+
+if (require.main === module) {
+  const port = process.env.STUB_WIKI_PORT || 4000;
+  createStubWikiServer(process.env.STUB_WIKI_DATA_DIR || DEFAULT_DATA_DIR).listen(port, () => {
+    logger.info(`Stub Liquipedia wiki running on port ${port} (LIQUIPEDIA_API_BASE_URL=http://localhost:${port})`);
+  });
+}
+
+module.exports = { createStubWikiServer };
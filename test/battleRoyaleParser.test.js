@@ -0,0 +1,66 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseWikitext } = require('../src/parsers/wikitextParser');
+const { parseMatches } = require('../src/parsers/matchParser');
+const { parseBattleRoyale } = require('../src/parsers/battleRoyaleParser');
+
+function opponent(name, games) {
+  const results = games.map(([placement, kills], index) => `|m${index + 1}={{Result|placement=${placement}|kills=${kills}}}`);
+  return `{{TeamOpponent|${name}${results.join('')}}}`;
+}
+
+const PAGE = `{{Matchlist|id=FinalsDays
+|M1header=Day 1 - Lobby A
+|M1={{Match|map1={{Map|map=Erangel}}|map2={{Map|map=Miramar}}
+  |opponent1=${opponent('Team Alpha', [[1, 10], [3, 2]])}
+  |opponent2=${opponent('Team Bravo', [[2, 5], [1, 8]])}
+  |opponent3=${opponent('Team Charlie', [[3, 0], [2, 4]])}
+}}
+|M2header=Day 2 - Lobby A
+|M2={{Match|placementpoints=15,12,10|killpoints=2|map1={{Map|map=Sanhok}}
+  |opponent1=${opponent('Team Alpha', [[2, 1]])}
+  |opponent2=${opponent('Team Bravo', [[3, 0]])}
+  |opponent3=${opponent('Team Charlie', [[1, 6]])}
+}}
+}}`;
+
+test('battle royale rows carry placement and kill points per game', () => {
+  const { results } = parseBattleRoyale(parseWikitext(PAGE));
+
+  assert.equal(results.length, 9);
+  assert.deepEqual(results.filter(row => row.opponent_name === 'Team Alpha').map(row => [
+    row.day, row.lobby, row.game_number, row.map, row.placement, row.kills, row.placement_points, row.kill_points, row.points
+  ]), [
+    [1, 'A', 1, 'Erangel', 1, 10, 10, 10, 20],
+    [1, 'A', 2, 'Miramar', 3, 2, 5, 2, 7],
+    [2, 'A', 1, 'Sanhok', 2, 1, 12, 2, 14]
+  ]);
+});
+
+test('battle royale standings sum points over lobbies', () => {
+  const { lobbies, standings } = parseBattleRoyale(parseWikitext(PAGE));
+
+  assert.deepEqual(lobbies.map(lobby => [lobby.match_id, lobby.header, lobby.games.map(game => game.map)]), [
+    ['M1', 'Day 1 - Lobby A', ['Erangel', 'Miramar']],
+    ['M2', 'Day 2 - Lobby A', ['Sanhok']]
+  ]);
+  assert.deepEqual(lobbies[0].standings.map(total => [total.rank, total.opponent_name, total.points]), [
+    [1, 'Team Bravo', 29],
+    [2, 'Team Alpha', 27],
+    [3, 'Team Charlie', 15]
+  ]);
+
+  // Day 2 uses the match's own scoring: 15/12/10 and 2 per kill
+  assert.deepEqual(standings.map(total => [total.rank, total.opponent_name, total.games, total.wins, total.kills, total.placement_points, total.points]), [
+    [1, 'Team Charlie', 3, 1, 10, 26, 42],
+    [2, 'Team Alpha', 3, 1, 13, 27, 41],
+    [3, 'Team Bravo', 3, 1, 13, 26, 39]
+  ]);
+});
+
+test('pages without FFA lobbies have no battle royale results, and lobbies are not matches', () => {
+  const nodes = parseWikitext(PAGE);
+  assert.deepEqual(parseMatches(nodes), []);
+  assert.equal(parseBattleRoyale(parseWikitext('{{Matchlist|M1={{Match|opponent1={{TeamOpponent|A}}|opponent2={{TeamOpponent|B}}}}}}')), null);
+});
@@ -0,0 +1,62 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseDate, getEventStatus, toDateOnly } = require('../src/parsers/dateParser');
+
+function timestamp(text) {
+  const date = parseDate(text);
+  return date ? date.timestamp : null;
+}
+
+test('timezone abbreviations and offsets are converted to UTC', () => {
+  assert.equal(timestamp('June 10, 2025 - 15:00 {{Abbr/CEST}}'), '2025-06-10T13:00:00.000Z');
+  assert.equal(timestamp('2025-06-10 - 15:00 KST'), '2025-06-10T06:00:00.000Z');
+  assert.equal(timestamp('June 10, 2025 - 15:00 UTC+8'), '2025-06-10T07:00:00.000Z');
+  assert.equal(timestamp('2025-06-10T15:00:00+02:00'), '2025-06-10T13:00:00.000Z');
+  assert.equal(timestamp('June 10, 2025 - 15:00'), '2025-06-10T15:00:00.000Z');
+});
+
+test('12-hour times are read with their AM/PM', () => {
+  assert.equal(timestamp('June 10, 2025 - 3:00 PM {{Abbr/CEST}}'), '2025-06-10T13:00:00.000Z');
+  assert.equal(timestamp('June 10, 2025 - 3:00 AM'), '2025-06-10T03:00:00.000Z');
+  assert.equal(timestamp('June 10, 2025 - 12:30 am'), '2025-06-10T00:30:00.000Z');
+  assert.equal(timestamp('June 10, 2025 - 12:00 p.m. UTC'), '2025-06-10T12:00:00.000Z');
+  assert.equal(timestamp('June 10, 2025 - 3pm EDT'), '2025-06-10T19:00:00.000Z');
+});
+
+test('ambiguous timezone abbreviations give no timestamp', () => {
+  assert.deepEqual(parseDate('June 10, 2025 - 15:00 {{Abbr/CST}}'), {
+    raw: 'June 10, 2025 - 15:00 {{Abbr/CST}}',
+    timestamp: null,
+    timezone: 'CST',
+    precision: null
+  });
+  assert.equal(timestamp('June 10, 2025 - 15:00 AST'), null);
+  assert.equal(timestamp('June 10, 2025 - 15:00 CDT'), '2025-06-10T20:00:00.000Z');
+});
+
+test('partial dates keep their precision', () => {
+  assert.deepEqual(parseDate('2025-06-??'), { raw: '2025-06-??', timestamp: '2025-06-01T00:00:00.000Z', timezone: null, precision: 'month' });
+  assert.equal(parseDate('2025-??-??').precision, 'year');
+  assert.equal(parseDate('June 2025').timestamp, '2025-06-01T00:00:00.000Z');
+  assert.equal(parseDate('10 June 2025').precision, 'day');
+  assert.equal(parseDate('TBA').timestamp, null);
+  assert.equal(parseDate(''), null);
+});
+
+test('days past the end of the month are not dates', () => {
+  assert.equal(timestamp('2025-02-30'), null);
+  assert.equal(timestamp('February 30, 2025 - 15:00 UTC'), null);
+  assert.equal(timestamp('2025-04-31'), null);
+  assert.equal(timestamp('2024-02-29'), '2024-02-29T00:00:00.000Z');
+  assert.equal(toDateOnly('2025-02-30'), null);
+  assert.equal(toDateOnly('June 10, 2025 - 15:00 CEST'), '2025-06-10');
+});
+
+test('event status counts a partial end date until its period is over', () => {
+  const now = new Date('2025-06-15T00:00:00Z');
+  assert.equal(getEventStatus('2025-07-01', '2025-07-10', now), 'upcoming');
+  assert.equal(getEventStatus('2025-06-01', '2025-06-??', now), 'ongoing');
+  assert.equal(getEventStatus('2025-05-01', '2025-05-??', now), 'concluded');
+  assert.equal(getEventStatus(null, null, now), 'unknown');
+});
@@ -0,0 +1,63 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseWikitext } = require('../src/parsers/wikitextParser');
+const { parseMatches } = require('../src/parsers/matchParser');
+const { parseGroupTables } = require('../src/parsers/groupTableParser');
+
+function parse(text) {
+  const nodes = parseWikitext(text);
+  return parseGroupTables(nodes, parseMatches(nodes));
+}
+
+function match(team1, score1, team2, score2) {
+  return `{{Match|finished=true|opponent1={{TeamOpponent|${team1}|score=${score1}}}|opponent2={{TeamOpponent|${team2}|score=${score2}}}}}`;
+}
+
+test('hand-written group tables keep their rows and bg statuses', () => {
+  const [group] = parse(`{{GroupTableStart|Group A}}
+{{GroupTableSlot|{{team|Team Alpha}}|place=1|win_m=3|lose_m=0|win_g=6|lose_g=1|pts=9|bg=up}}
+{{GroupTableSlot|{{team|Team Bravo}}|place=2|win_m=2|lose_m=1|win_g=4|lose_g=3|pts=6|bg=stayup}}
+{{GroupTableSlot|{{team|Team Charlie}}|place=3|win_m=1|lose_m=2|win_g=3|lose_g=4|pts=3|bg=stay down}}
+{{GroupTableSlot|{{team|Team Delta}}|place=4|win_m=0|lose_m=3|win_g=0|lose_g=6|pts=0|bg=down}}
+{{GroupTableEnd}}`);
+
+  assert.equal(group.name, 'Group A');
+  assert.equal(group.type, 'slots');
+  assert.deepEqual(group.entries.map(entry => [entry.rank, entry.opponent.name, entry.match_wins, entry.match_losses, entry.points, entry.bg, entry.status]), [
+    [1, 'Team Alpha', 3, 0, 9, 'up', 'qualified'],
+    [2, 'Team Bravo', 2, 1, 6, 'stayup', 'qualified'],
+    [3, 'Team Charlie', 1, 2, 3, 'stay down', 'eliminated'],
+    [4, 'Team Delta', 0, 3, 0, 'down', 'eliminated']
+  ]);
+});
+
+test('league tables are computed from their matches and take bg by rank', () => {
+  const [group] = parse(`{{GroupTableLeague|title=Group B|win_p=3|tie_p=1|lose_p=0
+|opponent1={{TeamOpponent|Team Alpha}}|opponent2={{TeamOpponent|Team Bravo}}|opponent3={{TeamOpponent|Team Charlie}}
+|pbg1=up|pbg2=up|pbg3=down
+|matchGroupId1=GroupBMatches}}
+{{Matchlist|id=GroupBMatches
+|M1=${match('Team Alpha', 1, 'Team Bravo', 2)}
+|M2=${match('Team Charlie', 0, 'Team Bravo', 2)}
+|M3=${match('Team Alpha', 1, 'Team Charlie', 1)}
+}}
+{{Matchlist|id=Elsewhere
+|M1=${match('Team Charlie', 2, 'Team Alpha', 0)}
+}}`);
+
+  assert.equal(group.name, 'Group B');
+  assert.equal(group.type, 'league');
+  assert.deepEqual(group.entries.map(entry => [
+    entry.rank, entry.opponent.name, entry.match_wins, entry.match_draws, entry.match_losses,
+    entry.map_wins, entry.map_losses, entry.points, entry.status
+  ]), [
+    [1, 'Team Bravo', 2, 0, 0, 4, 1, 6, 'qualified'],
+    [2, 'Team Alpha', 0, 1, 1, 2, 3, 1, 'qualified'],
+    [3, 'Team Charlie', 0, 1, 1, 1, 3, 1, 'eliminated']
+  ]);
+});
+
+test('Swiss tables are not group tables', () => {
+  assert.deepEqual(parse('{{GroupTableLeague|type=swiss|opponent1={{TeamOpponent|Team Alpha}}}}'), []);
+});
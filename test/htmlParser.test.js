@@ -0,0 +1,95 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { createMatch, createOpponent } = require('../src/parsers/matchParser');
+const { parseRenderedPage, mergeRenderedData } = require('../src/parsers/htmlParser');
+
+const HTML = fs.readFileSync(path.join(__dirname, 'fixtures', 'html', 'tournament.html'), 'utf8');
+
+function wikitextMatch(names, fields = {}) {
+  return createMatch({
+    format: 'match2',
+    opponents: names.map(name => createOpponent({ name })),
+    ...fields
+  });
+}
+
+test('bracket rounds follow the nesting depth of their matches', () => {
+  const { matches } = parseRenderedPage(HTML);
+
+  assert.deepEqual(matches.map(match => [match.bracket_id, match.round, match.header]), [
+    ['PlayoffsBracket', 'Round 1', 'Semifinals'],
+    ['PlayoffsBracket', 'Round 1', 'Semifinals'],
+    ['PlayoffsBracket', 'Round 2', 'Grand Final']
+  ]);
+});
+
+test('bracket matches read opponents, scores, winners and the popup timer', () => {
+  const [semifinal, , final] = parseRenderedPage(HTML).matches;
+
+  assert.deepEqual(semifinal.opponents.map(opponent => [opponent.name, opponent.score]), [['Team Alpha', 2], ['Team Bravo', 1]]);
+  assert.equal(semifinal.winner_index, 1);
+  assert.equal(semifinal.status, 'completed');
+  assert.equal(semifinal.date.timestamp, '2025-03-08T16:00:00.000Z');
+  assert.equal(semifinal.date.timezone, 'CET');
+
+  assert.equal(final.winner, 'Team Delta');
+  assert.equal(final.date, null);
+});
+
+test('prize pool tables carry shared places over to the following rows', () => {
+  const { results, participants } = parseRenderedPage(HTML);
+
+  assert.deepEqual(results.map(row => [row.place, row.place_start, row.place_end, row.opponent_name, row.prize_usd, row.prize_local, row.local_currency]), [
+    ['1', 1, 1, 'Team Delta', 50000, 45000, 'EUR'],
+    ['2', 2, 2, 'Team Alpha', 25000, 22500, 'EUR'],
+    ['3-4', 3, 4, 'Team Bravo', 10000, 9000, 'EUR'],
+    ['3-4', 3, 4, 'Team Charlie', 10000, 9000, 'EUR']
+  ]);
+  assert.deepEqual(participants, ['Team Alpha', 'Team Bravo', 'Team Charlie', 'Team Delta']);
+});
+
+test('merging fills a swapped wikitext match with the rendered winner and scores', () => {
+  const rendered = parseRenderedPage(HTML);
+  const parsed = {
+    participants: ['Team Bravo', 'Team Alpha'],
+    matches: [wikitextMatch(['Bravo', 'Team Alpha'], { header: 'Semifinals' })],
+    groups: [],
+    results: []
+  };
+
+  const merged = mergeRenderedData(parsed, rendered, { aliases: { Bravo: 'Team Bravo' } });
+  const [semifinal] = merged.matches;
+
+  // The rendered match lists Alpha first and won by opponent 1; here Alpha is opponent 2
+  assert.deepEqual(semifinal.opponents.map(opponent => [opponent.name, opponent.score]), [['Bravo', 1], ['Team Alpha', 2]]);
+  assert.equal(semifinal.winner_index, 2);
+  assert.equal(semifinal.winner, 'Team Alpha');
+  assert.equal(semifinal.format, 'match2');
+  assert.equal(semifinal.date.timestamp, '2025-03-08T16:00:00.000Z');
+
+  // Rendered matches without a wikitext counterpart are added after the parsed ones
+  assert.equal(merged.matches.length, 3);
+  assert.deepEqual(merged.participants, ['Team Bravo', 'Team Alpha', 'Team Charlie', 'Team Delta']);
+  assert.equal(merged.results, rendered.results);
+});
+
+test('merging keeps what the wikitext already has', () => {
+  const rendered = parseRenderedPage(HTML);
+  const parsed = {
+    participants: [],
+    matches: [wikitextMatch(['Team Delta', 'Team Alpha'], { winner_index: 1, finished: true })],
+    groups: [],
+    results: [{ place: '1', opponent_name: 'Team Delta' }]
+  };
+  parsed.matches[0].opponents[0].score = 3;
+
+  const merged = mergeRenderedData(parsed, rendered);
+  const [final] = merged.matches;
+
+  assert.deepEqual(final.opponents.map(opponent => opponent.score), [3, 1]);
+  assert.equal(final.winner, 'Team Delta');
+  assert.equal(merged.results, parsed.results);
+});
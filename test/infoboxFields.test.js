@@ -0,0 +1,36 @@
+process.env.LIQUIPEDIA_SHARED_RATE_LIMIT = 'false';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const LiquipediaService = require('../src/services/liquipediaService');
+
+// Stand-in for DatabaseService: nothing is stored and every lookup misses
+const service = new LiquipediaService({
+  databaseService: new Proxy({}, { get: () => async () => null })
+});
+const fields = service.getProfile('counterstrike').infobox.tournament;
+
+test('single-day events take their start and end from the infobox date', () => {
+  const wikitext = '{{Infobox league|name=Cup|date=2025-05-10|prizepool=$10,000}}\n{{Match|date=2025-05-11 - 18:00 {{Abbr/CEST}}}}';
+
+  assert.equal(service.getInfoboxField(wikitext, fields.start_date), '2025-05-10');
+  assert.equal(service.getInfoboxField(wikitext, fields.end_date), '2025-05-10');
+});
+
+test('date= on other templates is not a tournament date', () => {
+  const wikitext = '{{Infobox league|name=Cup|prizepool=$10,000}}\n' +
+    '== References ==\n* {{Cite web|url=https://example.com|date=2024-12-01}}\n' +
+    '{{Match|date=2025-05-11 - 18:00 {{Abbr/CEST}}|opponent1={{TeamOpponent|Team Alpha}}}}';
+
+  assert.equal(service.getInfoboxField(wikitext, fields.start_date), null);
+  assert.equal(service.getInfoboxField(wikitext, fields.end_date), null);
+});
+
+test('other fields still fall back to the first template that sets them', () => {
+  const wikitext = '{{Infobox league|name=Cup}}\n{{Tournament details|sdate=2025-05-01|edate=2025-05-11|prizepool=$10,000}}';
+
+  assert.equal(service.getInfoboxField(wikitext, fields.start_date), '2025-05-01');
+  assert.equal(service.getInfoboxField(wikitext, fields.end_date), '2025-05-11');
+  assert.equal(service.getInfoboxField(wikitext, fields.prize_pool), '$10,000');
+});
@@ -0,0 +1,131 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseWikitext } = require('../src/parsers/wikitextParser');
+const { parseMatches } = require('../src/parsers/matchParser');
+
+function parse(text) {
+  return parseMatches(parseWikitext(text));
+}
+
+test('Match2 brackets give each match its key, round, header and maps', () => {
+  const [semifinal, final] = parse(`{{Bracket|Bracket/4|id=PlayoffsBracket
+|R1M1header=Semifinals
+|R1M1={{Match|bestof=3|finished=true|date=March 8, 2025 - 17:00 {{Abbr/CET}}
+  |opponent1={{TeamOpponent|Team Alpha}}
+  |opponent2={{TeamOpponent|Team Bravo}}
+  |map1={{Map|map=Mirage|score1=13|score2=7|finished=true|t1firstside=ct}}
+  |map2={{Map|map=Inferno|score1=9|score2=13|finished=true}}
+  |map3={{Map|map=Nuke|score1=13|score2=11|finished=true}}
+  |map4={{Map|finished=skip}}
+}}
+|R2M1={{Match|opponent1={{TeamOpponent|Team Alpha}}|opponent2={{TeamOpponent|TBD}}}}
+}}`);
+
+  assert.equal(semifinal.match_id, 'R1M1');
+  assert.equal(semifinal.bracket_id, 'PlayoffsBracket');
+  assert.equal(semifinal.round, 'Round 1');
+  assert.equal(semifinal.header, 'Semifinals');
+  assert.equal(semifinal.bestof, 3);
+  assert.equal(semifinal.date.timestamp, '2025-03-08T16:00:00.000Z');
+
+  // Scores are counted from the maps when the opponents do not set them
+  assert.deepEqual(semifinal.opponents.map(opponent => [opponent.name, opponent.score]), [['Team Alpha', 2], ['Team Bravo', 1]]);
+  assert.equal(semifinal.winner, 'Team Alpha');
+  assert.equal(semifinal.status, 'completed');
+  assert.deepEqual(semifinal.maps.map(map => [map.number, map.map, map.winner]), [[1, 'Mirage', 1], [2, 'Inferno', 2], [3, 'Nuke', 1]]);
+  assert.deepEqual([semifinal.maps[0].side1, semifinal.maps[0].side2], ['ct', 't']);
+
+  assert.equal(final.match_id, 'R2M1');
+  assert.equal(final.round, 'Round 2');
+  assert.equal(final.opponents[1].name, null);
+  assert.equal(final.status, 'scheduled');
+});
+
+test('Match2 ids come from match containers and the match itself only', () => {
+  const matches = parse(`{{Tabs dynamic|id=tabs
+|content1={{Matchlist|title=Showmatches
+  |M1={{Match|opponent1={{TeamOpponent|Team Alpha|id=opponent}}|opponent2={{TeamOpponent|Team Bravo}}
+    |map1={{Map|id=map|map=Mirage|winner=1}}}}
+}}
+|content2={{SingleMatch|id=ShowMatch|{{Match2|id=SM1|opponent1={{TeamOpponent|Team Charlie|score=1}}|opponent2={{TeamOpponent|Team Delta|score=0}}|finished=true}}}}
+}}`);
+
+  assert.deepEqual(matches.map(match => [match.bracket_id, match.match_id, match.header]), [
+    [null, 'M1', 'Showmatches'],
+    ['ShowMatch', 'SM1', null]
+  ]);
+  assert.equal(matches[1].winner, 'Team Charlie');
+});
+
+test('legacy brackets pair slots and read each side\'s game details', () => {
+  const matches = parse(`{{Bracket/4DE|id=LegacyBracket
+|R1D1team=Team Alpha|R1D1score=2|R1D1win=1
+|R1D2team=Team Bravo|R1D2score=0
+|R1D3team=Team Charlie|R1D3score=1
+|R1D4team=Team Delta|R1D4score=2|R1D4win=1
+|R1G1details={{BracketMatchSummary|date=March 1, 2025 - 12:00 {{Abbr/UTC}}|map1=Mirage|map1win=1|map1score=13-5}}
+|R1G2details={{BracketMatchSummary|date=March 1, 2025 - 15:00 {{Abbr/UTC}}}}
+|R1W1team=Team Echo|R1W1score=2|R1W1win=1
+|R1W2team=Team Foxtrot|R1W2score=1
+|R1G3details={{BracketMatchSummary|date=March 2, 2025 - 12:00 {{Abbr/UTC}}}}
+}}`);
+
+  assert.deepEqual(matches.map(match => [match.match_id, match.bracket_id, match.round, match.winner]), [
+    ['R1D1', 'LegacyBracket', 'Round 1', 'Team Alpha'],
+    ['R1D3', 'LegacyBracket', 'Round 1', 'Team Delta'],
+    ['R1W1', 'LegacyBracket', 'Round 1', 'Team Echo']
+  ]);
+  assert.deepEqual(matches.map(match => match.date.timestamp), [
+    '2025-03-01T12:00:00.000Z',
+    '2025-03-01T15:00:00.000Z',
+    '2025-03-02T12:00:00.000Z'
+  ]);
+  assert.deepEqual(matches[0].maps.map(map => [map.map, map.winner, map.score1, map.score2]), [['Mirage', 1, 13, 5]]);
+  assert.deepEqual(matches[0].opponents.map(opponent => [opponent.type, opponent.name, opponent.score]), [
+    ['team', 'Team Alpha', 2],
+    ['team', 'Team Bravo', 0]
+  ]);
+});
+
+test('StarCraft II solo and party opponents keep their players and races', () => {
+  const [solo, party] = parse(`{{Matchlist|id=Sc2Matches
+|M1={{Match|finished=true
+  |opponent1={{SoloOpponent|Serral|flag=fi|race=z|score=3}}
+  |opponent2={{SoloOpponent|Clem|flag=fr|race=t|score=1}}
+}}
+|M2={{Match|finished=true
+  |opponent1={{2Opponent|p1=Serral|p1flag=fi|p1race=z|p2=Reynor|p2flag=it|p2race=z|score=2}}
+  |opponent2={{2Opponent|p1=Clem|p1race=terran|p2=TBD|score=0}}
+}}
+}}`);
+
+  assert.deepEqual(solo.opponents.map(opponent => [opponent.type, opponent.name, opponent.flag, opponent.race]), [
+    ['solo', 'Serral', 'fi', 'zerg'],
+    ['solo', 'Clem', 'fr', 'terran']
+  ]);
+  assert.deepEqual(solo.opponents[0].players, [{ name: 'Serral', flag: 'fi', race: 'zerg' }]);
+  assert.equal(solo.winner, 'Serral');
+
+  assert.equal(party.opponents[0].type, 'party');
+  assert.equal(party.opponents[0].name, 'Serral / Reynor');
+  assert.deepEqual(party.opponents[0].players, [
+    { name: 'Serral', flag: 'fi', race: 'zerg' },
+    { name: 'Reynor', flag: 'it', race: 'zerg' }
+  ]);
+  // Placeholder slots are left out of the party
+  assert.deepEqual(party.opponents[1].players, [{ name: 'Clem', flag: null, race: 'terran' }]);
+  assert.equal(party.winner, 'Serral / Reynor');
+});
+
+test('legacy player brackets read players and races from the slots', () => {
+  const [match] = parse(`{{Bracket/2|R1D1=Serral|R1D1race=z|R1D1flag=fi|R1D1score=3|R1D1win=1
+|R1D2=Maru|R1D2race=t|R1D2flag=kr|R1D2score=2}}`);
+
+  assert.deepEqual(match.opponents.map(opponent => [opponent.type, opponent.name, opponent.race, opponent.score]), [
+    ['solo', 'Serral', 'zerg', 3],
+    ['solo', 'Maru', 'terran', 2]
+  ]);
+  assert.deepEqual(match.opponents[1].players, [{ name: 'Maru', flag: 'kr', race: 'terran' }]);
+  assert.equal(match.winner, 'Serral');
+});
@@ -0,0 +1,97 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseAmount, parseMoney } = require('../src/parsers/moneyParser');
+
+test('parseAmount reads separators and k/m suffixes', () => {
+  assert.equal(parseAmount('$250,000'), 250000);
+  assert.equal(parseAmount('100.000 €'), 100000);
+  assert.equal(parseAmount('1.000.000'), 1000000);
+  assert.equal(parseAmount('≈$108k'), 108000);
+  assert.equal(parseAmount('1.5M'), 1500000);
+  assert.equal(parseAmount('TBA'), null);
+});
+
+test('parseAmount reads written-out multipliers', () => {
+  assert.equal(parseAmount('$1 million'), 1000000);
+  assert.equal(parseAmount('$1.5 million'), 1500000);
+  assert.equal(parseAmount('2 mil USD'), 2000000);
+});
+
+test('parseAmount reads space and NBSP grouped thousands', () => {
+  assert.equal(parseAmount('100 000 €'), 100000);
+  assert.equal(parseAmount('1 000 000'), 1000000);
+  assert.equal(parseAmount('1 000 000 руб'), 1000000);
+  assert.equal(parseAmount('1&nbsp;000&nbsp;000'), 1000000);
+  assert.equal(parseAmount('10 000,50'), 10000.5);
+});
+
+test('parseAmount does not read a currency code as a suffix', () => {
+  assert.equal(parseAmount('50,000 MXN'), 50000);
+  assert.equal(parseAmount('1,000,000 KRW'), 1000000);
+  assert.equal(parseAmount('20,000 Kč'), 20000);
+});
+
+test('parseMoney keeps the local currency and the USD conversion apart', () => {
+  assert.deepEqual(parseMoney('€100,000 (≈$108k)'), {
+    raw: '€100,000 (≈$108k)',
+    amount: 100000,
+    currency: 'EUR',
+    amount_usd: 108000,
+    fx_rate: 1.08
+  });
+});
+
+test('parseMoney treats bare numbers as USD', () => {
+  assert.deepEqual(parseMoney('250,000'), {
+    raw: '250,000',
+    amount: 250000,
+    currency: 'USD',
+    amount_usd: 250000,
+    fx_rate: 1
+  });
+  assert.equal(parseMoney('$1 million').amount_usd, 1000000);
+});
+
+test('parseMoney reads currency codes and written-out markers', () => {
+  const cases = [
+    ['50,000 MXN', 50000, 'MXN'],
+    ['1,000,000 KRW', 1000000, 'KRW'],
+    ['100 000 €', 100000, 'EUR'],
+    ['20,000 Kč', 20000, 'CZK'],
+    ['1 000 000 руб', 1000000, 'RUB'],
+    ['1 000 000 рублей', 1000000, 'RUB']
+  ];
+
+  for (const [text, amount, currency] of cases) {
+    const money = parseMoney(text);
+    assert.equal(money.amount, amount, text);
+    assert.equal(money.currency, currency, text);
+    assert.equal(money.amount_usd, null, text);
+    assert.equal(money.fx_rate, null, text);
+  }
+});
+
+test('parseMoney uses the infobox USD amount for the FX rate', () => {
+  const money = parseMoney('20,000 Kč', { usd: '870' });
+  assert.equal(money.currency, 'CZK');
+  assert.equal(money.amount_usd, 870);
+  assert.equal(money.fx_rate, 0.0435);
+});
+
+test('parseMoney leaves unknown currencies without a USD value', () => {
+  assert.deepEqual(parseMoney('100,000 kr'), {
+    raw: '100,000 kr',
+    amount: 100000,
+    currency: null,
+    amount_usd: null,
+    fx_rate: null
+  });
+  assert.equal(parseMoney('5,000 ₾').currency, null);
+
+  // The infobox localcurrency tells which "kr" it is
+  const money = parseMoney('100,000 kr', { currency: 'sek', usd: '9,500' });
+  assert.equal(money.currency, 'SEK');
+  assert.equal(money.amount_usd, 9500);
+  assert.equal(money.fx_rate, 0.095);
+});
@@ -0,0 +1,46 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseWikitext } = require('../src/parsers/wikitextParser');
+const { parsePlace, parsePrizePool } = require('../src/parsers/prizePoolParser');
+
+test('parsePlace reads single and shared places', () => {
+  assert.deepEqual(parsePlace('1'), { start: 1, end: 1 });
+  assert.deepEqual(parsePlace('3-4'), { start: 3, end: 4 });
+  assert.deepEqual(parsePlace('5–8'), { start: 5, end: 8 });
+  assert.deepEqual(parsePlace(''), { start: null, end: null });
+});
+
+test('a shared place gives every opponent its own row', () => {
+  const rows = parsePrizePool(parseWikitext(`{{Prize pool|localcurrency=eur
+|{{Slot|place=3-4|usdprize=10,000|localprize=9,000
+  |{{TeamOpponent|Team Charlie}}
+  |{{TeamOpponent|Team Delta}}
+}}
+|{{Slot|place=1|usdprize=50,000|localprize=45,000|qualifies1=Major|{{TeamOpponent|Team Alpha}}}}
+|{{Slot|place=2|usdprize=25,000|localprize=22,500|{{TeamOpponent|Team Bravo}}}}
+}}`));
+
+  assert.deepEqual(rows.map(row => [row.place, row.place_start, row.place_end, row.opponent_name, row.prize_usd, row.prize_local]), [
+    ['1', 1, 1, 'Team Alpha', 50000, 45000],
+    ['2', 2, 2, 'Team Bravo', 25000, 22500],
+    ['3-4', 3, 4, 'Team Charlie', 10000, 9000],
+    ['3-4', 3, 4, 'Team Delta', 10000, 9000]
+  ]);
+  assert.ok(rows.every(row => row.local_currency === 'EUR' && row.opponent_type === 'team'));
+  assert.equal(rows[0].qualified, 'Major');
+});
+
+test('old slot templates convert local prizes with the infobox rate', () => {
+  const rows = parsePrizePool(parseWikitext(`{{Prize pool start}}
+{{Prize pool slot player|place=1|localprize=10,000|Serral}}
+{{Prize pool slot player|place=2|localprize=5,000|Reynor}}
+{{Prize pool slot player|place=3-4|localprize=2,500}}
+{{Prize pool end}}`), { defaultCurrency: 'sek', fxRate: 0.095 });
+
+  assert.deepEqual(rows.map(row => [row.place_start, row.place_end, row.opponent_type, row.opponent_name, row.prize_usd, row.local_currency]), [
+    [1, 1, 'solo', 'Serral', 950, 'SEK'],
+    [2, 2, 'solo', 'Reynor', 475, 'SEK'],
+    [3, 4, null, null, 237.5, 'SEK']
+  ]);
+});
@@ -0,0 +1,94 @@
+// Deterministic tests on recorded Liquipedia traffic.
+//
+// test/fixtures/liquipedia holds a session recorded against the bundled stub wiki
+// (fetchTournamentByName for "Stub Masters 2025"). The fixtures are replayed against a fresh
+// stub server, so they fail when the stub data changes, and through the service in replay
+// mode, so they fail when parsing changes. Re-record with UPDATE_FIXTURES=1 npm test
+// (slow: recording goes through the real rate limiters).
+
+process.env.LIQUIPEDIA_SHARED_RATE_LIMIT = 'false';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+
+const { createStubWikiServer } = require('../src/stub/stubWikiServer');
+const LiquipediaService = require('../src/services/liquipediaService');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'liquipedia');
+const TOURNAMENT = 'Stub Masters 2025';
+
+// Stand-in for DatabaseService: nothing is stored and every lookup misses
+function createMemoryDatabase() {
+  return new Proxy({}, {
+    get: () => async () => null
+  });
+}
+
+function createService(mode, apiBaseUrl) {
+  const service = new LiquipediaService({
+    databaseService: createMemoryDatabase(),
+    apiBaseUrl,
+    recorder: { mode, fixturesDir: FIXTURES_DIR }
+  });
+  service.pause = async () => {};
+  return service;
+}
+
+function readFixtures() {
+  return fs.readdirSync(FIXTURES_DIR).flatMap(wiki =>
+    fs.readdirSync(path.join(FIXTURES_DIR, wiki))
+      .map(file => JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, wiki, file), 'utf8'))));
+}
+
+let server;
+let baseUrl;
+
+before(async () => {
+  server = createStubWikiServer().listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://localhost:${server.address().port}`;
+
+  if (process.env.UPDATE_FIXTURES) {
+    fs.rmSync(FIXTURES_DIR, { recursive: true, force: true });
+    await createService('record', baseUrl).fetchTournamentByName(TOURNAMENT, 'counterstrike');
+  }
+});
+
+after(() => {
+  server.close();
+});
+
+test('recorded responses match what the stub wiki serves', async () => {
+  const fixtures = readFixtures();
+  assert.ok(fixtures.length > 0);
+
+  for (const fixture of fixtures) {
+    const { wiki, params } = fixture.request;
+    const response = await axios.get(`${baseUrl}/${wiki}/api.php`, { params });
+    assert.deepEqual(response.data, fixture.response.data, `${wiki} ${JSON.stringify(params)}`);
+  }
+});
+
+test('fetchTournamentByName replays offline', async () => {
+  // Nothing listens on this port: every response has to come from a fixture
+  const service = createService('replay', 'http://localhost:9');
+  const data = await service.fetchTournamentByName(TOURNAMENT, 'counterstrike');
+  const parsed = data.tournament.parsed_data;
+
+  assert.equal(data.tournament.found_name, TOURNAMENT);
+  assert.equal(data.status, 'concluded');
+  assert.equal(parsed.dates.start.timestamp, '2025-03-01T00:00:00.000Z');
+  assert.equal(parsed.prize.amount, 100000);
+  assert.equal(parsed.prize.currency, 'EUR');
+  assert.equal(parsed.prize.amount_usd, 108000);
+
+  assert.deepEqual(data.teams.map(team => team.page).sort(), ['Team Alpha', 'Team Bravo', 'Team Charlie', 'Team Delta']);
+  assert.equal(new Set(data.matches.map(match => match.id)).size, data.matches.length);
+
+  const final = parsed.matches.find(match => match.header === 'Grand Final');
+  assert.ok(final);
+  assert.equal(final.date.timestamp, '2025-03-09T17:00:00.000Z');
+});
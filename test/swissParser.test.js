@@ -0,0 +1,58 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseWikitext } = require('../src/parsers/wikitextParser');
+const { parseMatches } = require('../src/parsers/matchParser');
+const { parseSwissStages } = require('../src/parsers/swissParser');
+
+function parseStages(text) {
+  const nodes = parseWikitext(text);
+  return parseSwissStages(nodes, parseMatches(nodes));
+}
+
+function match(team1, score1, team2, score2) {
+  return `{{Match|finished=true|opponent1={{TeamOpponent|${team1}|score=${score1}}}|opponent2={{TeamOpponent|${team2}|score=${score2}}}}}`;
+}
+
+// Round 2 is listed before round 1
+const PAGE = `
+{{SwissTableLeague|title=Opening Stage|win=2|loss=2
+|opponent1={{TeamOpponent|Alpha}}|opponent2={{TeamOpponent|Bravo}}
+|opponent3={{TeamOpponent|Charlie}}|opponent4={{TeamOpponent|Delta}}
+|pbg1=up|pbg4=down}}
+{{Matchlist|id=SwissMatches
+|R2M1=${match('Alpha', 2, 'Charlie', 1)}
+|R2M2=${match('Bravo', 0, 'Delta', 2)}
+|R1M1=${match('Alpha', 2, 'Bravo', 0)}
+|R1M2=${match('Charlie', 2, 'Delta', 1)}
+}}`;
+
+test('Swiss pairings are ordered by round, not page order', () => {
+  const [stage] = parseStages(PAGE);
+
+  assert.deepEqual(stage.rounds.map(round => round.round), [1, 2]);
+  assert.deepEqual(stage.rounds[0].pairings.map(pairing => pairing.match_id), ['R1M1', 'R1M2']);
+  assert.deepEqual(stage.rounds[1].pairings.map(pairing => pairing.match_id), ['R2M1', 'R2M2']);
+});
+
+test('Swiss pairings carry the records going into each match', () => {
+  const [stage] = parseStages(PAGE);
+  const [first, second] = stage.rounds;
+
+  assert.deepEqual(first.pairings.map(pairing => pairing.records), [['0-0', '0-0'], ['0-0', '0-0']]);
+  assert.deepEqual(second.pairings.map(pairing => pairing.records), [['1-0', '1-0'], ['0-1', '0-1']]);
+  assert.deepEqual(second.pairings.map(pairing => pairing.pool), ['1-0', '0-1']);
+});
+
+test('Swiss standings rank by record and Buchholz', () => {
+  const [stage] = parseStages(PAGE);
+
+  assert.equal(stage.name, 'Opening Stage');
+  assert.deepEqual(stage.standings.map(standing => [standing.opponent.name, standing.record, standing.buchholz, standing.status]), [
+    ['Alpha', '2-0', -2, 'advanced'],
+    ['Charlie', '1-1', 2, 'alive'],
+    ['Delta', '1-1', -2, 'alive'],
+    ['Bravo', '0-2', 2, 'eliminated']
+  ]);
+  assert.equal(stage.standings[0].bg, 'up');
+});
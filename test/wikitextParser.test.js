@@ -0,0 +1,96 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  parseWikitext,
+  nodesToText,
+  findTemplates,
+  getParam,
+  getParamText,
+  extractEntityName
+} = require('../src/parsers/wikitextParser');
+
+test('nested templates stay inside their param', () => {
+  const [match] = parseWikitext('{{Match|opponent1={{TeamOpponent|navi|score=2}}|map1={{Map|map=Mirage}}}}');
+
+  assert.equal(match.type, 'template');
+  assert.equal(match.name, 'Match');
+  assert.deepEqual(match.params.map(param => param.name), ['opponent1', 'map1']);
+
+  const [opponent] = getParam(match, 'opponent1');
+  assert.equal(opponent.name, 'TeamOpponent');
+  assert.equal(getParamText(opponent, 1), 'navi');
+  assert.equal(getParamText(opponent, 'score'), '2');
+  assert.deepEqual(findTemplates([match], 'Map').map(template => getParamText(template, 'map')), ['Mirage']);
+});
+
+test('positional and named params are told apart', () => {
+  const [template] = parseWikitext('{{Team|first|name=Second|third}}');
+
+  assert.deepEqual(template.params.map(param => [param.name, param.index]), [[null, 1], ['name', null], [null, 2]]);
+  assert.equal(getParamText(template, 2), 'third');
+  assert.equal(getParamText(template, 'NAME'), 'Second');
+});
+
+test('template arguments are kept as text', () => {
+  const [template] = parseWikitext('{{Infobox|date={{{1|{{{date|2025-01-01}}}}}}|name=Cup}}');
+
+  assert.deepEqual(template.params.map(param => param.name), ['date', 'name']);
+  assert.equal(getParamText(template, 'date'), '{{{1|{{{date|2025-01-01}}}}}}');
+  assert.equal(getParamText(template, 'name'), 'Cup');
+});
+
+test('a param name ends at the first "="', () => {
+  const [template] = parseWikitext('{{Infobox|stream=https://example.com/?a=1&b=2|note=x = y}}');
+
+  assert.equal(getParamText(template, 'stream'), 'https://example.com/?a=1&b=2');
+  assert.equal(getParamText(template, 'note'), 'x = y');
+});
+
+test('"=" inside a nested template does not name the param', () => {
+  const [template] = parseWikitext('{{List|{{Team|navi|short=NaVi}}}}');
+
+  assert.equal(template.params.length, 1);
+  assert.equal(template.params[0].index, 1);
+  assert.equal(extractEntityName(getParam(template, 1)), 'navi');
+});
+
+test('links keep their target and label', () => {
+  const nodes = parseWikitext('[[Natus Vincere|NaVi]] and [[Team Liquid]] and [https://example.com Sponsor]');
+
+  assert.deepEqual(nodes[0], { type: 'link', target: 'Natus Vincere', label: [{ type: 'text', value: 'NaVi' }] });
+  assert.deepEqual(nodes[2], { type: 'link', target: 'Team Liquid', label: null });
+  assert.deepEqual(nodes[4], { type: 'externalLink', url: 'https://example.com', label: 'Sponsor' });
+  assert.equal(nodesToText(nodes), 'NaVi and Team Liquid and Sponsor');
+  assert.equal(extractEntityName(nodes), 'Natus Vincere');
+});
+
+test('comments and refs are removed before parsing', () => {
+  const [template] = parseWikitext(
+    '{{Infobox|prizepool=$100,000<ref>Source</ref><ref name="a" />|<!-- |hidden=1 -->team_number=16}}'
+  );
+
+  assert.equal(getParamText(template, 'prizepool'), '$100,000');
+  assert.equal(getParamText(template, 'hidden'), null);
+  assert.equal(getParamText(template, 'team_number'), '16');
+});
+
+test('{{!}} renders as a pipe without splitting params', () => {
+  const [template] = parseWikitext('{{Note|text=a {{!}} b|other=c}}');
+
+  assert.deepEqual(template.params.map(param => param.name), ['text', 'other']);
+  assert.equal(getParamText(template, 'text'), 'a | b');
+});
+
+test('unclosed templates and links end at the end of input', () => {
+  const [template] = parseWikitext('{{Match|opponent1={{TeamOpponent|navi');
+  assert.equal(template.name, 'Match');
+  assert.equal(getParamText(getParam(template, 'opponent1')[0], 1), 'navi');
+
+  const [link] = parseWikitext('[[Team Liquid|Liquid');
+  assert.equal(link.target, 'Team Liquid');
+  assert.equal(nodesToText(link.label), 'Liquid');
+
+  assert.deepEqual(parseWikitext('text <!-- unclosed comment'), [{ type: 'text', value: 'text ' }]);
+  assert.deepEqual(parseWikitext('{{{1|unclosed'), [{ type: 'text', value: '{{{1|unclosed' }]);
+});